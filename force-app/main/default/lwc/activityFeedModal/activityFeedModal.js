@@ -0,0 +1,21 @@
+/**
+ * @description    Activity feed of a map: every logged change, filterable by user and date
+ * @author         Cobra CRM B.V.
+ * @version        2.19.0
+ */
+import { LightningElement, api } from 'lwc';
+
+export default class ActivityFeedModal extends LightningElement {
+    @api mapId;
+    @api mapName;
+
+    get modalTitle() {
+        return `Activity in "${this.mapName}"`;
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+}
@@ -0,0 +1,146 @@
+/**
+ * @description    Audit log of a map, or of one capability when capability-id is set
+ *                 Used as the History tab of the capability edit modal and in the
+ *                 map's activity feed. Filters by user and date reload from Apex.
+ * @author         Cobra CRM B.V.
+ * @version        2.29.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import getEntries from '@salesforce/apex/AuditLogService.getEntries';
+import getAuthors from '@salesforce/apex/AuditLogService.getAuthors';
+
+const FIELD_LABELS = {
+    Size__c: 'Size',
+    Phase__c: 'Phase',
+    Hours_Override__c: 'Hours override',
+    Optimistic_Hours__c: 'Optimistic hours',
+    Pessimistic_Hours__c: 'Pessimistic hours',
+    Confidence_Factor__c: 'Confidence',
+    Complexity_Factor__c: 'Complexity',
+    Priority__c: 'Priority',
+    Capability_Category__c: 'Category',
+    Color__c: 'Color',
+    Status__c: 'Status',
+    Sizing_Scheme__c: 'Sizing scheme',
+    XS_Hours__c: 'XS hours',
+    S_Hours__c: 'S hours',
+    M_Hours__c: 'M hours',
+    L_Hours__c: 'L hours',
+    XL_Hours__c: 'XL hours',
+    XXL_Hours__c: 'XXL hours',
+    XXXL_Hours__c: 'XXXL hours',
+    Default_Hourly_Rate__c: 'Default hourly rate'
+};
+const ALLOCATION_FIELD = 'Allocation_Percent__c';
+const MAX_ENTRIES = 500; // AuditLogService.getEntries limit
+
+export default class AuditTrail extends LightningElement {
+    @api mapId;
+    @api capabilityId; // Only this capability's history
+
+    @track entries = [];
+    @track authors = [];
+    @track userId = '';
+    @track fromDate = '';
+    @track toDate = '';
+    @track errorMessage = '';
+    @track isLoading = true;
+
+    connectedCallback() {
+        this.loadAuthors();
+        this.loadEntries();
+    }
+
+    get showCapabilityName() {
+        return !this.capabilityId;
+    }
+
+    get userOptions() {
+        return this.authors.map(author => ({ ...author, selected: author.id === this.userId }));
+    }
+
+    get hasEntries() {
+        return this.rows.length > 0;
+    }
+
+    get isTruncated() {
+        return this.entries.length >= MAX_ENTRIES;
+    }
+
+    get emptyMessage() {
+        return this.userId || this.fromDate || this.toDate ? 'No changes match the filters' : 'No changes recorded yet';
+    }
+
+    // Entries as shown: who, when, what changed and where it came from
+    get rows() {
+        return this.entries.map(entry => ({
+            id: entry.Id,
+            author: entry.CreatedBy?.Name || 'Unknown user',
+            date: new Date(entry.CreatedDate).toLocaleString(),
+            capabilityName: entry.Capability_Name__c,
+            description: describe(entry),
+            source: entry.Source__c,
+            className: entry.Capability_Name__c ? 'entry' : 'entry map-entry'
+        }));
+    }
+
+    async loadAuthors() {
+        try {
+            this.authors = await getAuthors({ mapId: this.mapId });
+        } catch (error) {
+            console.error('Error loading audit log users:', error);
+        }
+    }
+
+    async loadEntries() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            this.entries = await getEntries({
+                mapId: this.mapId,
+                capabilityId: this.capabilityId || null,
+                userId: this.userId || null,
+                fromDate: this.fromDate || null,
+                toDate: this.toDate || null
+            });
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    handleUserChange(event) {
+        this.userId = event.target.value;
+        this.loadEntries();
+    }
+
+    handleFromDateChange(event) {
+        this.fromDate = event.target.value;
+        this.loadEntries();
+    }
+
+    handleToDateChange(event) {
+        this.toDate = event.target.value;
+        this.loadEntries();
+    }
+
+    handleClearFilters() {
+        this.userId = '';
+        this.fromDate = '';
+        this.toDate = '';
+        this.loadEntries();
+    }
+}
+
+// One line per entry, e.g. "Size: M → XXL" or "Consultant allocation: 50% → 75%"
+function describe(entry) {
+    if (!entry.Field__c) {
+        return [entry.Action__c, entry.Detail__c].filter(Boolean).join(' — ');
+    }
+    const label = entry.Field__c === ALLOCATION_FIELD
+        ? `${entry.Detail__c || 'Role'} allocation`
+        : FIELD_LABELS[entry.Field__c] || entry.Field__c;
+    return `${label}: ${entry.Old_Value__c || '—'} → ${entry.New_Value__c || '—'}`;
+}
@@ -2,12 +2,16 @@
  * ============================================================
  * bulkOperationsModal.js
  * ============================================================
- * @description    Bulk Operations Modal for Size, Phase, and Team
+ * @description    Bulk Operations Modal for Size, Phase, Team and estimate Range
  * @author         Cobra CRM B.V.
- * @version        2.4.0
+ * @version        2.27.0
  * 
  * CHANGELOG:
  * ─────────────────────────────────────────────────────────────
+ * v2.27.0 2026-10-18  Range: optimistic and pessimistic values some sizes away from each capability's size
+ * v2.23.0 2026-10-18  Phases of the map instead of the fixed phase list
+ * v2.22.0 2026-10-18  Sizes of the map's sizing scheme instead of the fixed T-shirt sizes
+ * v2.7.0  2026-10-18  deferSave: leave saving size/phase to the parent's change queue
  * v2.4.0  2024-12-16  Added Phase and Team Member operations
  * v2.3.0  2024-12-15  Initial version with Size only
  * ============================================================
@@ -16,34 +20,40 @@ import { LightningElement, api, track } from 'lwc';
 import bulkUpdateCapabilities from '@salesforce/apex/CapabilityController.bulkUpdateCapabilities';
 import getRoles from '@salesforce/apex/CapabilityController.getRoles';
 import bulkAssignRoles from '@salesforce/apex/CapabilityController.bulkAssignRoles';
+import getMapSizes from '@salesforce/apex/SizingSchemeService.getMapSizes';
+import getPhases from '@salesforce/apex/PhaseService.getPhases';
 
-const SIZES = [
-    { id: 'XS', label: 'XS', color: '#10B981', textColor: 'white' },      // Emerald
-    { id: 'S', label: 'S', color: '#22C55E', textColor: 'white' },        // Green
-    { id: 'M', label: 'M', color: '#0176D3', textColor: 'white' },        // Salesforce Blue
-    { id: 'L', label: 'L', color: '#8B5CF6', textColor: 'white' },        // Purple
-    { id: 'XL', label: 'XL', color: '#F97316', textColor: 'white' },      // Orange
-    { id: 'XXL', label: 'XXL', color: '#EF4444', textColor: 'white' },    // Red
-    { id: 'XXXL', label: 'XXXL', color: '#DC2626', textColor: 'white' },  // Dark Red
-    { id: 'TBD', label: 'TBD', color: '#9CA3AF', textColor: 'white' }     // Gray
+// Range steps are sizes away from each capability's own size; the parent works out the hours
+const KEEP = 'keep';
+const CLEAR = 'clear';
+const OPTIMISTIC_STEPS = [
+    { value: '-1', label: '1 size smaller' },
+    { value: '-2', label: '2 sizes smaller' },
+    { value: KEEP, label: 'Keep as is' },
+    { value: CLEAR, label: 'None (most likely)' }
 ];
-
-const PHASES = [
-    { id: 'Phase 1', label: 'Phase 1', color: '#22c55e' },
-    { id: 'Phase 2', label: 'Phase 2', color: '#3b82f6' },
-    { id: 'Phase 3', label: 'Phase 3', color: '#8b5cf6' },
-    { id: 'Phase 4', label: 'Phase 4', color: '#f97316' },
-    { id: 'Future', label: 'Future', color: '#6b7280' },
-    { id: 'Out of Scope', label: 'Out of Scope', color: '#ef4444' }
+const PESSIMISTIC_STEPS = [
+    { value: '1', label: '1 size larger' },
+    { value: '2', label: '2 sizes larger' },
+    { value: '3', label: '3 sizes larger' },
+    { value: KEEP, label: 'Keep as is' },
+    { value: CLEAR, label: 'None (most likely)' }
 ];
 
 export default class BulkOperationsModal extends LightningElement {
     @api selectedCapabilityIds = [];
-    @api operationType = 'size'; // 'size', 'phase', or 'team'
+    @api operationType = 'size'; // 'size', 'phase', 'team' or 'range'
     @api mapId;
+    @api deferSave = false; // Parent persists size/phase changes itself (range changes always)
+    @api sizes; // The map's sizing scheme (getMapSizes); loaded when not given
+    @api phases; // The map's phases in order (PhaseService.getPhases); loaded when not given
     
     @track selectedSize = 'M';
-    @track selectedPhase = 'Phase 1';
+    @track mapSizes = [];
+    @track selectedPhase = '';
+    @track mapPhases = [];
+    @track optimisticStep = '-1';
+    @track pessimisticStep = '1';
     @track selectedRoleId = '';
     @track allocationPercent = 100;
     @track roles = [];
@@ -53,6 +63,56 @@ export default class BulkOperationsModal extends LightningElement {
         if (this.operationType === 'team') {
             this.loadRoles();
         }
+        if (this.operationType === 'size') {
+            if (this.sizes) {
+                this.selectDefaultSize();
+            } else {
+                this.loadSizes();
+            }
+        }
+        if (this.operationType === 'phase') {
+            if (this.phases) {
+                this.selectDefaultPhase();
+            } else {
+                this.loadPhases();
+            }
+        }
+    }
+
+    async loadPhases() {
+        if (!this.mapId) return;
+        try {
+            this.mapPhases = await getPhases({ mapId: this.mapId });
+            this.selectDefaultPhase();
+        } catch (error) {
+            console.error('Error loading phases:', error);
+        }
+    }
+
+    // The map's first phase
+    selectDefaultPhase() {
+        const phases = this.phases || this.mapPhases;
+        if (phases.length > 0) {
+            this.selectedPhase = phases[0].Name;
+        }
+    }
+
+    async loadSizes() {
+        if (!this.mapId) return;
+        try {
+            this.mapSizes = await getMapSizes({ mapId: this.mapId });
+            this.selectDefaultSize();
+        } catch (error) {
+            console.error('Error loading sizes:', error);
+        }
+    }
+
+    // M when the scheme has it, otherwise its smallest size
+    selectDefaultSize() {
+        const sizes = this.sizes || this.mapSizes;
+        if (sizes.length > 0 && !sizes.some(size => size.name === this.selectedSize)) {
+            this.selectedSize = sizes[0].name;
+        }
     }
 
     async loadRoles() {
@@ -74,6 +134,7 @@ export default class BulkOperationsModal extends LightningElement {
         switch (this.operationType) {
             case 'phase': return `Change Phase (${this.selectedCount} items)`;
             case 'team': return `Assign Team Member (${this.selectedCount} items)`;
+            case 'range': return `Set Estimate Range (${this.selectedCount} items)`;
             default: return `Change Size (${this.selectedCount} items)`;
         }
     }
@@ -81,20 +142,31 @@ export default class BulkOperationsModal extends LightningElement {
     get isSizeOperation() { return this.operationType === 'size'; }
     get isPhaseOperation() { return this.operationType === 'phase'; }
     get isTeamOperation() { return this.operationType === 'team'; }
+    get isRangeOperation() { return this.operationType === 'range'; }
+
+    get optimisticOptions() {
+        return OPTIMISTIC_STEPS.map(step => ({ ...step, selected: step.value === this.optimisticStep }));
+    }
+
+    get pessimisticOptions() {
+        return PESSIMISTIC_STEPS.map(step => ({ ...step, selected: step.value === this.pessimisticStep }));
+    }
 
     get sizeOptions() {
-        return SIZES.map(size => ({
-            ...size,
-            optionClass: size.id === this.selectedSize ? 'size-option selected' : 'size-option',
+        return (this.sizes || this.mapSizes).map(size => ({
+            id: size.name,
+            label: size.name,
+            optionClass: size.name === this.selectedSize ? 'size-option selected' : 'size-option',
             style: `background-color: ${size.color}; color: ${size.textColor};`
         }));
     }
 
     get phaseOptions() {
-        return PHASES.map(phase => ({
-            ...phase,
-            optionClass: phase.id === this.selectedPhase ? 'phase-option selected' : 'phase-option',
-            style: `background-color: ${phase.color}; color: white;`
+        return (this.phases || this.mapPhases).map(phase => ({
+            id: phase.Name,
+            label: phase.Name,
+            optionClass: phase.Name === this.selectedPhase ? 'phase-option selected' : 'phase-option',
+            style: `background-color: ${phase.Color__c}; color: white;`
         }));
     }
 
@@ -121,6 +193,14 @@ export default class BulkOperationsModal extends LightningElement {
         this.selectedRoleId = event.target.value;
     }
 
+    handleOptimisticChange(event) {
+        this.optimisticStep = event.target.value;
+    }
+
+    handlePessimisticChange(event) {
+        this.pessimisticStep = event.target.value;
+    }
+
     handleAllocationChange(event) {
         this.allocationPercent = parseInt(event.target.value, 10) || 100;
     }
@@ -139,22 +219,35 @@ export default class BulkOperationsModal extends LightningElement {
             
             if (this.operationType === 'size') {
                 const fields = { 'Size__c': this.selectedSize };
-                await bulkUpdateCapabilities({
-                    capabilityIds: this.selectedCapabilityIds,
-                    fields: fields
-                });
+                if (!this.deferSave) {
+                    await bulkUpdateCapabilities({
+                        capabilityIds: this.selectedCapabilityIds,
+                        fields: fields
+                    });
+                }
                 this.dispatchEvent(new CustomEvent('applied', {
                     detail: { field: 'Size__c', value: this.selectedSize }
                 }));
             } else if (this.operationType === 'phase') {
                 const fields = { 'Phase__c': this.selectedPhase };
-                await bulkUpdateCapabilities({
-                    capabilityIds: this.selectedCapabilityIds,
-                    fields: fields
-                });
+                if (!this.deferSave) {
+                    await bulkUpdateCapabilities({
+                        capabilityIds: this.selectedCapabilityIds,
+                        fields: fields
+                    });
+                }
                 this.dispatchEvent(new CustomEvent('applied', {
                     detail: { field: 'Phase__c', value: this.selectedPhase }
                 }));
+            } else if (this.operationType === 'range') {
+                // Hours differ per capability, so the parent applies and saves them
+                const step = value => (value === KEEP || value === CLEAR ? value : Number(value));
+                this.dispatchEvent(new CustomEvent('applied', {
+                    detail: {
+                        field: 'Range',
+                        value: { optimistic: step(this.optimisticStep), pessimistic: step(this.pessimisticStep) }
+                    }
+                }));
             } else if (this.operationType === 'team') {
                 if (!this.selectedRoleId) {
                     alert('Please select a team member');
@@ -0,0 +1,100 @@
+/**
+ * @description    Export options for the capability map
+ *                 JSON exports the full map data; CSV exports one row per
+ *                 capability for editing in a spreadsheet and re-importing;
+ *                 SVG, PNG and PDF export the canvas as an image, optionally
+ *                 limited to the capabilities that match the current filters.
+ *                 Images show the board, the roadmap or both (PDF pages, or
+ *                 one PNG/SVG file each), optionally followed by an estimate page.
+ * @author         Cobra CRM B.V.
+ * @version        2.26.0
+ */
+import { LightningElement, api, track } from 'lwc';
+
+const FORMATS = [
+    { value: 'pdf', label: 'PDF', hint: 'A4 landscape pages, ready to print or attach' },
+    { value: 'png', label: 'PNG', hint: 'One image of the whole map, for slides' },
+    { value: 'svg', label: 'SVG', hint: 'Scalable vector image, editable in design tools' },
+    { value: 'csv', label: 'CSV', hint: 'Spreadsheet of all capabilities, can be edited and imported again' },
+    { value: 'json', label: 'JSON', hint: 'Full map data for backup or import into another map' }
+];
+
+const CONTENTS = [
+    { value: 'board', label: 'Board' },
+    { value: 'roadmap', label: 'Roadmap' },
+    { value: 'both', label: 'Both' }
+];
+
+export default class CanvasExportModal extends LightningElement {
+    @api mapName;
+    @api hasFilters = false; // Filters are active on the canvas
+    @api canvasMode = 'board'; // View shown on the canvas: 'board' or 'roadmap'
+
+    @track format = 'pdf';
+    @track title = '';
+    @track footer = '';
+    @track filteredOnly = false;
+    @track includeLegend = true;
+    @track includeEstimate = false;
+    @track content = 'board';
+
+    connectedCallback() {
+        this.title = this.mapName || '';
+        this.filteredOnly = this.hasFilters;
+        this.content = this.canvasMode === 'roadmap' ? 'roadmap' : 'board';
+    }
+
+    get contentOptions() {
+        return CONTENTS.map(content => ({
+            ...content,
+            className: content.value === this.content ? 'format-btn active' : 'format-btn'
+        }));
+    }
+
+    get formatOptions() {
+        return FORMATS.map(format => ({
+            ...format,
+            className: format.value === this.format ? 'format-btn active' : 'format-btn'
+        }));
+    }
+
+    get formatHint() {
+        return FORMATS.find(format => format.value === this.format).hint;
+    }
+
+    get isImageFormat() {
+        return this.format !== 'json' && this.format !== 'csv';
+    }
+
+    get filteredOnlyDisabled() {
+        return !this.hasFilters;
+    }
+
+    handleFormatClick(event) { this.format = event.currentTarget.dataset.value; }
+    handleContentClick(event) { this.content = event.currentTarget.dataset.value; }
+    handleTitleChange(event) { this.title = event.target.value; }
+    handleFooterChange(event) { this.footer = event.target.value; }
+    handleFilteredOnlyChange(event) { this.filteredOnly = event.target.checked; }
+    handleLegendChange(event) { this.includeLegend = event.target.checked; }
+    handleEstimateChange(event) { this.includeEstimate = event.target.checked; }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+
+    handleExport() {
+        this.dispatchEvent(new CustomEvent('export', {
+            detail: {
+                format: this.format,
+                content: this.content,
+                title: this.title.trim(),
+                footer: this.footer.trim(),
+                filteredOnly: this.hasFilters && this.filteredOnly,
+                includeLegend: this.includeLegend,
+                includeEstimate: this.includeEstimate
+            }
+        }));
+    }
+}
@@ -1,60 +1,130 @@
 /**
  * @description    Capability Edit Modal with size grid matching mockup
  * @author         Cobra CRM B.V.
- * @version        2.3.0
+ * @version        2.29.0
+ * 
+ * CHANGELOG:
+ * v2.8.0  2026-10-18  deferSave: hand edits to the parent's change queue (version-checked)
+ * v2.18.0 2026-10-18  Comments button opens the capability's thread (comments event)
+ * v2.19.0 2026-10-18  History tab with the capability's audit log
+ * v2.21.0 2026-10-18  readOnly: view details and history of a map its status locks
+ * v2.22.0 2026-10-18  Sizes of the map's sizing scheme instead of the fixed T-shirt sizes
+ * v2.23.0 2026-10-18  Phases of the map instead of the fixed phase list
+ * v2.27.0 2026-10-18  Three-point estimate: optimistic and pessimistic hours, entered as hours or picked from a size
+ * v2.28.0 2026-10-18  Confidence and complexity factors; the most likely hours show their breakdown
+ * v2.29.0 2026-10-18  Priority (capacity planning moves low-priority capabilities first)
  */
 import { LightningElement, api, track } from 'lwc';
 import createCapability from '@salesforce/apex/CapabilityController.createCapability';
 import updateCapability from '@salesforce/apex/CapabilityController.updateCapability';
+import updateCapabilityFields from '@salesforce/apex/CapabilityController.updateCapabilityFields';
 import deleteCapability from '@salesforce/apex/CapabilityController.deleteCapability';
+import getMapSizes from '@salesforce/apex/SizingSchemeService.getMapSizes';
+import getPhases from '@salesforce/apex/PhaseService.getPhases';
+import { threePoint, formatHours, factoredHours, hoursBreakdown } from 'c/estimationModel';
+import { PRIORITIES, priorityOf } from 'c/capacityModel';
 
-// Size options with colors matching mockup
-const SIZES = [
-    { id: 'XS', label: 'XS', color: '#032D60', textColor: 'white' },
-    { id: 'S', label: 'S', color: '#0A4D8C', textColor: 'white' },
-    { id: 'M', label: 'M', color: '#0176D3', textColor: 'white' },
-    { id: 'L', label: 'L', color: '#1B96FF', textColor: 'white' },
-    { id: 'XL', label: 'XL', color: '#57B0FF', textColor: '#242424' },
-    { id: 'XXL', label: 'XXL', color: '#90CBFF', textColor: '#242424' },
-    { id: 'XXXL', label: 'XXXL', color: '#C3E1FF', textColor: '#3D3D3C' },
-    { id: 'TBD', label: 'TBD', color: '#E8E8E8', textColor: '#514F4D' }
+const UNSIZED = 'TBD';
+// Factors on the size hours; blank is 1
+const CONFIDENCE_OPTIONS = [
+    { value: '', label: 'Confident (×1)' },
+    { value: '1.15', label: 'Some doubt (×1.15)' },
+    { value: '1.3', label: 'Uncertain (×1.3)' },
+    { value: '1.5', label: 'Guess (×1.5)' }
 ];
-
-const PHASES = [
-    { value: 'Phase 1', label: 'Phase 1' },
-    { value: 'Phase 2', label: 'Phase 2' },
-    { value: 'Phase 3', label: 'Phase 3' },
-    { value: 'Phase 4', label: 'Phase 4' },
-    { value: 'Future', label: 'Future' },
-    { value: 'Out of Scope', label: 'Out of Scope' }
+const COMPLEXITY_OPTIONS = [
+    { value: '0.8', label: 'Simple (×0.8)' },
+    { value: '', label: 'Normal (×1)' },
+    { value: '1.25', label: 'Complex (×1.25)' },
+    { value: '1.5', label: 'Very complex (×1.5)' }
 ];
 
+// Number inputs give text; blank means no value
+function toHours(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
 export default class CapabilityEditModal extends LightningElement {
     @api capability;
     @api categoryId;
     @api mapId;
     @api categories = [];
     @api mode = 'create';
+    @api deferSave = false; // Parent saves edits (create and delete are always saved here)
+    @api commentCount = 0; // Comments in the capability's thread
+    @api readOnly = false; // The map's status locks it: no save or delete
+    @api sizes; // The map's sizing scheme (getMapSizes); loaded when not given
+    @api phases; // The map's phases in order (PhaseService.getPhases); loaded when not given
 
     @track name = '';
     @track selectedCategoryId = '';
     @track selectedSize = 'TBD';
-    @track phase = 'Phase 1';
+    @track phase = '';
     @track description = '';
+    @track hoursOverride = null;
+    @track optimisticHours = null;
+    @track pessimisticHours = null;
+    @track confidenceFactor = null;
+    @track complexityFactor = null;
+    @track priority = null; // Blank counts as Medium
+    @track mapSizes = [];
+    @track mapPhases = [];
 
     connectedCallback() {
+        if (!this.sizes) {
+            this.loadSizes();
+        }
         if (this.capability && this.mode === 'edit') {
             this.name = this.capability.Name || '';
             this.selectedCategoryId = this.capability.Capability_Category__c || '';
             this.selectedSize = this.capability.Size__c || 'TBD';
-            this.phase = this.capability.Phase__c || 'Phase 1';
+            this.phase = this.capability.Phase__c || '';
             this.description = this.capability.Description__c || '';
+            this.hoursOverride = toHours(this.capability.Hours_Override__c);
+            this.optimisticHours = toHours(this.capability.Optimistic_Hours__c);
+            this.pessimisticHours = toHours(this.capability.Pessimistic_Hours__c);
+            this.confidenceFactor = toHours(this.capability.Confidence_Factor__c);
+            this.complexityFactor = toHours(this.capability.Complexity_Factor__c);
+            this.priority = this.capability.Priority__c || null;
         } else {
             this.selectedCategoryId = this.categoryId || (this.categories[0]?.Id || '');
         }
+        if (this.phases) {
+            this.selectDefaultPhase();
+        } else {
+            this.loadPhases();
+        }
+    }
+
+    async loadPhases() {
+        if (!this.mapId) return;
+        try {
+            this.mapPhases = await getPhases({ mapId: this.mapId });
+            this.selectDefaultPhase();
+        } catch (error) {
+            console.error('Error loading phases:', error);
+        }
+    }
+
+    // New capabilities start in the map's first phase
+    selectDefaultPhase() {
+        const phases = this.phases || this.mapPhases;
+        if (!this.phase && phases.length > 0) {
+            this.phase = phases[0].Name;
+        }
+    }
+
+    async loadSizes() {
+        if (!this.mapId) return;
+        try {
+            this.mapSizes = await getMapSizes({ mapId: this.mapId });
+        } catch (error) {
+            console.error('Error loading sizes:', error);
+        }
     }
 
     get modalTitle() {
+        if (this.readOnly) return 'Capability';
         return this.mode === 'edit' ? 'Edit Capability' : 'Add Capability';
     }
 
@@ -62,6 +132,10 @@ export default class CapabilityEditModal extends LightningElement {
         return this.mode === 'edit';
     }
 
+    get commentsLabel() {
+        return this.commentCount > 0 ? `Comments (${this.commentCount})` : 'Comments';
+    }
+
     get categoryOptions() {
         return this.categories.map(cat => ({
             value: cat.Id,
@@ -71,15 +145,132 @@ export default class CapabilityEditModal extends LightningElement {
     }
 
     get sizeOptions() {
-        return SIZES.map(size => ({
-            ...size,
-            optionClass: size.id === this.selectedSize ? 'size-option selected' : 'size-option',
+        return (this.sizes || this.mapSizes).map(size => ({
+            id: size.name,
+            label: size.name,
+            value: size.name,
+            optionClass: size.name === this.selectedSize ? 'size-option selected' : 'size-option',
             style: `background-color: ${size.color}; color: ${size.textColor};`
         }));
     }
 
+    // The capability as edited, for estimationModel
+    get draft() {
+        return {
+            Size__c: this.selectedSize,
+            Hours_Override__c: this.hoursOverride,
+            Confidence_Factor__c: this.confidenceFactor,
+            Complexity_Factor__c: this.complexityFactor
+        };
+    }
+
+    get sizeHours() {
+        return (this.sizes || this.mapSizes).find(size => size.name === this.selectedSize)?.hours || 0;
+    }
+
+    get selectedCategory() {
+        return this.categories.find(cat => cat.Id === this.selectedCategoryId);
+    }
+
+    // Most likely hours: the override, otherwise the hours of the size times the factors
+    get mostLikelyHours() {
+        return factoredHours(this.draft, this.sizeHours, this.selectedCategory);
+    }
+
+    get mostLikelyLabel() {
+        return `Most likely: ${hoursBreakdown(this.draft, this.sizeHours, this.selectedCategory)}`;
+    }
+
+    get priorityValue() {
+        return priorityOf({ Priority__c: this.priority });
+    }
+
+    get priorityOptions() {
+        return PRIORITIES.map(priority => ({ value: priority, label: priority }));
+    }
+
+    // A factor that is not a preset stays selectable
+    factorOptions(presets, value) {
+        const options = [...presets];
+        if (value !== null && !options.some(option => Number(option.value) === value)) {
+            options.push({ value: String(value), label: `×${value}` });
+        }
+        return options;
+    }
+
+    get confidenceOptions() {
+        return this.factorOptions(CONFIDENCE_OPTIONS, this.confidenceFactor);
+    }
+
+    get complexityOptions() {
+        return this.factorOptions(COMPLEXITY_OPTIONS, this.complexityFactor);
+    }
+
+    get confidenceValue() {
+        return this.confidenceFactor === null ? '' : String(this.confidenceFactor);
+    }
+
+    get complexityValue() {
+        return this.complexityFactor === null ? '' : String(this.complexityFactor);
+    }
+
+    // Sizes to pick an optimistic or pessimistic value from; picking one copies its hours
+    get rangeSizeOptions() {
+        return [
+            { value: '', label: 'Hours' },
+            ...(this.sizes || this.mapSizes)
+                .filter(size => size.name !== UNSIZED)
+                .map(size => ({ value: size.name, label: `${size.name} (${size.hours}h)` }))
+        ];
+    }
+
+    sizeWithHours(hours) {
+        if (hours === null) return '';
+        return (this.sizes || this.mapSizes).find(size => size.name !== UNSIZED && size.hours === hours)?.name || '';
+    }
+
+    get optimisticSize() {
+        return this.sizeWithHours(this.optimisticHours);
+    }
+
+    get pessimisticSize() {
+        return this.sizeWithHours(this.pessimisticHours);
+    }
+
+    get hasRange() {
+        return this.optimisticHours !== null || this.pessimisticHours !== null;
+    }
+
+    // Shown under the range; Save is disabled while set
+    get estimateError() {
+        if ([this.hoursOverride, this.optimisticHours, this.pessimisticHours].some(hours => hours !== null && !(hours >= 0))) {
+            return 'Hours must be a positive number';
+        }
+        if (this.optimisticHours !== null && this.optimisticHours > this.mostLikelyHours) {
+            return 'Optimistic hours cannot be more than the most likely hours';
+        }
+        if (this.pessimisticHours !== null && this.pessimisticHours < this.mostLikelyHours) {
+            return 'Pessimistic hours cannot be less than the most likely hours';
+        }
+        return '';
+    }
+
+    get expectedLabel() {
+        const point = threePoint({
+            Estimated_Hours__c: this.mostLikelyHours,
+            Optimistic_Hours__c: this.optimisticHours,
+            Pessimistic_Hours__c: this.pessimisticHours
+        });
+        return `Expected ${formatHours(point.expected)} ± ${formatHours(Math.sqrt(point.variance))}`;
+    }
+
+    // The map's phases; a phase the map no longer defines stays selectable for the capability that has it
     get phaseOptions() {
-        return PHASES;
+        const options = (this.phases || this.mapPhases).map(phase => ({ value: phase.Name, label: phase.Name }));
+        if (this.phase && !options.some(option => option.value === this.phase)) {
+            options.push({ value: this.phase, label: this.phase });
+        }
+        return options;
     }
 
     // Handlers
@@ -95,6 +286,36 @@ export default class CapabilityEditModal extends LightningElement {
         this.selectedSize = event.currentTarget.dataset.size;
     }
 
+    handleSizeChange(event) {
+        this.selectedSize = event.detail.value;
+    }
+
+    handleHoursChange(event) {
+        this.hoursOverride = toHours(event.target.value);
+    }
+
+    // data-point is optimistic or pessimistic
+    handleRangeHoursChange(event) {
+        this[`${event.target.dataset.point}Hours`] = toHours(event.target.value);
+    }
+
+    // data-factor is confidence or complexity; 1 is stored as blank
+    handleFactorChange(event) {
+        const factor = toHours(event.detail.value);
+        this[`${event.target.dataset.factor}Factor`] = factor === 1 ? null : factor;
+    }
+
+    handleRangeSizeChange(event) {
+        const size = (this.sizes || this.mapSizes).find(item => item.name === event.detail.value);
+        if (size) {
+            this[`${event.target.dataset.point}Hours`] = size.hours;
+        }
+    }
+
+    handlePriorityChange(event) {
+        this.priority = event.detail.value;
+    }
+
     handlePhaseChange(event) {
         this.phase = event.target.value;
     }
@@ -117,6 +338,11 @@ export default class CapabilityEditModal extends LightningElement {
         this.dispatchEvent(new CustomEvent('close'));
     }
 
+    // The parent opens the thread on top of this modal; unsaved edits stay here
+    handleOpenComments() {
+        this.dispatchEvent(new CustomEvent('comments', { detail: { capabilityId: this.capability.Id } }));
+    }
+
     async handleSave() {
         if (!this.name.trim()) {
             alert('Please enter a name');
@@ -126,9 +352,35 @@ export default class CapabilityEditModal extends LightningElement {
             alert('Please select a category');
             return;
         }
+        if (this.estimateError) {
+            return;
+        }
+        const estimate = {
+            Hours_Override__c: this.hoursOverride,
+            Optimistic_Hours__c: this.optimisticHours,
+            Pessimistic_Hours__c: this.pessimisticHours,
+            Confidence_Factor__c: this.confidenceFactor,
+            Complexity_Factor__c: this.complexityFactor
+        };
+        const recordFields = { ...estimate, Priority__c: this.priority };
 
         try {
-            if (this.mode === 'edit' && this.capability) {
+            if (this.mode === 'edit' && this.capability && this.deferSave) {
+                this.dispatchEvent(new CustomEvent('saved', {
+                    detail: {
+                        capabilityId: this.capability.Id,
+                        fields: {
+                            Name: this.name,
+                            Capability_Category__c: this.selectedCategoryId,
+                            Size__c: this.selectedSize,
+                            Phase__c: this.phase,
+                            Description__c: this.description,
+                            ...recordFields
+                        }
+                    }
+                }));
+                return;
+            } else if (this.mode === 'edit' && this.capability) {
                 await updateCapability({
                     capabilityId: this.capability.Id,
                     name: this.name,
@@ -137,14 +389,18 @@ export default class CapabilityEditModal extends LightningElement {
                     phase: this.phase,
                     description: this.description
                 });
+                await updateCapabilityFields({ capabilityId: this.capability.Id, fields: recordFields });
             } else {
-                await createCapability({
+                const created = await createCapability({
                     categoryId: this.selectedCategoryId,
                     name: this.name,
                     size: this.selectedSize,
                     phase: this.phase,
                     description: this.description
                 });
+                if (Object.values(recordFields).some(value => value !== null)) {
+                    await updateCapabilityFields({ capabilityId: created.Id, fields: recordFields });
+                }
             }
             
             this.dispatchEvent(new CustomEvent('saved'));
@@ -0,0 +1,118 @@
+import {
+    TileCache, VIRTUALIZE_THRESHOLD, BOARD_LAYOUT, memoizeOne, indexByCategory, columnHeight, visibleArea, windowBoard
+} from '../boardModel';
+
+const { columnWidth, columnGap, tileHeight, rowGap } = BOARD_LAYOUT;
+const pitch = columnWidth + columnGap;
+const rowPitch = tileHeight + rowGap;
+
+// 30 columns of 20 tiles
+function largeBoard() {
+    return Array.from({ length: 30 }, (_, col) => ({
+        Id: `cat${col}`,
+        Name: `Category ${col}`,
+        capabilities: Array.from({ length: 20 }, (__, row) => ({ Id: `cap${col}-${row}` }))
+    }));
+}
+
+const viewport = { width: 800, height: 600 };
+
+describe('visibleArea', () => {
+    it('converts the pan and zoom to board coordinates', () => {
+        expect(visibleArea({ zoom: 1, x: -160, y: -80 }, viewport)).toEqual({ left: 160, top: 80, right: 960, bottom: 680 });
+        expect(visibleArea({ zoom: 0.5, x: -100, y: -50 }, viewport)).toEqual({ left: 200, top: 100, right: 1800, bottom: 1300 });
+    });
+});
+
+describe('windowBoard', () => {
+    it('renders only the columns and tiles in the viewport, plus overscan', () => {
+        const board = largeBoard();
+        expect(board.length * 20).toBeGreaterThanOrEqual(VIRTUALIZE_THRESHOLD);
+
+        const { columns, leftSpacer, rightSpacer } = windowBoard(board, visibleArea({ zoom: 1, x: 0, y: 0 }, viewport));
+
+        // Columns 0-4 are visible, two more are overscan
+        expect(columns.map(column => column.Id)).toEqual(['cat0', 'cat1', 'cat2', 'cat3', 'cat4', 'cat5', 'cat6']);
+        expect(leftSpacer).toBeNull();
+        expect(rightSpacer).toEqual({ width: 23 * pitch - columnGap, height: columnHeight(20) });
+
+        // Rows 0-9 are visible, six more are overscan
+        const [first] = columns;
+        expect(first.capabilities.map(cap => cap.Id)).toEqual(board[0].capabilities.slice(0, 16).map(cap => cap.Id));
+        expect(first.topSpacer).toBe(0);
+        expect(first.bottomSpacer).toBe(4 * rowPitch - rowGap);
+        expect(first.nextId).toBe('cap0-16');
+    });
+
+    it('follows the viewport when the board is panned', () => {
+        const board = largeBoard();
+        const area = visibleArea({ zoom: 1, x: -10 * pitch, y: -10 * rowPitch }, viewport);
+
+        const { columns, leftSpacer } = windowBoard(board, area);
+
+        expect(columns[0].Id).toBe('cat8');
+        expect(columns[columns.length - 1].Id).toBe('cat16');
+        expect(leftSpacer).toEqual({ width: 8 * pitch - columnGap, height: columnHeight(20) });
+        expect(columns[0].capabilities[0].Id).toBe('cap8-3');
+        expect(columns[0].topSpacer).toBe(3 * rowPitch - rowGap);
+        expect(columns[0].bottomSpacer).toBe(0);
+        expect(columns[0].nextId).toBeNull();
+    });
+});
+
+describe('TileCache', () => {
+    const cap = { Id: 'a01', Name: 'Lead Scoring', Size__c: 'M', Color__c: '#3B82F6', Calculated_Hours__c: 16 };
+
+    it('returns the same tile for an unchanged record and display state', () => {
+        const cache = new TileCache();
+        const tile = cache.get(cap, false, true, false);
+
+        expect(cache.get(cap, false, true, false)).toBe(tile);
+        expect(tile).toMatchObject({ Id: 'a01', displayHours: 16, tileClass: 'capability-tile' });
+    });
+
+    it('builds a new tile when the record is replaced or its display state changes', () => {
+        const cache = new TileCache();
+        const tile = cache.get(cap, false, true, false);
+
+        const edited = cache.get({ ...cap, Name: 'Scoring' }, false, true, false);
+        expect(edited).not.toBe(tile);
+        expect(edited.Name).toBe('Scoring');
+
+        const selected = cache.get(cap, true, true, false);
+        expect(selected).not.toBe(tile);
+        expect(selected.tileClass).toBe('capability-tile multi-selected');
+        expect(cache.get(cap, true, true, false, 'Needs Discovery first')).not.toBe(selected);
+    });
+
+    it('drops every tile when the sizing scheme changes', () => {
+        const cache = new TileCache();
+        const tile = cache.get(cap, false, true, false);
+
+        cache.setSizes(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL']);
+        expect(cache.get(cap, false, true, false)).toBe(tile);
+
+        cache.setSizes(['S', 'M', 'L']);
+        expect(cache.get(cap, false, true, false)).not.toBe(tile);
+    });
+});
+
+describe('memoizeOne and indexByCategory', () => {
+    it('recomputes only when an argument changes', () => {
+        const index = jest.fn(indexByCategory);
+        const memoized = memoizeOne(index);
+        const capabilities = [
+            { Id: 'b', Capability_Category__c: 'x', Sort_Order__c: 2 },
+            { Id: 'a', Capability_Category__c: 'x', Sort_Order__c: 1 },
+            { Id: 'c', Capability_Category__c: 'y', Sort_Order__c: 1 }
+        ];
+
+        const first = memoized(capabilities);
+        expect(memoized(capabilities)).toBe(first);
+        expect(index).toHaveBeenCalledTimes(1);
+        expect(first.get('x').map(cap => cap.Id)).toEqual(['a', 'b']);
+
+        memoized([...capabilities]);
+        expect(index).toHaveBeenCalledTimes(2);
+    });
+});
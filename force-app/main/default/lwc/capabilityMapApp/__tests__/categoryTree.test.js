@@ -0,0 +1,99 @@
+import { buildTree, nestingError, moveInTree, rollups, ancestorIds, MAX_DEPTH } from '../categoryTree';
+
+// Sales > Leads > Scoring, and Service on the top level
+const categories = [
+    { Id: 'sales', Name: 'Sales', Parent_Category__c: null },
+    { Id: 'leads', Name: 'Leads', Parent_Category__c: 'sales' },
+    { Id: 'scoring', Name: 'Scoring', Parent_Category__c: 'leads' },
+    { Id: 'service', Name: 'Service', Parent_Category__c: null }
+];
+
+// A chain of MAX_DEPTH categories, each under the previous one
+function chain() {
+    return Array.from({ length: MAX_DEPTH }, (_, i) => ({
+        Id: `level${i + 1}`,
+        Parent_Category__c: i === 0 ? null : `level${i}`
+    }));
+}
+
+describe('buildTree', () => {
+    it('orders categories depth-first with their depth', () => {
+        const tree = buildTree(categories);
+
+        expect(tree.order).toEqual(['sales', 'leads', 'scoring', 'service']);
+        expect(tree.roots).toEqual(['sales', 'service']);
+        expect(tree.nodes.get('scoring').depth).toBe(2);
+        expect(ancestorIds(tree, 'scoring')).toEqual(['sales', 'leads']);
+    });
+
+    it('makes categories in a cycle or with an unknown parent top-level', () => {
+        const tree = buildTree([
+            { Id: 'a', Parent_Category__c: 'b' },
+            { Id: 'b', Parent_Category__c: 'a' },
+            { Id: 'c', Parent_Category__c: 'elsewhere' }
+        ]);
+
+        expect(tree.roots).toEqual(['a', 'b', 'c']);
+        expect(tree.order).toEqual(['a', 'b', 'c']);
+    });
+});
+
+describe('nestingError', () => {
+    it('rejects moving a category under itself or one of its subcategories', () => {
+        const tree = buildTree(categories);
+        const cycle = 'A category cannot be moved under itself or one of its subcategories';
+
+        expect(nestingError(tree, 'sales', 'sales')).toBe(cycle);
+        expect(nestingError(tree, 'sales', 'leads')).toBe(cycle);
+        expect(nestingError(tree, 'sales', 'scoring')).toBe(cycle);
+        expect(nestingError(tree, 'scoring', 'sales')).toBeNull();
+        expect(nestingError(tree, 'scoring', null)).toBeNull();
+    });
+
+    it('rejects nesting deeper than the depth limit, counting the moved subtree', () => {
+        const tree = buildTree([...chain(), ...categories]);
+        const tooDeep = `Categories can be nested at most ${MAX_DEPTH} levels deep`;
+
+        expect(nestingError(tree, 'service', `level${MAX_DEPTH}`)).toBe(tooDeep);
+        expect(nestingError(tree, 'service', `level${MAX_DEPTH - 1}`)).toBeNull();
+        // Sales brings two levels of subcategories along
+        expect(nestingError(tree, 'sales', `level${MAX_DEPTH - 2}`)).toBe(tooDeep);
+        expect(nestingError(tree, 'sales', `level${MAX_DEPTH - 3}`)).toBeNull();
+    });
+});
+
+describe('moveInTree', () => {
+    it('moves a category with its subcategories before a sibling', () => {
+        const tree = buildTree(categories);
+
+        expect(moveInTree(tree, 'leads', 'service', null)).toEqual({ order: ['sales', 'service', 'leads', 'scoring'] });
+        expect(moveInTree(tree, 'service', null, 'sales')).toEqual({ order: ['service', 'sales', 'leads', 'scoring'] });
+        expect(moveInTree(tree, 'scoring', null, 'service')).toEqual({ order: ['sales', 'leads', 'scoring', 'service'] });
+    });
+
+    it('returns the error instead of an order for an invalid move', () => {
+        const { order, error } = moveInTree(buildTree(categories), 'sales', 'scoring', null);
+
+        expect(order).toBeUndefined();
+        expect(error).toMatch(/cannot be moved under itself/);
+    });
+});
+
+describe('rollups', () => {
+    it('adds the capabilities and hours of every level below a category', () => {
+        const own = {
+            sales: { count: 1, hours: 8 },
+            leads: { count: 2, hours: 20 },
+            scoring: { count: 3, hours: 100 },
+            service: { count: 0, hours: 0 }
+        };
+
+        const totals = rollups(buildTree(categories), id => own[id]);
+
+        expect(totals.get('scoring')).toEqual({ count: 3, hours: 100 });
+        expect(totals.get('leads')).toEqual({ count: 5, hours: 120 });
+        expect(totals.get('sales')).toEqual({ count: 6, hours: 128 });
+        expect(totals.get('service')).toEqual({ count: 0, hours: 0 });
+        expect(own.sales).toEqual({ count: 1, hours: 8 });
+    });
+});
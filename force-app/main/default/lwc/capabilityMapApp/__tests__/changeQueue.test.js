@@ -0,0 +1,54 @@
+import { ChangeQueue, SAVE_DEBOUNCE_MS, SAVE_STATUS } from '../changeQueue';
+
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('ChangeQueue', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('saves queued edits once the debounce runs', async () => {
+        const save = jest.fn().mockResolvedValue({});
+        const queue = new ChangeQueue({ save });
+
+        queue.enqueueCapability('a01', { Name: 'First' }, { Id: 'a01', Name: 'Old' });
+        jest.advanceTimersByTime(SAVE_DEBOUNCE_MS - 1);
+        queue.enqueueCapability('a01', { Name: 'Second' }, { Id: 'a01', Name: 'Old' });
+        jest.advanceTimersByTime(SAVE_DEBOUNCE_MS - 1);
+
+        expect(save).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        await flushPromises();
+
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(save.mock.calls[0][0].capabilityChanges[0]).toMatchObject({ Id: 'a01', Name: 'Second' });
+        expect(queue.status).toBe(SAVE_STATUS.SAVED);
+    });
+
+    it('backs off before retrying a failed save', async () => {
+        const save = jest.fn().mockRejectedValueOnce(new Error('Offline')).mockResolvedValue({});
+        const queue = new ChangeQueue({ save });
+
+        queue.enqueueCapability('a01', { Size__c: 'M' }, { Id: 'a01', Size__c: 'S' });
+        jest.advanceTimersByTime(SAVE_DEBOUNCE_MS);
+        await flushPromises();
+
+        expect(queue.status).toBe(SAVE_STATUS.ERROR);
+
+        jest.advanceTimersByTime(SAVE_DEBOUNCE_MS);
+        await flushPromises();
+
+        expect(save).toHaveBeenCalledTimes(1);
+
+        jest.runOnlyPendingTimers();
+        await flushPromises();
+
+        expect(save).toHaveBeenCalledTimes(2);
+        expect(queue.status).toBe(SAVE_STATUS.SAVED);
+    });
+});
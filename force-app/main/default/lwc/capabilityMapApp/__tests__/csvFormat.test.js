@@ -0,0 +1,30 @@
+import { CSV_COLUMNS, capabilitiesToCsv, parseCsv } from '../csvFormat';
+
+describe('csvFormat', () => {
+    it('round-trips capabilities with their parent category', () => {
+        const categories = [
+            { Id: 'c01', Name: 'Sales', capabilities: [] },
+            {
+                Id: 'c02',
+                Name: 'Leads',
+                Parent_Category__c: 'c01',
+                capabilities: [{ Id: 'a01', Name: 'Scoring, routing', Size__c: 'M', Phase__c: 'Phase 1' }]
+            }
+        ];
+        const roles = [{ Id: 'r01', Name: 'Consultant' }];
+        const assignments = [{ Capability__c: 'a01', Capability_Role__c: 'r01', Allocation_Percent__c: 50 }];
+
+        const { columns, rows } = parseCsv(capabilitiesToCsv(categories, roles, assignments));
+
+        expect(columns).toEqual([...CSV_COLUMNS, 'Role: Consultant']);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toMatchObject({
+            Id: 'a01',
+            Category: 'Leads',
+            'Parent Category': 'Sales',
+            Name: 'Scoring, routing',
+            Size: 'M',
+            'Role: Consultant': '50'
+        });
+    });
+});
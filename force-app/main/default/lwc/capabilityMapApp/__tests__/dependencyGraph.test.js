@@ -0,0 +1,32 @@
+import { phaseRanks, phaseConflicts } from '../dependencyGraph';
+
+const capabilities = [
+    { Id: 'a01', Name: 'Go-live checklist', Phase__c: 'Discovery' },
+    { Id: 'a02', Name: 'Data model', Phase__c: 'Go-live' }
+];
+const capabilitiesById = new Map(capabilities.map(cap => [cap.Id, cap]));
+// The checklist needs the data model
+const dependencies = [{ Id: 'd01', Capability__c: 'a01', Depends_On__c: 'a02' }];
+
+describe('phaseConflicts', () => {
+    it('checks unnumbered phases in the map order', () => {
+        const ranks = phaseRanks([{ Name: 'Discovery' }, { Name: 'Build' }, { Name: 'Go-live' }]);
+
+        const { warnings, violationIds } = phaseConflicts(dependencies, capabilitiesById, ranks);
+
+        expect(violationIds.has('d01')).toBe(true);
+        expect(warnings.get('a01')).toBe('Scheduled in Discovery but depends on "Data model" (Go-live)');
+    });
+
+    it('follows the phases when they are reordered', () => {
+        const ranks = phaseRanks([{ Name: 'Go-live' }, { Name: 'Build' }, { Name: 'Discovery' }]);
+
+        expect(phaseConflicts(dependencies, capabilitiesById, ranks).violationIds.size).toBe(0);
+    });
+
+    it('skips phases the map does not define', () => {
+        const ranks = phaseRanks([{ Name: 'Discovery' }]);
+
+        expect(phaseConflicts(dependencies, capabilitiesById, ranks).violationIds.size).toBe(0);
+    });
+});
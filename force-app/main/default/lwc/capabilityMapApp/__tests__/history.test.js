@@ -0,0 +1,49 @@
+import { HistoryStack } from '../history';
+
+function update(id, field, from, to) {
+    return {
+        label: `Edit ${id}`,
+        redo: { op: 'updateCapabilities', params: { changes: [{ Id: id, [field]: to }] } },
+        undo: { op: 'updateCapabilities', params: { changes: [{ Id: id, [field]: from }] } }
+    };
+}
+
+describe('HistoryStack', () => {
+    it('resolves aliased Ids in Id and lookup parameters only', () => {
+        const history = new HistoryStack();
+        history.registerAliases({ a01: 'a02' });
+
+        const params = history.resolve({
+            ids: ['a01', 'a03'],
+            changes: [{ Id: 'a01', Name: 'a01', Description__c: 'a01' }],
+            records: [{ Id: 'a01', Capability_Category__c: 'a01', prerequisites: ['a01'] }]
+        });
+
+        expect(params.ids).toEqual(['a02', 'a03']);
+        expect(params.changes[0]).toEqual({ Id: 'a02', Name: 'a01', Description__c: 'a01' });
+        expect(params.records[0]).toEqual({ Id: 'a02', Capability_Category__c: 'a02', prerequisites: ['a02'] });
+    });
+
+    it('forgets the entries of changed records and keeps the others', () => {
+        const history = new HistoryStack();
+        history.push(update('a01', 'Name', 'Old', 'New'));
+        history.push(update('a02', 'Size__c', 'S', 'M'));
+        history.push(update('a03', 'Phase__c', 'Phase 1', 'Phase 2'));
+        history.commitUndo();
+
+        expect(history.forget(['a02'])).toBe(1);
+
+        expect(history.entries.map(entry => entry.label)).toEqual(['Edit a01', 'Edit a03']);
+        expect(history.peekUndo().label).toBe('Edit a01');
+        expect(history.peekRedo().label).toBe('Edit a03');
+    });
+
+    it('forgets entries through aliases', () => {
+        const history = new HistoryStack();
+        history.push(update('a01', 'Name', 'Old', 'New'));
+        history.registerAliases({ a01: 'a05' });
+
+        expect(history.forget(['a05'])).toBe(1);
+        expect(history.canUndo).toBe(false);
+    });
+});
@@ -0,0 +1,96 @@
+import { buildRoadmap, shareWeeks, timeTicks, MIN_BAR_WEEKS, GROUP_BY_ROLE } from '../roadmapLayout';
+import { DEFAULT_WEEKLY_HOURS } from 'c/capacityModel';
+
+// Phase 1 runs two weeks; Phase 2 has no dates and follows it
+const phases = [
+    { Name: 'Phase 1', Color__c: '#111111', Start_Date__c: '2027-01-04', End_Date__c: '2027-01-17' },
+    { Name: 'Phase 2', Color__c: '#222222' }
+];
+const categories = [{ Id: 'sales', Name: 'Sales' }, { Id: 'service', Name: 'Service' }];
+const roles = [{ Id: 'dev', Name: 'Developer', Color__c: '#AA0000' }, { Id: 'pm', Name: 'Project Manager' }];
+const capabilities = [
+    { Id: 'a', Name: 'Case Routing', Capability_Category__c: 'service', Phase__c: 'Phase 1', Calculated_Hours__c: 80 },
+    { Id: 'b', Name: 'Lead Scoring', Capability_Category__c: 'sales', Phase__c: 'Phase 1', Calculated_Hours__c: 40 },
+    { Id: 'c', Name: 'Quotes', Capability_Category__c: 'sales', Phase__c: 'Phase 1', Calculated_Hours__c: 0 },
+    { Id: 'd', Name: 'Forecasting', Capability_Category__c: 'sales', Phase__c: 'Phase 2', Calculated_Hours__c: 120 }
+];
+const roleAssignments = [
+    { Capability__c: 'a', Capability_Role__c: 'dev', Allocation_Percent__c: 100 },
+    { Capability__c: 'b', Capability_Role__c: 'dev', Allocation_Percent__c: 50 },
+    { Capability__c: 'b', Capability_Role__c: 'pm', Allocation_Percent__c: 50 }
+];
+
+const rowsOf = group => group.rows.map(row => [row.id, row.startWeek, row.weeks]);
+
+describe('shareWeeks', () => {
+    it('divides hours by the weekly hours of one person', () => {
+        expect(shareWeeks(DEFAULT_WEEKLY_HOURS * 3)).toBe(3);
+        expect(shareWeeks(20)).toBe(20 / DEFAULT_WEEKLY_HOURS);
+    });
+
+    it('keeps unsized work visible', () => {
+        expect(shareWeeks(0)).toBe(MIN_BAR_WEEKS);
+        expect(shareWeeks(1)).toBe(MIN_BAR_WEEKS);
+    });
+});
+
+describe('buildRoadmap', () => {
+    it('places dated phases on their dates and undated phases after them', () => {
+        const roadmap = buildRoadmap(phases, capabilities, { categories, roles, roleAssignments });
+        const [first, second] = roadmap.bands;
+
+        expect(roadmap.start).toEqual(new Date(2027, 0, 4));
+        expect(roadmap.weeks).toBe(5);
+        expect([first.startWeek, first.endWeek, first.hours, first.overrun]).toEqual([0, 2, 120, false]);
+        // 120 unassigned hours take three weeks
+        expect([second.startWeek, second.endWeek, second.hours]).toEqual([2, 5, 120]);
+        expect(rowsOf(second.groups[0])).toEqual([['d', 2, 3]]);
+    });
+
+    it('groups by category in category order, one bar after the other', () => {
+        const [first] = buildRoadmap(phases, capabilities, { categories, roles, roleAssignments }).bands;
+
+        expect(first.groups.map(group => group.label)).toEqual(['Sales', 'Service']);
+        // Lead Scoring's roles work in parallel on 20 hours each; Quotes has no hours
+        expect(rowsOf(first.groups[0])).toEqual([['b', 0, 0.5], ['c', 0.5, MIN_BAR_WEEKS]]);
+        expect(rowsOf(first.groups[1])).toEqual([['a', 0, 2]]);
+        expect(first.groups[1].rows[0].color).toBe('#111111');
+    });
+
+    it('groups by role with a bar per share and flags work past the phase end', () => {
+        const [first] = buildRoadmap(phases, capabilities, {
+            groupBy: GROUP_BY_ROLE, categories, roles, roleAssignments
+        }).bands;
+
+        expect(first.groups.map(group => group.label)).toEqual(['Developer', 'Project Manager', 'Unassigned']);
+        expect(rowsOf(first.groups[0])).toEqual([['a', 0, 2], ['b', 2, 0.5]]);
+        expect(first.groups[0].rows.map(row => [row.hours, row.late, row.color]))
+            .toEqual([[80, false, '#AA0000'], [20, true, '#AA0000']]);
+        expect(first.groups[1].rows[0]).toMatchObject({ id: 'b', hours: 20, color: '#111111' });
+        expect(rowsOf(first.groups[2])).toEqual([['c', 0, MIN_BAR_WEEKS]]);
+        expect(first.overrun).toBe(true);
+    });
+
+    it('adds a band for phases the map does not define', () => {
+        const roadmap = buildRoadmap([], [{ Id: 'x', Name: 'Legacy', Phase__c: 'Phase 9', Calculated_Hours__c: 8 }]);
+
+        expect(roadmap.start).toBeNull();
+        expect(roadmap.bands.map(band => [band.name, band.color, band.startWeek, band.endWeek]))
+            .toEqual([['Phase 9', '#9CA3AF', 0, 1]]);
+    });
+});
+
+describe('timeTicks', () => {
+    it('counts weeks without dates and labels every few weeks on long roadmaps', () => {
+        expect(timeTicks({ start: null, weeks: 2 }).map(tick => tick.label)).toEqual(['W1', 'W2', 'W3']);
+        expect(timeTicks({ start: null, weeks: 60 }, 20).map(tick => tick.week).slice(0, 3)).toEqual([0, 3, 6]);
+    });
+
+    it('labels dated roadmaps with the date each week starts', () => {
+        const start = new Date(2027, 0, 4);
+        const [, second] = timeTicks({ start, weeks: 1 });
+        const expected = new Date(2027, 0, 11).toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+
+        expect(second).toEqual({ week: 1, label: expected });
+    });
+});
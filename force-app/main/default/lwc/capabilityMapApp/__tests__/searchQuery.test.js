@@ -0,0 +1,62 @@
+import { parseQuery, matchesQuery, queryValues, removeQueryValue } from '../searchQuery';
+
+const context = {
+    roleNamesOf: cap => (cap.roles || []).map(name => name.toLowerCase()),
+    categoryNameOf: cap => (cap.category || '').toLowerCase(),
+    hoursOf: cap => cap.hours || 0
+};
+
+describe('parseQuery', () => {
+    it('parses fields, alternatives, quotes and negation', () => {
+        const query = parseQuery('size:L,XL phase:"Phase 2" -desc:legacy hours>=40 lead');
+
+        expect(query.errors).toHaveLength(0);
+        expect(query.terms.map(term => [term.field, term.op, term.values, term.negate])).toEqual([
+            ['size', ':', ['l', 'xl'], false],
+            ['phase', ':', ['phase 2'], false],
+            ['desc', ':', ['legacy'], true],
+            ['hours', '>=', ['40'], false],
+            ['text', ':', ['lead'], false]
+        ]);
+    });
+
+    it('reports invalid terms without dropping the others', () => {
+        const query = parseQuery('colour:red size:Huge hours>many phase>2 "open', { sizes: ['S', 'M', 'L'] });
+
+        expect(query.errors.map(term => term.raw)).toEqual(['colour:red', 'size:Huge', 'hours>many', 'phase>2', '"open']);
+        expect(query.errors[1].error).toBe('Unknown size Huge (use S, M, L)');
+        expect(query.errors[3].error).toBe('Only hours can be compared with >');
+        expect(query.errors[4].error).toBe('Missing closing quote');
+    });
+
+    it('resolves field aliases', () => {
+        expect(parseQuery('cat:sales roles:architect').terms.map(term => term.field)).toEqual(['category', 'role']);
+    });
+});
+
+describe('matchesQuery', () => {
+    const cap = {
+        Name: 'Lead Scoring', Size__c: 'L', Phase__c: 'Phase 2', Description__c: 'Rules engine',
+        roles: ['Architect'], category: 'Sales', hours: 48
+    };
+
+    it('needs every term to match', () => {
+        expect(matchesQuery(cap, parseQuery('size:M,L phase:2 role:arch hours>40'), context)).toBe(true);
+        expect(matchesQuery(cap, parseQuery('size:L hours<40'), context)).toBe(false);
+    });
+
+    it('negates terms and ignores invalid ones', () => {
+        expect(matchesQuery(cap, parseQuery('-category:sales'), context)).toBe(false);
+        expect(matchesQuery(cap, parseQuery('scoring colour:red'), context)).toBe(true);
+    });
+});
+
+describe('query editing', () => {
+    it('reads and removes the values of a field', () => {
+        const query = parseQuery('size:S,L phase:"Phase 1" lead');
+
+        expect(queryValues(query, 'size')).toEqual(['s', 'l']);
+        expect(removeQueryValue(query, 'size', value => value === 's')).toBe('size:L phase:"Phase 1" lead');
+        expect(removeQueryValue(query, 'phase', () => true)).toBe('size:S,L lead');
+    });
+});
@@ -0,0 +1,234 @@
+/**
+ * ============================================================
+ * boardModel.js
+ * ============================================================
+ * @description    View model and windowing for the capability board
+ *                 Large maps (thousands of capabilities from stacked
+ *                 templates) stay interactive because:
+ *                 - capabilities are indexed by category once per change
+ *                   of the capabilities array instead of once per column
+ *                 - each stage is memoized on the identity of its inputs;
+ *                   edits replace only the records they touch, so
+ *                   unchanged records keep their cached tile objects
+ *                 - only the columns and tiles inside the viewport (plus
+ *                   some overscan) are rendered; spacers keep the board's
+ *                   size. Column and tile sizes are fixed in the CSS, so
+ *                   positions are computed rather than measured.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.28.0
+ *
+ * CHANGELOG:
+ * v2.15.0  2026-10-18  Initial version
+ * v2.17.0  2026-10-18  Tiles carry a dependency warning
+ * v2.18.0  2026-10-18  Tiles carry a comment badge
+ * v2.22.0  2026-10-18  Tile shades follow the map's sizing scheme
+ * v2.28.0  2026-10-18  Tiles carry a tooltip with the breakdown of their hours
+ * ============================================================
+ */
+import { generateColorShades, getTextColor, DEFAULT_SIZES } from './colorThemes';
+
+// Keep in sync with .category-column, .category-header, .capability-tile and .add-tile
+export const BOARD_LAYOUT = {
+    columnWidth: 160,
+    columnGap: 8,
+    headerHeight: 44,
+    tileHeight: 52,
+    rowGap: 4,
+    addTileHeight: 38
+};
+
+// Boards smaller than this render every tile (drag-and-drop can reach everything)
+export const VIRTUALIZE_THRESHOLD = 400;
+const OVERSCAN_COLUMNS = 2;
+const OVERSCAN_ROWS = 6;
+const DEFAULT_COLOR = '#9CA3AF'; // Grey when no color is assigned
+
+/**
+ * Wrap a function so repeated calls with the same arguments (compared with ===)
+ * return the previous result
+ */
+export function memoizeOne(fn) {
+    let lastArgs = null;
+    let lastResult;
+    return (...args) => {
+        if (lastArgs && args.length === lastArgs.length && args.every((arg, i) => arg === lastArgs[i])) {
+            return lastResult;
+        }
+        lastResult = fn(...args);
+        lastArgs = args;
+        return lastResult;
+    };
+}
+
+// Category Id -> capabilities sorted by Sort_Order__c
+export function indexByCategory(capabilities) {
+    const index = new Map();
+    capabilities.forEach(cap => {
+        const list = index.get(cap.Capability_Category__c);
+        if (list) {
+            list.push(cap);
+        } else {
+            index.set(cap.Capability_Category__c, [cap]);
+        }
+    });
+    index.forEach(list => list.sort((a, b) => (a.Sort_Order__c || 0) - (b.Sort_Order__c || 0)));
+    return index;
+}
+
+/**
+ * Tile view models, reused while the record and its display state are unchanged
+ * Records are cached by identity, so a record that an edit replaced gets a new tile.
+ */
+export class TileCache {
+    constructor() {
+        this.tiles = new WeakMap();
+        this.shades = new Map();
+        this.sizes = DEFAULT_SIZES;
+    }
+
+    // Size names of the map's scheme; another scheme invalidates every cached tile
+    setSizes(sizes) {
+        if (sizes.join('|') === this.sizes.join('|')) {
+            return;
+        }
+        this.sizes = sizes;
+        this.tiles = new WeakMap();
+        this.shades = new Map();
+    }
+
+    // warning: why the tile breaks the phase order of its dependencies, or undefined
+    // comments: { total, open, unread } for the tile's thread, or undefined
+    // breakdown: how the tile's hours come about (estimationModel.hoursBreakdown)
+    get(cap, isSelected, matchesFilter, isBlurred, warning, comments, breakdown) {
+        const key = `${isSelected}|${matchesFilter}|${isBlurred}|${warning || ''}`
+            + `|${comments?.total || 0}/${comments?.open || 0}/${comments?.unread || 0}|${breakdown || ''}`;
+        const cached = this.tiles.get(cap);
+        if (cached && cached.key === key) {
+            return cached.tile;
+        }
+
+        const bgColor = this.shadesOf(cap.Color__c || DEFAULT_COLOR)[cap.Size__c] || '#E8E8E8';
+        let tileClass = 'capability-tile';
+        if (isSelected) tileClass += ' multi-selected';
+        if (isBlurred) tileClass += ' blurred';
+        if (warning) tileClass += ' has-warning';
+
+        const tile = {
+            ...cap,
+            isSelected,
+            matchesFilter,
+            warning,
+            ...commentBadge(comments),
+            displayHours: cap.Calculated_Hours__c || 0,
+            displayPhase: cap.Phase__c || '',
+            tileTitle: breakdown ? `${cap.Name}\n${breakdown}` : cap.Name,
+            tileStyle: `background-color: ${bgColor}; color: ${getTextColor(bgColor)}`,
+            tileClass
+        };
+        this.tiles.set(cap, { key, tile });
+        return tile;
+    }
+
+    shadesOf(color) {
+        let shades = this.shades.get(color);
+        if (!shades) {
+            shades = generateColorShades(color, this.sizes);
+            this.shades.set(color, shades);
+        }
+        return shades;
+    }
+}
+
+// Unread comments get a highlighted count; read threads a quiet marker
+function commentBadge(comments) {
+    if (!comments || comments.total === 0) {
+        return { hasComments: false };
+    }
+    const title = `${comments.total} comments, ${comments.open} open`;
+    return comments.unread > 0
+        ? {
+            hasComments: true,
+            commentBadgeLabel: `💬 ${comments.unread}`,
+            commentBadgeClass: 'comment-badge unread',
+            commentBadgeTitle: `${comments.unread} unread · ${title}`
+        }
+        : {
+            hasComments: true,
+            commentBadgeLabel: '💬',
+            commentBadgeClass: comments.open > 0 ? 'comment-badge' : 'comment-badge resolved',
+            commentBadgeTitle: title
+        };
+}
+
+// Height of a column with the given number of tiles (header, tiles, add button)
+export function columnHeight(tileCount) {
+    const { headerHeight, tileHeight, rowGap, addTileHeight } = BOARD_LAYOUT;
+    return headerHeight + rowGap + tileCount * (tileHeight + rowGap) + addTileHeight;
+}
+
+// Column rectangles in unscaled board coordinates
+export function columnRects(columns) {
+    const { columnWidth, columnGap } = BOARD_LAYOUT;
+    return columns.map((column, index) => ({
+        id: column.Id,
+        name: column.Name,
+        x: index * (columnWidth + columnGap),
+        y: 0,
+        width: columnWidth,
+        height: columnHeight(column.capabilities.length)
+    }));
+}
+
+// The part of the board the viewport shows, in board coordinates
+export function visibleArea(view, viewport) {
+    return {
+        left: -view.x / view.zoom,
+        top: -view.y / view.zoom,
+        right: (viewport.width - view.x) / view.zoom,
+        bottom: (viewport.height - view.y) / view.zoom
+    };
+}
+
+/**
+ * Limit a board to what is visible
+ * Returns { columns, leftSpacer, rightSpacer } where hidden columns are replaced
+ * by spacers and each rendered column carries only its visible tiles plus
+ * topSpacer/bottomSpacer heights (0 when nothing is hidden).
+ * nextId on a column is the first tile below the window, for drop targeting.
+ */
+export function windowBoard(columns, area) {
+    const { columnWidth, columnGap, headerHeight, tileHeight, rowGap } = BOARD_LAYOUT;
+    const pitch = columnWidth + columnGap;
+    const first = Math.max(0, Math.floor(area.left / pitch) - OVERSCAN_COLUMNS);
+    const last = Math.min(columns.length - 1, Math.floor(area.right / pitch) + OVERSCAN_COLUMNS);
+
+    const rowPitch = tileHeight + rowGap;
+    const tilesTop = headerHeight + rowGap;
+    const firstRow = Math.max(0, Math.floor((area.top - tilesTop) / rowPitch) - OVERSCAN_ROWS);
+    const lastRow = Math.floor((area.bottom - tilesTop) / rowPitch) + OVERSCAN_ROWS;
+
+    const hiddenHeight = list => list.reduce((max, column) => Math.max(max, columnHeight(column.capabilities.length)), 0);
+    const spacer = (list, count) => (count > 0
+        ? { width: count * pitch - columnGap, height: hiddenHeight(list) }
+        : null);
+
+    const visible = columns.slice(first, last + 1).map(column => {
+        const tiles = column.capabilities;
+        const start = Math.min(firstRow, tiles.length);
+        const end = Math.max(start, Math.min(tiles.length, lastRow + 1));
+        return {
+            ...column,
+            capabilities: tiles.slice(start, end),
+            topSpacer: start > 0 ? start * rowPitch - rowGap : 0,
+            bottomSpacer: end < tiles.length ? (tiles.length - end) * rowPitch - rowGap : 0,
+            nextId: end < tiles.length ? tiles[end].Id : null
+        };
+    });
+
+    return {
+        columns: visible,
+        leftSpacer: spacer(columns.slice(0, first), first),
+        rightSpacer: spacer(columns.slice(last + 1), columns.length - last - 1)
+    };
+}
@@ -0,0 +1,681 @@
+/**
+ * ============================================================
+ * canvasExport.js
+ * ============================================================
+ * @description    Image and document export of the capability map
+ *                 Draws categories, tiles (same size shading as the canvas),
+ *                 the phase legend and totals as SVG. PNG is rasterized from
+ *                 the SVG in the browser; PDF pages embed those rasters, so no
+ *                 print dialog or external library is needed. The roadmap
+ *                 (see roadmapLayout.js) and the estimate (see estimationModel)
+ *                 are drawn the same way.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.28.0
+ *
+ * CHANGELOG:
+ * v2.28.0  2026-10-18  Estimate page shows the hours added by estimate factors
+ * v2.27.0  2026-10-18  Three-point estimates: expected hours and P50/P80/P90 in totals, estimate KPIs and tables
+ * v2.26.0  2026-10-18  Estimate page (renderEstimateSvg); totals show cost, TBD coverage and override share
+ * v2.24.0  2026-10-18  Roadmap export (renderRoadmapSvg, paginateRoadmap)
+ * v2.22.0  2026-10-18  Shading and size legend follow the map's sizing scheme
+ * v2.16.0  2026-10-18  Subcategory headers show their nesting depth
+ * v2.12.0  2026-10-18  Initial version (SVG, PNG, multi-page PDF)
+ * ============================================================
+ */
+
+import { generateColorShades, getTextColor, DEFAULT_PHASE_COLORS, DEFAULT_SIZES } from './colorThemes';
+import { timeTicks, WEEK_WIDTH } from './roadmapLayout';
+import { stackedBarLayout, donutLayout, formatMoney, formatHours, formatPercentiles } from 'c/estimationModel';
+
+const DEFAULT_TILE_COLOR = '#9CA3AF';
+// Left bar of subcategory headers per depth; mirrors .subsection-header.depth-N
+const DEPTH_COLORS = ['#0176D3', '#56A4E8', '#9BCBF2', '#C9E2F7'];
+const FONT = "'Salesforce Sans', Arial, sans-serif";
+
+// Layout (px); mirrors the canvas CSS
+const PAD = 24;
+const COL_W = 160;
+const COL_GAP = 12;
+const HEADER_H = 44;
+const TILE_H = 52;
+const TILE_GAP = 4;
+const TITLE_H = 56;
+const FOOTER_H = 28;
+const LEGEND_ROW_H = 20;
+const MIN_WIDTH = 640;
+const ROADMAP_LABEL_W = 220;
+const ROADMAP_ROW_H = 22;
+const ROADMAP_AXIS_H = 24;
+const ESTIMATE_W = 900;
+const KPI_H = 64;
+const CHART_ROW_H = 22;
+const DONUT_R = 70;
+const TABLE_ROW_H = 18;
+const TABLE_MAX_ROWS = 12;
+
+// PDF page: A4 landscape in points
+const PDF_PAGE_W = 842;
+const PDF_PAGE_H = 595;
+const PDF_MARGIN = 24;
+const RASTER_SCALE = 2;
+
+/**
+ * Collect what the export shows
+ * categories: [{ Name, depth, capabilities: [Capability__c] }] (depth 0 = top level)
+ * options: { title, subtitle, footer, includeLegend, customPhaseColors, sizes, estimate }
+ * sizes: size names of the map's scheme, smallest first (T-shirt sizes by default)
+ * estimate: buildEstimate of the exported capabilities, for cost and coverage in the totals
+ */
+export function buildExportModel(categories, options = {}) {
+    const sizes = options.sizes || DEFAULT_SIZES;
+    const columns = categories.map(category => ({
+        name: category.Name,
+        depth: category.depth || 0,
+        continued: false,
+        tiles: category.capabilities.map(cap => {
+            const shades = generateColorShades(cap.Color__c || DEFAULT_TILE_COLOR, sizes);
+            const fill = shades[cap.Size__c] || '#E8E8E8';
+            return {
+                name: cap.Name || '',
+                size: cap.Size__c || '',
+                phase: cap.Phase__c || '',
+                hours: cap.Calculated_Hours__c || 0,
+                fill,
+                text: getTextColor(fill)
+            };
+        })
+    }));
+
+    const capabilities = categories.flatMap(category => category.capabilities);
+    return {
+        title: options.title || '',
+        subtitle: options.subtitle || '',
+        footer: options.footer || '',
+        legend: options.includeLegend === false ? null : buildLegend(capabilities, options.customPhaseColors || {}, sizes),
+        totals: {
+            categories: columns.length,
+            capabilities: capabilities.length,
+            hours: capabilities.reduce((sum, cap) => sum + (cap.Calculated_Hours__c || 0), 0),
+            estimate: options.estimate || null
+        },
+        columns
+    };
+}
+
+/**
+ * Render a model (or one page of it) to an SVG document
+ * Returns { svg, width, height }
+ */
+export function renderSvg(model, pageLabel = '') {
+    const columnCount = Math.max(model.columns.length, 1);
+    const width = Math.max(PAD * 2 + columnCount * COL_W + (columnCount - 1) * COL_GAP, MIN_WIDTH);
+    const parts = [];
+    let y = PAD;
+
+    if (model.title || model.subtitle) {
+        parts.push(text(PAD, y + 20, model.title, { size: 20, weight: 700, fill: '#032D60' }));
+        parts.push(text(PAD, y + 40, model.subtitle, { size: 11, fill: '#706E6B' }));
+        y += TITLE_H;
+    }
+
+    const boardHeight = Math.max(0, ...model.columns.map(col => HEADER_H + col.tiles.length * (TILE_H + TILE_GAP)));
+    model.columns.forEach((column, index) => {
+        parts.push(renderColumn(column, PAD + index * (COL_W + COL_GAP), y));
+    });
+    y += boardHeight + PAD;
+
+    if (model.legend) {
+        const legend = renderLegend(model.legend, model.totals, width, y);
+        parts.push(legend.svg);
+        y += legend.height;
+    } else {
+        parts.push(text(PAD, y + 12, totalsLine(model.totals), { size: 11, fill: '#514F4D' }));
+        y += LEGEND_ROW_H;
+    }
+
+    if (model.footer || pageLabel) {
+        y += 8;
+        parts.push(`<line x1="${PAD}" y1="${y}" x2="${width - PAD}" y2="${y}" stroke="#E5E5E4"/>`);
+        parts.push(text(PAD, y + 18, model.footer, { size: 10, fill: '#706E6B' }));
+        parts.push(text(width - PAD, y + 18, pageLabel, { size: 10, fill: '#706E6B', anchor: 'end' }));
+        y += FOOTER_H;
+    }
+
+    const height = y + PAD;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" `
+        + `viewBox="0 0 ${width} ${height}" font-family="${FONT}">`
+        + `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`
+        + parts.join('')
+        + '</svg>';
+    return { svg, width, height };
+}
+
+/**
+ * Split a model into pages of at most columnsPerPage columns and rowsPerPage tiles
+ * Columns continued from an earlier page are marked as such.
+ */
+export function paginate(model, { columnsPerPage = 6, rowsPerPage = 8 } = {}) {
+    const pages = [];
+    for (let first = 0; first < Math.max(model.columns.length, 1); first += columnsPerPage) {
+        const group = model.columns.slice(first, first + columnsPerPage);
+        const rowChunks = Math.max(1, ...group.map(col => Math.ceil(col.tiles.length / rowsPerPage)));
+        for (let chunk = 0; chunk < rowChunks; chunk++) {
+            const columns = group
+                .map(col => ({
+                    ...col,
+                    continued: chunk > 0,
+                    tiles: col.tiles.slice(chunk * rowsPerPage, (chunk + 1) * rowsPerPage)
+                }))
+                .filter(col => chunk === 0 || col.tiles.length > 0);
+            pages.push({ ...model, columns });
+        }
+    }
+    return pages;
+}
+
+/**
+ * Render a roadmap (buildRoadmap, or one page of paginateRoadmap) to an SVG document
+ * options: { title, subtitle, footer }
+ * Returns { svg, width, height }
+ */
+export function renderRoadmapSvg(roadmap, options = {}, pageLabel = '') {
+    const trackX = PAD + ROADMAP_LABEL_W;
+    const width = Math.max(trackX + Math.ceil(roadmap.weeks) * WEEK_WIDTH + PAD, MIN_WIDTH);
+    const px = weeks => trackX + weeks * WEEK_WIDTH;
+    const parts = [];
+    let y = PAD;
+
+    if (options.title || options.subtitle) {
+        parts.push(text(PAD, y + 20, options.title, { size: 20, weight: 700, fill: '#032D60' }));
+        parts.push(text(PAD, y + 40, options.subtitle, { size: 11, fill: '#706E6B' }));
+        y += TITLE_H;
+    }
+
+    const ticks = timeTicks(roadmap);
+    const bodyTop = y + ROADMAP_AXIS_H;
+    const rowCount = roadmap.bands.reduce((sum, band) => (
+        sum + 1 + band.groups.reduce((groupSum, group) => groupSum + 1 + group.rows.length, 0)
+    ), 0);
+    const bodyBottom = bodyTop + rowCount * ROADMAP_ROW_H;
+    ticks.forEach(tick => {
+        parts.push(`<line x1="${px(tick.week)}" y1="${y + 4}" x2="${px(tick.week)}" y2="${bodyBottom}" stroke="#F3F3F3"/>`);
+        parts.push(text(px(tick.week) + 4, y + 16, tick.label, { size: 9, fill: '#706E6B' }));
+    });
+    y = bodyTop;
+
+    roadmap.bands.forEach(band => {
+        const bandRows = 1 + band.groups.reduce((sum, group) => sum + 1 + group.rows.length, 0);
+        const shadeW = Math.max((band.endWeek - band.startWeek) * WEEK_WIDTH, 1);
+        parts.push(`<rect x="${px(band.startWeek)}" y="${y}" width="${shadeW}" height="${bandRows * ROADMAP_ROW_H}" `
+            + `fill="${band.color}" fill-opacity="0.08"/>`);
+        parts.push(`<rect x="${px(band.startWeek)}" y="${y}" width="${shadeW}" height="${ROADMAP_ROW_H}" `
+            + `fill="${band.color}" fill-opacity="0.25"/>`);
+        parts.push(`<rect x="${PAD}" y="${y + 5}" width="12" height="12" rx="3" fill="${band.color}"/>`);
+        const bandLabel = band.continued ? `${band.name} (cont.)` : band.name;
+        parts.push(text(PAD + 18, y + 15, bandLabel, { size: 11, weight: 700, fill: '#242424' }));
+        const summary = [band.dates, `${band.hours}h`, band.overrun ? 'does not fit its dates' : ''].filter(Boolean).join(' · ');
+        parts.push(text(px(band.startWeek) + 6, y + 15, summary, { size: 10, fill: band.overrun ? '#EA001E' : '#514F4D' }));
+        y += ROADMAP_ROW_H;
+
+        band.groups.forEach(group => {
+            parts.push(text(PAD + 18, y + 15, wrap(group.label, 30, 1)[0] || '', { size: 10, weight: 600, fill: '#514F4D' }));
+            y += ROADMAP_ROW_H;
+            group.rows.forEach(row => {
+                parts.push(text(PAD + 30, y + 15, wrap(row.name, 30, 1)[0] || '', { size: 10, fill: '#3D3D3C' }));
+                const barW = Math.max(row.weeks * WEEK_WIDTH, 4);
+                parts.push(`<rect x="${px(row.startWeek)}" y="${y + 3}" width="${barW}" height="${ROADMAP_ROW_H - 6}" rx="3" `
+                    + `fill="${row.color}"${row.late ? ' stroke="#EA001E" stroke-width="1.5"' : ''}/>`);
+                if (barW > 30) {
+                    parts.push(text(px(row.startWeek) + 4, y + 14, `${row.hours}h`, { size: 9, fill: getTextColor(row.color) }));
+                }
+                y += ROADMAP_ROW_H;
+            });
+        });
+        parts.push(`<line x1="${PAD}" y1="${y}" x2="${width - PAD}" y2="${y}" stroke="#E5E5E4"/>`);
+    });
+    parts.push(`<line x1="${trackX}" y1="${bodyTop - ROADMAP_AXIS_H}" x2="${trackX}" y2="${y}" stroke="#E5E5E4"/>`);
+    y += 8;
+
+    if (options.footer || pageLabel) {
+        parts.push(text(PAD, y + 18, options.footer, { size: 10, fill: '#706E6B' }));
+        parts.push(text(width - PAD, y + 18, pageLabel, { size: 10, fill: '#706E6B', anchor: 'end' }));
+        y += FOOTER_H;
+    }
+
+    const height = y + PAD;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" `
+        + `viewBox="0 0 ${width} ${height}" font-family="${FONT}">`
+        + `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`
+        + parts.join('')
+        + '</svg>';
+    return { svg, width, height };
+}
+
+/**
+ * Split a roadmap into pages of at most rowsPerPage rows
+ * A phase that continues on the next page repeats its header, marked as continued.
+ */
+export function paginateRoadmap(roadmap, rowsPerPage = 24) {
+    const pages = [];
+    let bands = [];
+    let rows = 0;
+    const flush = () => {
+        if (bands.length > 0) pages.push({ ...roadmap, bands });
+        bands = [];
+        rows = 0;
+    };
+    roadmap.bands.forEach(band => {
+        let current = { ...band, groups: [] };
+        const startBand = continued => {
+            current = { ...band, continued, groups: [] };
+            bands.push(current);
+            rows += 1;
+        };
+        if (rows + 1 > rowsPerPage) flush();
+        startBand(false);
+        band.groups.forEach(group => {
+            let remaining = group.rows;
+            while (remaining.length > 0) {
+                if (rows + 2 > rowsPerPage) {
+                    flush();
+                    startBand(true);
+                }
+                const take = remaining.slice(0, rowsPerPage - rows - 1);
+                current.groups.push({ ...group, rows: take });
+                rows += 1 + take.length;
+                remaining = remaining.slice(take.length);
+            }
+        });
+    });
+    flush();
+    return pages.length > 0 ? pages : [roadmap];
+}
+
+/**
+ * Render an estimate (estimationModel buildEstimate) as one page: key figures,
+ * hours by phase and size, the cost split by category and tables by phase,
+ * category, size and role (long tables are cut off with a count)
+ * options: { title, subtitle, footer }
+ * Returns { svg, width, height }
+ */
+export function renderEstimateSvg(estimate, options = {}, pageLabel = '') {
+    const width = ESTIMATE_W;
+    const inner = width - PAD * 2;
+    const parts = [];
+    let y = PAD;
+
+    if (options.title || options.subtitle) {
+        parts.push(text(PAD, y + 20, options.title, { size: 20, weight: 700, fill: '#032D60' }));
+        parts.push(text(PAD, y + 40, options.subtitle, { size: 11, fill: '#706E6B' }));
+        y += TITLE_H;
+    }
+
+    // Key figures
+    const kpis = [
+        ['Total hours', formatHours(estimate.hours), `${estimate.capabilities} capabilities`],
+        ['Total cost', formatMoney(estimate.cost), `Blended rate ${formatMoney(estimate.blendedRate)}/h`],
+        ['TBD coverage', `${estimate.tbdPercent}%`, `${estimate.tbdCount} of ${estimate.capabilities} not sized yet`],
+        ['From overrides', `${estimate.overridePercent}%`, `${formatHours(estimate.overrideHours)} in ${estimate.overrideCount} capabilities`]
+    ];
+    if (estimate.factorCount > 0) {
+        kpis.push(['From factors', `${estimate.factorHours >= 0 ? '+' : ''}${formatHours(estimate.factorHours)}`,
+            `in ${estimate.factorCount} capabilities`]);
+    }
+    const hasRange = estimate.rangeCount > 0;
+    if (hasRange) {
+        kpis.push(['Expected (PERT)', `${formatHours(estimate.pert.expected)} ± ${formatHours(estimate.pert.stdDev)}`,
+            formatPercentiles(estimate.pert)]);
+    }
+    const kpiW = (inner - (kpis.length - 1) * 12) / kpis.length;
+    kpis.forEach(([label, value, hint], index) => {
+        const x = PAD + index * (kpiW + 12);
+        parts.push(`<rect x="${x}" y="${y}" width="${kpiW}" height="${KPI_H}" rx="8" fill="#FAFAF9" stroke="#E5E5E4"/>`);
+        parts.push(text(x + 12, y + 18, label.toUpperCase(), { size: 9, weight: 600, fill: '#514F4D' }));
+        parts.push(text(x + 12, y + 40, value, { size: 18, weight: 600, fill: '#242424' }));
+        parts.push(text(x + 12, y + 56, hint, { size: 9, fill: '#706E6B' }));
+    });
+    y += KPI_H + PAD;
+
+    // Hours by phase and size (left), cost by category (right)
+    const chartTop = y;
+    const barLeft = PAD + 110;
+    const barWidth = inner * 0.6 - 170;
+    parts.push(text(PAD, y + 10, 'HOURS BY PHASE AND SIZE', { size: 10, weight: 600, fill: '#514F4D' }));
+    y += 20;
+    stackedBarLayout(estimate.phaseBySize, barWidth).forEach(row => {
+        parts.push(text(PAD, y + 14, wrap(row.label, 18, 1)[0] || '', { size: 10, fill: '#3D3D3C' }));
+        row.segments.forEach(segment => {
+            parts.push(`<rect x="${barLeft + segment.x}" y="${y + 3}" width="${Math.max(segment.width, 1)}" `
+                + `height="${CHART_ROW_H - 6}" rx="2" fill="${segment.color}"/>`);
+        });
+        parts.push(text(barLeft + row.width + 6, y + 14, formatHours(row.hours), { size: 9, weight: 600, fill: '#514F4D' }));
+        y += CHART_ROW_H;
+    });
+    let legendX = PAD;
+    estimate.bySize.forEach(size => {
+        parts.push(`<rect x="${legendX}" y="${y + 6}" width="10" height="10" rx="2" fill="${size.color}"/>`);
+        parts.push(text(legendX + 14, y + 15, size.label, { size: 9, fill: '#514F4D' }));
+        legendX += 24 + size.label.length * 6;
+    });
+    y += CHART_ROW_H;
+
+    const donutX = PAD + inner * 0.6;
+    let legendY = chartTop;
+    parts.push(text(donutX, legendY + 10, 'COST BY CATEGORY', { size: 10, weight: 600, fill: '#514F4D' }));
+    const slices = donutLayout(estimate.byCategory, 'cost', DONUT_R, DONUT_R * 0.63);
+    const centerX = donutX + DONUT_R;
+    const centerY = chartTop + 24 + DONUT_R;
+    slices.forEach(slice => {
+        parts.push(`<path transform="translate(${centerX} ${centerY})" d="${slice.path}" fill="${slice.color}"/>`);
+    });
+    parts.push(text(centerX, centerY + 4, formatMoney(estimate.cost), { size: 10, weight: 600, anchor: 'middle' }));
+    legendY += 28;
+    slices.slice(0, TABLE_MAX_ROWS).forEach(slice => {
+        const legendLeft = donutX + DONUT_R * 2 + 16;
+        parts.push(`<rect x="${legendLeft}" y="${legendY}" width="10" height="10" rx="2" fill="${slice.color}"/>`);
+        parts.push(text(legendLeft + 14, legendY + 9, `${wrap(slice.label, 16, 1)[0] || ''} ${slice.percent}%`, { size: 9, fill: '#514F4D' }));
+        legendY += 14;
+    });
+    y = Math.max(y, centerY + DONUT_R, legendY) + PAD;
+
+    // Tables, two per row
+    const tableW = (inner - PAD) / 2;
+    const tableRows = [
+        [['By phase', estimate.byPhase], ['By category', estimate.byCategory]],
+        [['By size', estimate.bySize], ['By role', estimate.byRole]]
+    ];
+    tableRows.forEach(tables => {
+        const top = y;
+        const heights = tables.map(([title, rows], column) => (
+            renderEstimateTable(parts, title, rows, PAD + column * (tableW + PAD), top, tableW, hasRange)
+        ));
+        y += Math.max(...heights) + 16;
+    });
+
+    if (options.footer || pageLabel) {
+        parts.push(`<line x1="${PAD}" y1="${y}" x2="${width - PAD}" y2="${y}" stroke="#E5E5E4"/>`);
+        parts.push(text(PAD, y + 18, options.footer, { size: 10, fill: '#706E6B' }));
+        parts.push(text(width - PAD, y + 18, pageLabel, { size: 10, fill: '#706E6B', anchor: 'end' }));
+        y += FOOTER_H;
+    }
+
+    const height = y + PAD;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" `
+        + `viewBox="0 0 ${width} ${height}" font-family="${FONT}">`
+        + `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`
+        + parts.join('')
+        + '</svg>';
+    return { svg, width, height };
+}
+
+// Draw an SVG onto a white canvas (scale for sharper output)
+export function rasterize(svg, width, height, scale = RASTER_SCALE) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width * scale);
+            canvas.height = Math.round(height * scale);
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#FFFFFF';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.drawImage(image, 0, 0, canvas.width, canvas.height);
+            resolve(canvas);
+        };
+        image.onerror = () => reject(new Error('The map could not be rendered as an image'));
+        image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+    });
+}
+
+export function canvasToBlob(canvas, type = 'image/png') {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Image export failed'))), type);
+    });
+}
+
+/**
+ * Build a PDF with one A4 landscape page per canvas
+ * Each canvas is embedded as a JPEG, scaled to fit the page.
+ */
+export function canvasesToPdf(canvases) {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = data => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const startObject = id => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n`);
+    };
+
+    // Objects: 1 catalog, 2 page tree, then page / content / image per page
+    const pageIds = canvases.map((canvas, index) => 3 + index * 3);
+    write('%PDF-1.4\n');
+    startObject(1);
+    write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+    startObject(2);
+    write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>\nendobj\n`);
+
+    canvases.forEach((canvas, index) => {
+        const pageId = pageIds[index];
+        const contentId = pageId + 1;
+        const imageId = pageId + 2;
+        const jpeg = dataUrlToBytes(canvas.toDataURL('image/jpeg', 0.92));
+
+        const fit = Math.min(
+            (PDF_PAGE_W - PDF_MARGIN * 2) / canvas.width,
+            (PDF_PAGE_H - PDF_MARGIN * 2) / canvas.height
+        );
+        const drawW = canvas.width * fit;
+        const drawH = canvas.height * fit;
+        const x = (PDF_PAGE_W - drawW) / 2;
+        const y = PDF_PAGE_H - PDF_MARGIN - drawH; // Top aligned
+        const content = `q ${num(drawW)} 0 0 ${num(drawH)} ${num(x)} ${num(y)} cm /Im0 Do Q`;
+
+        startObject(pageId);
+        write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_W} ${PDF_PAGE_H}] `
+            + `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>\nendobj\n`);
+        startObject(contentId);
+        write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`);
+        startObject(imageId);
+        write(`<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} `
+            + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`);
+        write(jpeg);
+        write('\nendstream\nendobj\n');
+    });
+
+    const objectCount = 3 + canvases.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+export function downloadBlob(blob, fileName) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = fileName;
+    a.click();
+}
+
+// File-system friendly version of a map name
+export function fileBaseName(name) {
+    return (name || 'capability-map').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'capability-map';
+}
+
+function buildLegend(capabilities, customPhaseColors, sizes) {
+    const phases = new Map();
+    capabilities.forEach(cap => {
+        const phase = cap.Phase__c || 'No phase';
+        const entry = phases.get(phase) || {
+            label: phase,
+            color: customPhaseColors[phase] || cap.Color__c || DEFAULT_PHASE_COLORS[phase] || DEFAULT_TILE_COLOR,
+            count: 0,
+            hours: 0
+        };
+        entry.count++;
+        entry.hours += cap.Calculated_Hours__c || 0;
+        phases.set(phase, entry);
+    });
+    const shades = generateColorShades(DEFAULT_PHASE_COLORS['Phase 1'], sizes);
+    return {
+        phases: [...phases.values()].sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true })),
+        sizes: [...sizes, 'TBD'].map(size => ({ label: size, color: shades[size] }))
+    };
+}
+
+function renderColumn(column, x, y) {
+    const parts = [];
+    const label = column.continued ? `${column.name} (cont.)` : column.name;
+    parts.push(`<rect x="${x}" y="${y}" width="${COL_W}" height="${HEADER_H}" rx="6" fill="#FFFFFF" stroke="#E5E5E4"/>`);
+    if (column.depth > 0) {
+        const barColor = DEPTH_COLORS[Math.min(column.depth, DEPTH_COLORS.length) - 1];
+        parts.push(`<rect x="${x}" y="${y}" width="4" height="${HEADER_H}" fill="${barColor}"/>`);
+    }
+    wrap(label, 24, 2).forEach((line, i, lines) => {
+        const lineY = y + HEADER_H / 2 + 4 + (i - (lines.length - 1) / 2) * 13;
+        parts.push(text(x + 12, lineY, line, { size: 11, weight: 600, fill: '#242424' }));
+    });
+
+    column.tiles.forEach((tile, index) => {
+        const tileY = y + HEADER_H + TILE_GAP + index * (TILE_H + TILE_GAP);
+        parts.push(`<rect x="${x}" y="${tileY}" width="${COL_W}" height="${TILE_H}" rx="8" fill="${tile.fill}"/>`);
+        wrap(tile.name, 24, 2).forEach((line, i) => {
+            parts.push(text(x + 10, tileY + 16 + i * 13, line, { size: 11, weight: 500, fill: tile.text }));
+        });
+        const meta = [tile.size, tile.phase.replace('Phase ', 'P'), `${tile.hours}h`].filter(Boolean).join(' · ');
+        parts.push(text(x + 10, tileY + 44, meta, { size: 9, fill: tile.text, opacity: 0.8 }));
+    });
+    return parts.join('');
+}
+
+// Phase swatches with counts and hours, the size shading key and the totals
+function renderLegend(legend, totals, width, top) {
+    const parts = [];
+    let x = PAD;
+    let y = top;
+    const item = (label, color) => {
+        const itemWidth = 24 + label.length * 6;
+        if (x + itemWidth > width - PAD) {
+            x = PAD;
+            y += LEGEND_ROW_H;
+        }
+        parts.push(`<rect x="${x}" y="${y}" width="12" height="12" rx="3" fill="${color}"/>`);
+        parts.push(text(x + 18, y + 10, label, { size: 10, fill: '#3D3D3C' }));
+        x += itemWidth;
+    };
+
+    legend.phases.forEach(phase => item(`${phase.label}: ${phase.count} · ${phase.hours}h`, phase.color));
+    x = PAD;
+    y += LEGEND_ROW_H;
+    parts.push(text(x, y + 10, 'Size', { size: 10, weight: 600, fill: '#514F4D' }));
+    x += 32;
+    legend.sizes.forEach(size => item(size.label, size.color));
+    x = PAD;
+    y += LEGEND_ROW_H;
+    parts.push(text(x, y + 12, totalsLine(totals), { size: 11, weight: 600, fill: '#242424' }));
+    y += LEGEND_ROW_H;
+
+    return { svg: parts.join(''), height: y - top };
+}
+
+function totalsLine(totals) {
+    const line = `${totals.capabilities} capabilities · ${totals.categories} categories · ${totals.hours} hours`;
+    const estimate = totals.estimate;
+    if (!estimate) return line;
+    const pert = estimate.rangeCount > 0 ? ` · expected ${formatHours(estimate.pert.expected)} (${formatPercentiles(estimate.pert)})` : '';
+    return `${line} · cost ${formatMoney(estimate.cost)} · ${estimate.tbdPercent}% TBD · `
+        + `${estimate.overridePercent}% of hours from overrides${pert}`;
+}
+
+// One rollup table of the estimate page (with a P80 column for three-point estimates); returns its height
+function renderEstimateTable(parts, title, rows, x, top, width, withP80 = false) {
+    let y = top;
+    const columns = [width - 150, width - 75, width];
+    parts.push(text(x, y + 10, title.toUpperCase(), { size: 10, weight: 600, fill: '#514F4D' }));
+    if (withP80) {
+        parts.push(text(x + width - 205, y + 10, 'P80', { size: 9, weight: 600, fill: '#706E6B', anchor: 'end' }));
+    }
+    parts.push(text(x + columns[0], y + 10, 'Hours', { size: 9, weight: 600, fill: '#706E6B', anchor: 'end' }));
+    parts.push(text(x + columns[1], y + 10, 'Cost', { size: 9, weight: 600, fill: '#706E6B', anchor: 'end' }));
+    parts.push(text(x + columns[2], y + 10, '% cost', { size: 9, weight: 600, fill: '#706E6B', anchor: 'end' }));
+    y += 16;
+    rows.slice(0, TABLE_MAX_ROWS).forEach(row => {
+        parts.push(`<line x1="${x}" y1="${y}" x2="${x + width}" y2="${y}" stroke="#F3F3F3"/>`);
+        parts.push(`<rect x="${x}" y="${y + 4}" width="10" height="10" rx="2" fill="${row.color}"/>`);
+        parts.push(text(x + 16, y + 13, wrap(row.label, withP80 ? 24 : 30, 1)[0] || '', { size: 10, fill: '#3D3D3C' }));
+        if (withP80) {
+            parts.push(text(x + width - 205, y + 13, row.pert ? formatHours(row.pert.p80) : '—', { size: 10, anchor: 'end' }));
+        }
+        parts.push(text(x + columns[0], y + 13, formatHours(row.hours), { size: 10, anchor: 'end' }));
+        parts.push(text(x + columns[1], y + 13, formatMoney(row.cost), { size: 10, anchor: 'end' }));
+        parts.push(text(x + columns[2], y + 13, `${row.costPercent}%`, { size: 10, anchor: 'end' }));
+        y += TABLE_ROW_H;
+    });
+    if (rows.length > TABLE_MAX_ROWS) {
+        parts.push(text(x + 16, y + 13, `+ ${rows.length - TABLE_MAX_ROWS} more`, { size: 9, fill: '#706E6B' }));
+        y += TABLE_ROW_H;
+    }
+    return y - top;
+}
+
+function text(x, y, value, { size = 11, weight = 400, fill = '#242424', anchor = 'start', opacity = 1 } = {}) {
+    if (!value) return '';
+    return `<text x="${x}" y="${y}" font-size="${size}" font-weight="${weight}" fill="${fill}" `
+        + `text-anchor="${anchor}"${opacity < 1 ? ` fill-opacity="${opacity}"` : ''}>${escapeXml(value)}</text>`;
+}
+
+// Word wrap to at most maxLines lines; the last line gets an ellipsis when cut
+function wrap(value, maxChars, maxLines) {
+    const lines = [];
+    let current = '';
+    String(value).split(/\s+/).forEach(word => {
+        const candidate = current ? `${current} ${word}` : word;
+        if (candidate.length <= maxChars || !current) {
+            current = candidate;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    if (current) lines.push(current);
+    const result = lines.slice(0, maxLines).map(line => (
+        line.length > maxChars ? line.slice(0, maxChars - 1).trimEnd() + '…' : line
+    ));
+    if (lines.length > maxLines && !result[maxLines - 1].endsWith('…')) {
+        result[maxLines - 1] = result[maxLines - 1].slice(0, maxChars - 1).trimEnd() + '…';
+    }
+    return result;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.split(',')[1]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// PDF numbers: plain decimals, no exponent
+function num(value) {
+    return Number(value.toFixed(2)).toString();
+}
@@ -0,0 +1,143 @@
+/**
+ * ============================================================
+ * canvasNavigation.js
+ * ============================================================
+ * @description    Pan and zoom math for the capability canvas
+ *                 The canvas is drawn at its natural size and moved with
+ *                 transform: translate(x, y) scale(zoom). A view is
+ *                 { zoom, x, y } where x/y is the screen offset of the
+ *                 map's top-left corner inside the viewport. Layout
+ *                 rectangles are in unscaled map coordinates.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.14.0
+ *
+ * CHANGELOG:
+ * v2.14.0  2026-10-18  Initial version
+ * ============================================================
+ */
+
+export const MIN_ZOOM = 0.2;
+export const MAX_ZOOM = 2;
+export const ZOOM_STEP = 0.1;
+export const FIT_PADDING = 20;
+export const MINIMAP_WIDTH = 180;
+export const MINIMAP_MAX_HEIGHT = 120;
+
+export function clampZoom(zoom) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.round(zoom * 100) / 100));
+}
+
+/**
+ * Zoom to a new level keeping the map point under (px, py) in place
+ * px/py are viewport coordinates, e.g. the mouse position.
+ */
+export function zoomAt(view, zoom, px, py) {
+    const next = clampZoom(zoom);
+    const ratio = next / view.zoom;
+    return {
+        zoom: next,
+        x: px - (px - view.x) * ratio,
+        y: py - (py - view.y) * ratio
+    };
+}
+
+/**
+ * View that shows a map rectangle as large as possible, centered horizontally
+ * Tall rectangles are aligned to the top so headers stay visible.
+ * maxZoom caps the zoom (fitting a single narrow column should not blow it up).
+ */
+export function fitRect(rect, viewport, maxZoom = 1) {
+    const width = Math.max(1, viewport.width - FIT_PADDING * 2);
+    const height = Math.max(1, viewport.height - FIT_PADDING * 2);
+    const zoom = clampZoom(Math.min(maxZoom, width / Math.max(1, rect.width), height / Math.max(1, rect.height)));
+    return {
+        zoom,
+        x: FIT_PADDING + (width - rect.width * zoom) / 2 - rect.x * zoom,
+        y: FIT_PADDING - rect.y * zoom
+    };
+}
+
+/**
+ * Move a view the least distance needed to bring a map rectangle into the viewport
+ * If the rectangle is larger than the viewport its top-left corner is shown.
+ */
+export function revealRect(view, rect, viewport) {
+    const left = rect.x * view.zoom + view.x;
+    const top = rect.y * view.zoom + view.y;
+    const right = left + rect.width * view.zoom;
+    const bottom = top + rect.height * view.zoom;
+    let { x, y } = view;
+    if (left < FIT_PADDING || right - left > viewport.width - FIT_PADDING * 2) {
+        x += FIT_PADDING - left;
+    } else if (right > viewport.width - FIT_PADDING) {
+        x -= right - (viewport.width - FIT_PADDING);
+    }
+    if (top < FIT_PADDING || bottom - top > viewport.height - FIT_PADDING * 2) {
+        y += FIT_PADDING - top;
+    } else if (bottom > viewport.height - FIT_PADDING) {
+        y -= bottom - (viewport.height - FIT_PADDING);
+    }
+    return { ...view, x, y };
+}
+
+// Keep at least part of the map on screen so it cannot be panned out of reach
+export function constrainView(view, content, viewport) {
+    const margin = 80;
+    const width = content.width * view.zoom;
+    const height = content.height * view.zoom;
+    return {
+        ...view,
+        x: Math.min(viewport.width - margin, Math.max(margin - width, view.x)),
+        y: Math.min(viewport.height - margin, Math.max(margin - height, view.y))
+    };
+}
+
+/**
+ * Minimap geometry: a scale that fits the content into the minimap box,
+ * the category rectangles and the visible part of the map, all in minimap pixels
+ */
+export function minimapLayout(content, columns, view, viewport) {
+    const scale = Math.min(
+        MINIMAP_WIDTH / Math.max(1, content.width),
+        MINIMAP_MAX_HEIGHT / Math.max(1, content.height)
+    );
+    const visible = {
+        x: -view.x / view.zoom,
+        y: -view.y / view.zoom,
+        width: viewport.width / view.zoom,
+        height: viewport.height / view.zoom
+    };
+    // Clip the viewport frame to the minimap
+    const left = Math.max(0, visible.x);
+    const top = Math.max(0, visible.y);
+    const right = Math.min(content.width, visible.x + visible.width);
+    const bottom = Math.min(content.height, visible.y + visible.height);
+    return {
+        scale,
+        width: Math.ceil(content.width * scale),
+        height: Math.ceil(content.height * scale),
+        columns: columns.map(column => ({
+            ...column,
+            left: column.x * scale,
+            top: column.y * scale,
+            width: Math.max(2, column.width * scale),
+            height: Math.max(2, column.height * scale)
+        })),
+        frame: {
+            left: left * scale,
+            top: top * scale,
+            width: Math.max(0, right - left) * scale,
+            height: Math.max(0, bottom - top) * scale
+        }
+    };
+}
+
+// View centered on a map point, e.g. where the minimap was clicked
+export function centerOn(view, mapX, mapY, viewport) {
+    return {
+        ...view,
+        x: viewport.width / 2 - mapX * view.zoom,
+        y: viewport.height / 2 - mapY * view.zoom
+    };
+}
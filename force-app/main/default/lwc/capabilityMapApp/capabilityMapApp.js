@@ -5,21 +5,81 @@
  * 
  * @author         Cobra CRM B.V.
  * @date           2024-12-15
- * @version        2.4.0
+ * @version        2.29.1
  * 
  * FEATURES:
  * - Works with or without Klient PSA
- * - Drag and drop capabilities between categories
+ * - Drag and drop capabilities between and within categories (multi-selection too)
+ * - Drag category columns to reorder them, or onto a header to nest them
+ * - Nested categories (any depth up to 5) with collapsible groups and count/hours rollups
+ * - Capability dependencies drawn as connectors, with phase-order warnings and an
+ *   offer to pull prerequisites along when a capability moves
+ * - Comment threads per capability with @mentions, resolving and unread badges
+ * - Audit log of field changes: History tab per capability and a map activity feed
+ * - Named map snapshots: compare with each other or the live map, restore
+ * - Status workflow (Draft → Active → Archived); locked maps open read-only
+ * - Sizing schemes per map (T-shirt sizes, story points or any custom scale) with
+ *   their own hours, order and colors
+ * - Phases per map with dates and colors: add, rename (carried over to the
+ *   capabilities), reorder and delete (moving their capabilities) in the Phases editor
+ * - Roadmap view: phases as bands over time, capabilities grouped by category or role,
+ *   bars as long as hours over role capacity; drag a bar to another phase to move it
+ * - Cost rollups by phase, category, role and capability from the role rates, with a
+ *   map default rate for unassigned work and a blended rate
+ * - Estimation dashboard (hours and cost by phase, category, size and role, stacked bars,
+ *   donut, TBD coverage, share of hours from overrides); the same numbers in the sidebar
+ *   and as an estimate page in image exports
+ * - Three-point (PERT) estimates: optional optimistic and pessimistic hours per capability,
+ *   set in the edit modal or in bulk; totals show expected hours, spread and P50/P80/P90
+ * - Estimate factors: confidence and complexity per capability and a multiplier per category
+ *   scale the size hours; tile tooltips break the hours down
+ * - Capacity planning: role headcount and hours per week or phase against the work per phase;
+ *   overallocated phases are flagged red with suggested moves of low-priority capabilities
  * - Multi-select with Ctrl+Click
  * - Selectable color themes with gradient sizing
  * - Filter by size, view mode (All/Sized/TBD)
- * - Zoom controls
- * - Undo/Redo history
+ * - Saved, shareable filter views with a per-user default view
+ * - Search query language (size:, phase:, role:, hours>, desc:, category:, -negation)
+ * - Canvas navigation: drag to pan, Ctrl+wheel zoom, fit to screen, minimap
+ * - Server-backed Undo/Redo history
+ * - Batched auto-save (honors Auto_Save_Enabled__c, manual-save mode otherwise)
+ * - Concurrent-edit conflict detection with a per-field merge dialog
  * - Salesforce Cloud templates
  * - Context menu actions
  * - Real-time statistics
+ * - Windowed rendering of large maps (only columns and tiles in view are drawn)
+ * - SVG/PNG/PDF export of the canvas (optionally filtered, with title and footer)
+ * - JSON export/import (round-trips roles, assignments, dependencies, comments and phase colors)
+ * - CSV export/import with a row-level validation report (upserts by Id or category + name)
  * 
  * CHANGELOG:
+ * 2026-10-18 - v2.29.1 - Dependency warnings and pull-along follow the map's phase order instead of numbers in phase names
+ * 2026-10-18 - v2.29.1 - Category edits, team changes, CSV import and templates keep the undo history of untouched records
+ * 2026-10-18 - v2.29.0 - Capacity planner; overallocated phases flagged in the phase legend; suggested moves go through the change queue
+ * 2026-10-18 - v2.28.0 - Estimate factors: hours follow confidence, complexity and category multipliers; tile tooltips, sidebar factor share
+ * 2026-10-18 - v2.27.0 - Three-point estimates: sidebar PERT totals, bulk Set Range, hours follow edits of size and override
+ * 2026-10-18 - v2.26.0 - Estimation dashboard; sidebar estimate with size rollup, TBD and override share; estimate export page
+ * 2026-10-18 - v2.25.0 - Cost section in the sidebar with the map's default hourly rate; cost in the footer
+ * 2026-10-18 - v2.24.0 - Roadmap (timeline) view with drag-to-phase and roadmap export
+ * 2026-10-18 - v2.23.0 - Phases per map: legend, filter chips and pickers follow the map's phases; Phases editor
+ * 2026-10-18 - v2.22.0 - Sizing schemes: sizes, filters, pickers and hours follow the map's scheme; Sizes editor
+ * 2026-10-18 - v2.21.0 - Map status workflow: status badge and transitions, read-only mode for locked maps
+ * 2026-10-18 - v2.20.0 - Map snapshots: take, compare (added/removed/moved/resized, hours and cost delta), restore
+ * 2026-10-18 - v2.19.0 - Audit trail: activity feed filterable by user and date
+ * 2026-10-18 - v2.18.0 - Comment threads: context menu and edit modal entry, unread badges, JSON export
+ * 2026-10-18 - v2.17.0 - Capability dependencies: connectors, phase-order warnings, pulling prerequisites along
+ * 2026-10-18 - v2.16.0 - Category hierarchy: nesting, drag-to-reparent, collapsible groups with rollups
+ * 2026-10-18 - v2.15.0 - Indexed, memoized and windowed board rendering for very large maps
+ * 2026-10-18 - v2.14.0 - Pan, zoom around the cursor, fit all/fit category and a minimap
+ * 2026-10-18 - v2.13.0 - CSV round trip: spreadsheet export and validated import
+ * 2026-10-18 - v2.12.0 - Canvas export as SVG, PNG and multi-page PDF
+ * 2026-10-18 - v2.11.0 - Saved filter views (private or shared) with a default view per map
+ * 2026-10-18 - v2.10.0 - Field-qualified search queries reflected in the filter chips
+ * 2026-10-18 - v2.9.0 - Positional drag-and-drop, multi-selection drag, draggable category columns
+ * 2026-10-18 - v2.8.0 - Optimistic concurrency: versioned writes and conflict merge dialog
+ * 2026-10-18 - v2.7.0 - Real auto-save through a batched change queue with retry and status badge
+ * 2026-10-18 - v2.6.0 - Undo/redo replays Apex operations and their inverse
+ * 2026-10-18 - v2.5.0 - Working JSON import with preview, merge/replace modes
  * 2024-12-16 - v2.4.0 - Added selectable color themes
  * 2024-12-15 - v2.3.0 - Complete rewrite matching mockup design
  * 2024-12-15 - v2.3.2 - Added standalone mode support
@@ -27,30 +87,48 @@
 import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { generateColorShades, getTextColor } from './colorThemes';
+import {
+    TileCache, VIRTUALIZE_THRESHOLD, memoizeOne, indexByCategory, columnRects, visibleArea, windowBoard
+} from './boardModel';
+import { HistoryStack, diffCapabilities } from './history';
+import { ChangeQueue, SAVE_STATUS, parseConflict } from './changeQueue';
+import {
+    buildExportModel, renderSvg, paginate, renderRoadmapSvg, paginateRoadmap, renderEstimateSvg,
+    rasterize, canvasToBlob, canvasesToPdf, downloadBlob, fileBaseName
+} from './canvasExport';
+import { parseQuery, matchesQuery, queryValues, removeQueryValue, matchesPhase, QUERY_HELP } from './searchQuery';
+import { capabilitiesToCsv, parseCsv } from './csvFormat';
+import {
+    MAX_DEPTH, buildTree, ancestorIds, descendantIds, nestingError, moveInTree, visibleIds, rollups
+} from './categoryTree';
+import {
+    indexDependencies, phaseConflicts, phaseRanks, transitivePrerequisites, tilePositions, connectorPaths
+} from './dependencyGraph';
+import {
+    ZOOM_STEP, FIT_PADDING, clampZoom, zoomAt, fitRect, revealRect, constrainView, minimapLayout, centerOn
+} from './canvasNavigation';
+import { formatPhaseDates } from 'c/phasePlan';
+import { buildRoadmap, timeTicks, WEEK_WIDTH, GROUP_BY_CATEGORY, GROUP_BY_ROLE } from './roadmapLayout';
+import {
+    buildEstimate, formatMoney, formatHours, formatPercentiles, factoredHours, hoursBreakdown
+} from 'c/estimationModel';
+import { buildCapacityPlan } from 'c/capacityModel';
 
 // Apex Controllers
 import getMapByProject from '@salesforce/apex/CapabilityMapController.getMapByProject';
 import createMap from '@salesforce/apex/CapabilityMapController.createMap';
 import getMapWithData from '@salesforce/apex/CapabilityMapController.getMapWithData';
-import saveMap from '@salesforce/apex/CapabilityMapController.saveMap';
+import saveMapChanges from '@salesforce/apex/CapabilityMapController.saveMapChanges';
 import getMyFavorites from '@salesforce/apex/CapabilityMapController.getMyFavorites';
 import trackMapAccess from '@salesforce/apex/CapabilityMapController.trackMapAccess';
 import toggleFavorite from '@salesforce/apex/CapabilityMapController.toggleFavorite';
-import deleteCapability from '@salesforce/apex/CapabilityController.deleteCapability';
-import moveCapability from '@salesforce/apex/CapabilityController.moveCapability';
-import bulkUpdateCapabilities from '@salesforce/apex/CapabilityController.bulkUpdateCapabilities';
-
-// Size definitions
-const SIZE_DEFS = [
-    { id: 'XS', label: 'XS', description: 'Extra Small' },
-    { id: 'S', label: 'S', description: 'Small' },
-    { id: 'M', label: 'M', description: 'Medium' },
-    { id: 'L', label: 'L', description: 'Large' },
-    { id: 'XL', label: 'XL', description: 'Extra Large' },
-    { id: 'XXL', label: 'XXL', description: 'Very Large' },
-    { id: 'XXXL', label: 'XXXL', description: 'Huge' },
-    { id: 'TBD', label: 'TBD', description: 'To Be Determined' }
-];
+import getViews from '@salesforce/apex/MapViewController.getViews';
+import deleteCapabilitiesApex from '@salesforce/apex/CapabilityController.deleteCapabilities';
+import restoreCapabilities from '@salesforce/apex/CapabilityController.restoreCapabilities';
+import updateCapabilities from '@salesforce/apex/CapabilityController.updateCapabilities';
+import moveCategoryApex from '@salesforce/apex/CapabilityCategoryController.moveCategory';
+import addDependencies from '@salesforce/apex/CapabilityDependencyController.addDependencies';
+import getMapComments from '@salesforce/apex/CapabilityCommentController.getMapComments';
 
 export default class CapabilityMapApp extends LightningElement {
     // Public properties
@@ -59,10 +137,18 @@ export default class CapabilityMapApp extends LightningElement {
     // Map data
     @track mapId;
     @track mapName = 'New Capability Map';
+    @track defaultRate = null; // Default_Hourly_Rate__c, like mapName kept while an edit is queued
     @track capabilityMap;
+    @track sizes = []; // The map's sizing scheme (getMapSizes): [{ name, hours, color, textColor }], TBD last
     @track categories = [];
     @track capabilities = [];
     @track appliedTemplates = [];
+    @track roles = [];
+    @track roleAssignments = [];
+    @track phaseColors = []; // The map's phases in order (PhaseService.getPhases): Name, Color__c, Start_Date__c, End_Date__c
+    @track dependencies = []; // Capability_Dependency__c records (Capability__c needs Depends_On__c)
+    @track commentSummary = {}; // Capability Id -> { total, open, unread }
+    @track mapAccess = null; // Status and edit rights of the current user (MapStatusService.getMapAccess)
     @track customPhaseColors = {}; // Map of phase name to hex color
     @track myFavorites = []; // User's favorite/recent maps
     @track projectsSectionExpanded = false; // Collapsed by default
@@ -74,6 +160,16 @@ export default class CapabilityMapApp extends LightningElement {
     @track activeFilters = new Set();
     @track selectedIds = new Set();
     @track zoom = 1;
+    @track panX = FIT_PADDING; // Screen offset of the map inside the canvas viewport
+    @track panY = FIT_PADDING;
+    @track showMinimap = true;
+    @track canvasLayout = null; // Measured sizes: { viewport, content }
+    @track focusedCategoryId = null; // Last category jumped to
+    @track collapsedCategoryIds = new Set(); // Categories whose subcategories are hidden
+    @track showDependencies = true; // Draw dependency connectors
+    @track pullAlongPrompt = null; // Offer to move prerequisites with a moved capability
+    panState = null; // Active click-drag pan
+    tileCache = new TileCache(); // Tile view models reused across renders
     @track expandedColors = new Set(); // Track which color groups are expanded
     @track applyColorToAll = false; // When true, bypass phase-color locking
     @track selectedPhaseFilters = new Set(); // Selected phase filters
@@ -86,10 +182,29 @@ export default class CapabilityMapApp extends LightningElement {
     @track showBulkSizeModal = false;
     @track showBulkPhaseModal = false;
     @track showBulkTeamModal = false;
+    @track showBulkRangeModal = false;
+    @track showImportModal = false;
+    @track showCsvImportModal = false;
+    @track showConflictModal = false;
+    @track showViewModal = false;
+    @track showExportModal = false;
+    @track showDependencyModal = false;
+    @track showCommentModal = false;
+    @track showActivityModal = false;
+    @track showSnapshotModal = false;
+    @track showStatusModal = false;
+    @track showSizesModal = false;
+    @track showPhasesModal = false;
+    conflictList = []; // Conflicts waiting for the merge dialog
     @track modalMode = 'create';
     @track selectedCapability = null;
     @track selectedCategory = null;
     @track selectedCategoryId = null;
+    dependencyCapability = null; // Capability open in the dependency modal
+    commentCapability = null; // Capability whose thread is open
+    importData = null; // Parsed JSON file waiting for the import modal
+    csvRows = []; // Parsed CSV rows waiting for the CSV import modal
+    importFileName = '';
 
     // Context menu
     @track showContextMenu = false;
@@ -102,12 +217,41 @@ export default class CapabilityMapApp extends LightningElement {
     @track toastMessage = '';
     @track toastType = '';
 
-    // History for undo/redo
-    history = [];
-    historyIndex = -1;
+    // History for undo/redo (entries replay Apex operations, see history.js)
+    history = new HistoryStack();
+    historyVersion = 0; // Bumped on every stack change to refresh undo/redo buttons
+    isHistoryBusy = false;
+
+    // Saved views
+    @track views = []; // Map_View__c records the user can use on this map
+    @track selectedViewId = null;
+    defaultViewId = null;
+    editingView = null; // View open in the view modal (null = new view)
+    viewsMapId = null; // Map the views were loaded for
+
+    // Board or roadmap (timeline) view of the map
+    @track canvasMode = 'board';
+    @track roadmapGroupBy = GROUP_BY_CATEGORY;
+    @track roadmapDropPhase = null; // Phase band a roadmap bar is dragged over
+
+    // Estimate rollup shown in the sidebar (a group key of the estimationModel estimate)
+    @track estimateGroupBy = 'byPhase';
+    @track showDashboard = false;
+    @track showCapacity = false;
+
+    // Drag and drop
+    dragState = null; // { type: 'capability' | 'category' | 'roadmap', ids }
+    dropTarget = null; // Where a drop would land right now
+
+    // Auto-save queue (see changeQueue.js)
+    changeQueue;
+    @track saveStatus = SAVE_STATUS.SAVED;
+    @track autoSaveEnabled = true;
+    saveError = null;
+    notifiedSaveError = null; // Last error that was already shown as a toast
+    lastSavedAt = null;
 
     // Status
-    @track statusText = 'Saved';
     @track connectionStatus = 'Ready';
 
     // ============================================
@@ -122,6 +266,25 @@ export default class CapabilityMapApp extends LightningElement {
         this.handleDocumentClick = this.handleDocumentClick.bind(this);
         document.addEventListener('click', this.handleDocumentClick);
         
+        // Queue edits and save them in batches
+        this.changeQueue = new ChangeQueue({
+            save: batch => this.persistChanges(batch),
+            onStatusChange: (status, error) => this.handleSaveStatusChange(status, error)
+        });
+        this.handleOnline = () => this.changeQueue.setOnline(true);
+        this.handleOffline = () => this.changeQueue.setOnline(false);
+        this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        window.addEventListener('beforeunload', this.handleBeforeUnload);
+        this.changeQueue.setOnline(navigator.onLine !== false);
+        
+        // Canvas panning and viewport size
+        this.handlePanMove = this.handlePanMove.bind(this);
+        this.handlePanEnd = this.handlePanEnd.bind(this);
+        this.handleResize = () => this.measureCanvas();
+        window.addEventListener('resize', this.handleResize);
+        
         // Load user's favorites
         this.loadFavorites();
     }
@@ -129,6 +292,25 @@ export default class CapabilityMapApp extends LightningElement {
     disconnectedCallback() {
         document.removeEventListener('keydown', this.handleKeyDown);
         document.removeEventListener('click', this.handleDocumentClick);
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        window.removeEventListener('beforeunload', this.handleBeforeUnload);
+        window.removeEventListener('resize', this.handleResize);
+        this.handlePanEnd();
+        
+        // Last chance to save queued edits
+        if (this.autoSaveEnabled) {
+            this.changeQueue.flush();
+        }
+        this.changeQueue.dispose();
+    }
+
+    // Warn before leaving the page with unsaved edits
+    handleBeforeUnload(event) {
+        if (this.changeQueue.hasPending) {
+            event.preventDefault();
+            event.returnValue = '';
+        }
     }
 
     // Load user's favorite/recent maps
@@ -198,48 +380,118 @@ export default class CapabilityMapApp extends LightningElement {
         this.projectsSectionExpanded = !this.projectsSectionExpanded;
     }
 
-    // Get available phases from capabilities
+    // The map's phases in order, followed by phases capabilities use that the map does not define
     get availablePhases() {
-        const phases = new Set();
+        const phases = new Set(this.phaseColors.map(phase => phase.Name));
         this.capabilities.forEach(cap => {
             if (cap.Phase__c) {
                 phases.add(cap.Phase__c);
             }
         });
-        // Sort by phase number
-        return [...phases].sort((a, b) => {
-            const numA = parseInt(a.match(/\d+/)?.[0] || '999', 10);
-            const numB = parseInt(b.match(/\d+/)?.[0] || '999', 10);
-            return numA - numB;
+        return [...phases];
+    }
+
+    // Number of capabilities per phase, for the phase editor
+    get usedPhases() {
+        const counts = {};
+        this.capabilities.forEach(cap => {
+            if (cap.Phase__c) {
+                counts[cap.Phase__c] = (counts[cap.Phase__c] || 0) + 1;
+            }
         });
+        return counts;
+    }
+
+    // Parsed search box contents (see searchQuery.js)
+    get searchQuery() {
+        return parseQuery(this.searchTerm, { sizes: this.sizes.map(size => size.name) });
+    }
+
+    get queryHelp() {
+        return QUERY_HELP;
+    }
+
+    // Query terms shown under the search box; malformed ones are highlighted
+    get queryTerms() {
+        return this.searchQuery.terms.map((term, index) => ({
+            key: `${index}-${term.raw}`,
+            raw: term.raw,
+            className: term.error ? 'query-term invalid' : 'query-term',
+            title: term.error || (term.field === 'text' ? 'Matches name, description, size, phase or role' : `Filter on ${term.field}`)
+        }));
+    }
+
+    // Plain words alone need no explanation
+    get showQueryTerms() {
+        return this.searchQuery.terms.some(term => term.error || term.field !== 'text');
+    }
+
+    get searchBoxClass() {
+        return this.searchQuery.errors.length > 0 ? 'search-box invalid' : 'search-box';
     }
 
     // Phase filter options with selected state
+    // Chips for values in the search query are shown as active too
     get phaseFilterOptions() {
+        const queried = queryValues(this.searchQuery, 'phase');
         return this.availablePhases.map(phase => ({
             value: phase,
             label: phase.replace('Phase ', 'P'),
-            chipClass: this.selectedPhaseFilters.has(phase) ? 'filter-chip active' : 'filter-chip'
+            chipClass: this.filterChipClass(this.selectedPhaseFilters.has(phase), queried.some(value => matchesPhase(phase, value)))
         }));
     }
 
     // Size filter options with selected state
     get sizeFilterOptions() {
-        return SIZE_DEFS.map(size => ({
-            value: size.id,
-            label: size.id,
-            chipClass: this.selectedSizeFilters.has(size.id) ? 'filter-chip active' : 'filter-chip'
+        const queried = queryValues(this.searchQuery, 'size');
+        return this.sizes.map(size => ({
+            value: size.name,
+            label: size.name,
+            chipClass: this.filterChipClass(this.selectedSizeFilters.has(size.name), queried.includes(size.name.toLowerCase()))
         }));
     }
 
+    // Size names of the map's scheme, smallest first (TBD excluded), for tile shading
+    get schemeSizeNames() {
+        return this.sizes.filter(size => size.name !== 'TBD').map(size => size.name);
+    }
+
+    // Number of capabilities per size, for the reset warning of the sizing scheme editor
+    get usedSizes() {
+        const counts = {};
+        this.capabilities.forEach(cap => {
+            const size = cap.Size__c || 'TBD';
+            counts[size] = (counts[size] || 0) + 1;
+        });
+        return counts;
+    }
+
+    filterChipClass(selected, inQuery) {
+        let chipClass = 'filter-chip';
+        if (selected || inQuery) chipClass += ' active';
+        if (inQuery) chipClass += ' in-query';
+        return chipClass;
+    }
+
+    // Anything that hides or dims tiles on the canvas
+    get hasCanvasFilters() {
+        return this.hasActiveFilters || this.viewFilter !== 'all' || this.activeFilters.size > 0;
+    }
+
     // Check if any filters are active
     get hasActiveFilters() {
-        return this.selectedPhaseFilters.size > 0 || this.selectedSizeFilters.size > 0;
+        return this.selectedPhaseFilters.size > 0 || this.selectedSizeFilters.size > 0 || !!this.searchTerm;
     }
 
     // Handle phase filter click
+    // A chip that comes from the search query is switched off by editing the query
     handlePhaseFilterClick(event) {
         const phase = event.currentTarget.dataset.value;
+        const query = this.searchQuery;
+        if (queryValues(query, 'phase').some(value => matchesPhase(phase, value))) {
+            this.searchTerm = removeQueryValue(query, 'phase', value => matchesPhase(phase, value));
+            return;
+        }
         if (this.selectedPhaseFilters.has(phase)) {
             this.selectedPhaseFilters.delete(phase);
         } else {
@@ -252,6 +504,11 @@ export default class CapabilityMapApp extends LightningElement {
     // Handle size filter click
     handleSizeFilterClick(event) {
         const size = event.currentTarget.dataset.value;
+        const query = this.searchQuery;
+        if (queryValues(query, 'size').includes(size.toLowerCase())) {
+            this.searchTerm = removeQueryValue(query, 'size', value => value === size.toLowerCase());
+            return;
+        }
         if (this.selectedSizeFilters.has(size)) {
             this.selectedSizeFilters.delete(size);
         } else {
@@ -265,6 +522,7 @@ export default class CapabilityMapApp extends LightningElement {
     handleClearFilters() {
         this.selectedPhaseFilters = new Set();
         this.selectedSizeFilters = new Set();
+        this.searchTerm = '';
     }
 
     get totalHours() {
@@ -280,22 +538,157 @@ export default class CapabilityMapApp extends LightningElement {
     }
 
     get mapTransformStyle() {
-        return `transform: scale(${this.zoom})`;
+        return `transform: translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})`;
+    }
+
+    get mapContainerClass() {
+        return this.panState?.moved ? 'map-container panning' : 'map-container';
+    }
+
+    get minimap() {
+        const layout = this.canvasLayout;
+        const columns = this.boardColumns;
+        if (!layout || columns.length === 0) return null;
+        const mini = minimapLayout(layout.content, columns, this.canvasView, layout.viewport);
+        return {
+            style: `width: ${mini.width}px; height: ${mini.height}px;`,
+            frameStyle: `left: ${mini.frame.left}px; top: ${mini.frame.top}px; width: ${mini.frame.width}px; height: ${mini.frame.height}px;`,
+            columns: mini.columns.map(column => ({
+                id: column.id,
+                name: column.name,
+                className: column.id === this.focusedCategoryId ? 'minimap-column focused' : 'minimap-column',
+                style: `left: ${column.left}px; top: ${column.top}px; width: ${column.width}px; height: ${column.height}px;`
+            }))
+        };
+    }
+
+    get showMinimapOverlay() {
+        return this.showMinimap && this.minimap !== null;
+    }
+
+    get minimapToggleLabel() {
+        return this.showMinimap ? 'Hide minimap' : 'Show minimap';
+    }
+
+    get fitCategoryDisabled() {
+        return !this.fitCategoryId;
     }
 
     get statusBadgeClass() {
-        return `badge badge-${this.statusText.toLowerCase()}`;
+        return `badge badge-${this.saveStatus}`;
+    }
+
+    get saveStatusLabel() {
+        switch (this.saveStatus) {
+            case SAVE_STATUS.SAVING:
+                return 'Saving...';
+            case SAVE_STATUS.OFFLINE:
+                return 'Offline';
+            case SAVE_STATUS.CONFLICT:
+                return 'Conflict';
+            case SAVE_STATUS.ERROR:
+                return this.changeQueue.willRetry ? 'Retrying...' : 'Error';
+            case SAVE_STATUS.PENDING:
+                return this.autoSaveEnabled ? 'Modified' : 'Unsaved';
+            default:
+                return 'Saved';
+        }
+    }
+
+    get saveStatusTitle() {
+        if (this.saveStatus === SAVE_STATUS.ERROR) {
+            return `Save failed: ${this.saveError?.body?.message || this.saveError?.message || 'Unknown error'}`;
+        }
+        if (this.saveStatus === SAVE_STATUS.OFFLINE) {
+            return 'Changes are kept and saved when the connection returns';
+        }
+        if (this.saveStatus === SAVE_STATUS.CONFLICT) {
+            return 'Someone else changed the same fields - click Resolve';
+        }
+        return this.lastSavedAt ? `Last saved ${new Date(this.lastSavedAt).toLocaleString()}` : '';
+    }
+
+    get statusDotClass() {
+        return this.saveStatus === SAVE_STATUS.OFFLINE ? 'status-dot offline' : 'status-dot';
+    }
+
+    // Manual-save mode, or a failed save the user can retry
+    get showSaveButton() {
+        return !this.autoSaveEnabled || this.saveStatus === SAVE_STATUS.ERROR || this.saveStatus === SAVE_STATUS.CONFLICT;
+    }
+
+    get saveButtonLabel() {
+        return this.saveStatus === SAVE_STATUS.CONFLICT ? 'Resolve' : 'Save';
+    }
+
+    get saveButtonDisabled() {
+        return this.saveStatus === SAVE_STATUS.SAVED || this.saveStatus === SAVE_STATUS.SAVING;
     }
 
     get cannotUndo() {
-        return this.historyIndex <= 0;
+        return this.historyVersion >= 0 && (this.isReadOnly || !this.history.canUndo);
     }
 
     get cannotRedo() {
-        return this.historyIndex >= this.history.length - 1;
+        return this.historyVersion >= 0 && (this.isReadOnly || !this.history.canRedo);
+    }
+
+    // Active maps of another owner and archived maps; Apex refuses their writes too
+    get isReadOnly() {
+        return !!this.mapAccess?.isReadOnly;
+    }
+
+    get lockReason() {
+        return this.mapAccess?.lockReason;
+    }
+
+    get mapStatus() {
+        return this.mapAccess?.status || 'Draft';
+    }
+
+    get mapStatusClass() {
+        return `map-status status-${this.mapStatus.toLowerCase()}`;
+    }
+
+    get mapStatusTitle() {
+        return this.mapAccess?.isOwner ? 'Change the status of this map' : `Owned by ${this.mapAccess?.ownerName}`;
+    }
+
+    get commentsClosed() {
+        return this.mapAccess ? !this.mapAccess.canComment : false;
+    }
+
+    get appContainerClass() {
+        return this.isReadOnly ? 'app-container read-only' : 'app-container';
+    }
+
+    // Explain why the map cannot be changed; true when the action has to stop
+    blockedByStatus() {
+        if (!this.isReadOnly) return false;
+        this.toast(this.lockReason, 'warning');
+        return true;
     }
 
     // Filter button classes
+    get isRoadmapMode() {
+        return this.canvasMode === 'roadmap';
+    }
+
+    get boardModeClass() {
+        return this.isRoadmapMode ? 'tool-btn' : 'tool-btn active';
+    }
+
+    get roadmapModeClass() {
+        return this.isRoadmapMode ? 'tool-btn active' : 'tool-btn';
+    }
+
+    get roadmapGroupOptions() {
+        return [
+            { value: GROUP_BY_CATEGORY, label: 'By category', selected: this.roadmapGroupBy === GROUP_BY_CATEGORY },
+            { value: GROUP_BY_ROLE, label: 'By role', selected: this.roadmapGroupBy === GROUP_BY_ROLE }
+        ];
+    }
+
     get allFilterClass() {
         return this.viewFilter === 'all' ? 'tool-btn active' : 'tool-btn';
     }
@@ -325,33 +718,57 @@ export default class CapabilityMapApp extends LightningElement {
             return {
                 ...cat,
                 capabilityCount: count,
-                itemClass: cat.Is_Subcategory__c ? 'category-item sub' : 'category-item'
+                itemClass: cat.Parent_Category__c ? 'category-item sub' : 'category-item'
             };
         });
     }
 
-    // Check if custom phase colors are defined
-    get hasCustomPhaseColors() {
-        return Object.keys(this.customPhaseColors).length > 0;
+    // Parent/child structure of the categories (see categoryTree.js)
+    get categoryTree() {
+        return this.categoryTreeOf(this.categories);
     }
 
-    // Phase legend for canvas (only shows when custom colors defined)
+    categoryTreeOf = memoizeOne(buildTree);
+
+    // Phase legend for the sidebar: the map's phases in order with their dates and counts;
+    // phases where a role has more work than capacity are flagged
     get phaseLegendItems() {
-        if (!this.hasCustomPhaseColors) return [];
-        
-        return Object.entries(this.customPhaseColors).map(([phaseName, color]) => {
-            const count = this.capabilities.filter(c => c.Phase__c === phaseName).length;
+        const used = this.usedPhases;
+        const overallocated = new Map(this.capacityPlan.phases
+            .filter(row => row.overallocated)
+            .map(row => [row.name, row]));
+        return this.availablePhases.map(phaseName => {
+            const phase = this.phaseColors.find(item => item.Name === phaseName);
+            const color = this.customPhaseColors[phaseName] || '#9CA3AF';
+            const over = overallocated.get(phaseName);
+            let title = phase ? phaseName : `${phaseName} (not one of the map's phases)`;
+            if (over) {
+                title += ` - over capacity: ${over.roles.filter(row => row.over).map(row => row.name).join(', ')}`;
+            }
+            let itemClass = phase ? 'phase-legend-item' : 'phase-legend-item undefined';
+            if (over) itemClass += ' overallocated';
             return {
                 id: phaseName,
                 label: phaseName,
                 color: color,
-                count,
+                count: used[phaseName] || 0,
+                dates: formatPhaseDates(phase),
+                title,
                 colorStyle: `background-color: ${color}`,
-                itemClass: 'phase-legend-item'
+                itemClass
             };
         });
     }
 
+    // Role capacity per phase (see capacityModel); the planner view shows the details
+    capacityPlanOf = memoizeOne((phases, capabilities, roles, roleAssignments, dependencies) => buildCapacityPlan(
+        phases, capabilities, { roles, roleAssignments, dependencies }
+    ));
+
+    get capacityPlan() {
+        return this.capacityPlanOf(this.phaseColors, this.capabilities, this.roles, this.roleAssignments, this.dependencies);
+    }
+
     // Color palette options - click to set color on selected capabilities
     get colorOptions() {
         const colors = [
@@ -420,33 +837,28 @@ export default class CapabilityMapApp extends LightningElement {
         });
         
         // Convert to array with size breakdown
+        const phaseOrder = this.availablePhases;
         const result = Object.values(colorGroups).map(group => {
-            const sizeShades = generateColorShades(group.color);
-            const sizes = SIZE_DEFS
-                .filter(s => group.sizes[s.id] > 0) // Only show sizes with count > 0
+            const sizeShades = generateColorShades(group.color, this.schemeSizeNames);
+            const sizes = this.sizes
+                .filter(s => group.sizes[s.name] > 0) // Only show sizes with count > 0
                 .map(s => ({
-                    size: s.id,
-                    label: s.description,
-                    count: group.sizes[s.id],
-                    badgeStyle: `background-color: ${sizeShades[s.id]}; color: ${getTextColor(sizeShades[s.id])}`
+                    size: s.name,
+                    label: s.name === 'TBD' ? 'To Be Determined' : `${s.hours}h`,
+                    count: group.sizes[s.name],
+                    badgeStyle: `background-color: ${sizeShades[s.name]}; color: ${getTextColor(sizeShades[s.name])}`
                 }));
             
             const total = Object.values(group.sizes).reduce((sum, c) => sum + c, 0);
             const isExpanded = this.expandedColors.has(group.color);
             
-            // Convert phases Set to sorted array and join (empty string if no phases)
-            const phasesArray = [...group.phases].sort();
+            // Phases of the group in the map's phase order (empty string if no phases)
+            const phasesArray = phaseOrder.filter(phase => group.phases.has(phase));
             const phaseLabel = phasesArray.length > 0 ? phasesArray.join(', ') : '';
             const hasPhase = phasesArray.length > 0;
             
-            // Extract phase number for sorting (e.g., "Phase 1" -> 1, "Phase 2" -> 2)
-            let phaseNumber = 999; // Default for items without phase
-            if (phasesArray.length > 0) {
-                const match = phasesArray[0].match(/(\d+)/);
-                if (match) {
-                    phaseNumber = parseInt(match[1], 10);
-                }
-            }
+            // Groups are sorted by their first phase
+            const phaseNumber = hasPhase ? phaseOrder.indexOf(phasesArray[0]) : 999;
             
             return {
                 color: group.color,
@@ -517,96 +929,60 @@ export default class CapabilityMapApp extends LightningElement {
     }
 
     // Reset size to TBD for selected capabilities
-    async handleResetSize() {
-        if (this.selectedIds.size === 0) return;
+    handleResetSize() {
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
         
-        this.isLoading = true;
-        try {
-            await bulkUpdateCapabilities({
-                capabilityIds: [...this.selectedIds],
-                fields: { Size__c: 'TBD' }
-            });
-            
-            // Update in memory - TBD has 0 hours
-            this.capabilities = this.capabilities.map(cap => {
-                if (this.selectedIds.has(cap.Id)) {
-                    return { 
-                        ...cap, 
-                        Size__c: 'TBD',
-                        Calculated_Hours__c: cap.Hours_Override__c || 0
-                    };
-                }
-                return { ...cap };
-            });
-            
-            this.toast(`Reset size for ${this.selectedIds.size} capabilities`);
-        } catch (error) {
-            console.error('Error resetting size:', error);
-            this.toast('Error resetting size', 'error');
-        } finally {
-            this.isLoading = false;
-        }
+        const before = this.capabilities.filter(cap => this.selectedIds.has(cap.Id));
+        
+        // Update in memory - TBD has 0 hours
+        this.capabilities = this.capabilities.map(cap => {
+            if (this.selectedIds.has(cap.Id)) {
+                return { 
+                    ...cap, 
+                    Size__c: 'TBD',
+                    Calculated_Hours__c: cap.Hours_Override__c || 0
+                };
+            }
+            return cap;
+        });
+        
+        this.queueFieldChanges('Reset size', before, this.capabilities);
+        this.toast(`Reset size for ${this.selectedIds.size} capabilities`);
     }
 
     // Reset phase to TBD for selected capabilities
-    async handleResetPhase() {
-        if (this.selectedIds.size === 0) return;
+    handleResetPhase() {
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
         
-        this.isLoading = true;
-        try {
-            await bulkUpdateCapabilities({
-                capabilityIds: [...this.selectedIds],
-                fields: { Phase__c: 'TBD' }
-            });
-            
-            // Update in memory
-            this.capabilities = this.capabilities.map(cap => {
-                if (this.selectedIds.has(cap.Id)) {
-                    return { ...cap, Phase__c: 'TBD' };
-                }
-                return { ...cap };
-            });
-            
-            this.toast(`Reset phase to TBD for ${this.selectedIds.size} capabilities`);
-        } catch (error) {
-            console.error('Error resetting phase:', error);
-            this.toast('Error resetting phase', 'error');
-        } finally {
-            this.isLoading = false;
-        }
+        const before = this.capabilities.filter(cap => this.selectedIds.has(cap.Id));
+        
+        // Update in memory
+        this.capabilities = this.capabilities.map(cap => {
+            if (this.selectedIds.has(cap.Id)) {
+                return { ...cap, Phase__c: 'TBD' };
+            }
+            return cap;
+        });
+        
+        this.queueFieldChanges('Reset phase', before, this.capabilities);
+        this.toast(`Reset phase to TBD for ${this.selectedIds.size} capabilities`);
     }
 
     // Reset ALL colors (wipe colors for all capabilities)
-    async handleResetAllColors() {
+    handleResetAllColors() {
         const coloredCaps = this.capabilities.filter(c => c.Color__c);
-        if (coloredCaps.length === 0) return;
+        if (coloredCaps.length === 0 || this.blockedByStatus()) return;
         
         // Confirm with user
         if (!confirm(`This will clear colors from ${coloredCaps.length} capabilities. Continue?`)) {
             return;
         }
         
-        this.isLoading = true;
-        try {
-            await bulkUpdateCapabilities({
-                capabilityIds: coloredCaps.map(c => c.Id),
-                fields: { Color__c: null }
-            });
-            
-            // Update in memory
-            this.capabilities = this.capabilities.map(cap => {
-                return { ...cap, Color__c: null };
-            });
-            
-            this.changedColorIds.clear();
-            this.hasUnsavedChanges = false;
-            this.toast(`Cleared colors from ${coloredCaps.length} capabilities`);
-        } catch (error) {
-            console.error('Error resetting colors:', error);
-            this.toast('Error resetting colors', 'error');
-        } finally {
-            this.isLoading = false;
-        }
+        // Update in memory
+        this.capabilities = this.capabilities.map(cap => (cap.Color__c ? { ...cap, Color__c: null } : cap));
+        
+        this.queueFieldChanges('Reset colors', coloredCaps, this.capabilities);
+        this.toast(`Cleared colors from ${coloredCaps.length} capabilities`);
     }
 
     // Handle color selection - applies color to selected capabilities
@@ -617,19 +993,20 @@ export default class CapabilityMapApp extends LightningElement {
             this.toast('Select capabilities first', 'warning');
             return;
         }
+        if (this.blockedByStatus()) return;
         
         // If "Apply to all phases" is checked, just apply to selected without restrictions
         if (this.applyColorToAll) {
+            const before = this.capabilities;
             this.capabilities = this.capabilities.map(cap => {
                 if (this.selectedIds.has(cap.Id)) {
-                    this.changedColorIds.add(cap.Id);
                     return { ...cap, Color__c: selectedColor };
                 }
-                return { ...cap };
+                return cap;
             });
             
-            this.hasUnsavedChanges = true;
-            this.toast(`Color applied to ${this.selectedIds.size} capabilities - click Save to persist`);
+            this.queueFieldChanges('Change color', before, this.capabilities);
+            this.toast(`Color applied to ${this.selectedIds.size} capabilities`);
             return;
         }
         
@@ -703,19 +1080,19 @@ export default class CapabilityMapApp extends LightningElement {
         });
         
         // Update color on all affected capabilities
+        const before = this.capabilities;
         this.capabilities = this.capabilities.map(cap => {
             if (affectedIds.has(cap.Id)) {
-                this.changedColorIds.add(cap.Id);
                 return { ...cap, Color__c: selectedColor };
             }
-            return { ...cap };
+            return cap;
         });
         
         const extraCount = affectedIds.size - this.selectedIds.size;
         const extraMsg = extraCount > 0 ? ` (+${extraCount} same phase)` : '';
         
-        this.hasUnsavedChanges = true;
-        this.toast(`Color applied to ${affectedIds.size} capabilities${extraMsg} - click Save to persist`);
+        this.queueFieldChanges('Change color', before, this.capabilities);
+        this.toast(`Color applied to ${affectedIds.size} capabilities${extraMsg}`);
     }
 
     // Handle "Apply to all phases" checkbox change
@@ -723,123 +1100,197 @@ export default class CapabilityMapApp extends LightningElement {
         this.applyColorToAll = event.target.checked;
     }
 
-    // Track unsaved changes
-    @track hasUnsavedChanges = false;
-    changedColorIds = new Set(); // Track which capabilities have color changes
-
-    // Save color changes to database
-    async handleSaveColors() {
-        if (this.changedColorIds.size === 0) {
-            this.toast('No color changes to save');
-            return;
-        }
-        
-        this.isLoading = true;
-        
-        try {
-            // Group by color to minimize API calls
-            const colorGroups = {};
-            this.capabilities.forEach(cap => {
-                if (this.changedColorIds.has(cap.Id)) {
-                    const color = cap.Color__c || '#0176D3';
-                    if (!colorGroups[color]) colorGroups[color] = [];
-                    colorGroups[color].push(cap.Id);
-                }
-            });
-            
-            // Update each color group
-            for (const [color, ids] of Object.entries(colorGroups)) {
-                await bulkUpdateCapabilities({
-                    capabilityIds: ids,
-                    fields: { Color__c: color }
-                });
-            }
-            
-            this.changedColorIds.clear();
-            this.hasUnsavedChanges = false;
-            
-            // Force reactivity by creating new array
-            this.capabilities = [...this.capabilities];
-            
-            this.toast('Colors saved successfully');
-        } catch (error) {
-            console.error('Error saving colors:', error);
-            this.toast('Error saving colors', 'error');
-        } finally {
-            this.isLoading = false;
-        }
+    // Full board model: every category with its matching tiles, in canvas order
+    // Memoized on the identity of its inputs, so re-renders that only pan or zoom are free
+    get categoriesWithCapabilities() {
+        const visibleByCategory = this.filterBoard(
+            this.categories, this.capabilities, this.searchTerm, this.activeFilters,
+            this.viewFilter, this.roles, this.roleAssignments
+        );
+        return this.decorateBoard(
+            visibleByCategory, this.selectedPhaseFilters, this.selectedSizeFilters, this.selectedIds,
+            this.dependencyState.conflicts.warnings, this.commentSummary
+        );
     }
 
-    get categoriesWithCapabilities() {
-        const search = this.searchTerm.toLowerCase();
-        const hasPhaseFilter = this.selectedPhaseFilters.size > 0;
-        const hasSizeFilter = this.selectedSizeFilters.size > 0;
-        const hasAnyFilter = hasPhaseFilter || hasSizeFilter;
-        
-        return this.categories.map(category => {
-            // Filter capabilities for this category
-            let categoryCapabilities = this.capabilities.filter(cap => {
-                // Must belong to this category
-                if (cap.Capability_Category__c !== category.Id) return false;
-                
-                // Search filter
-                if (search && !cap.Name.toLowerCase().includes(search)) return false;
+    // Stage 1: capabilities that pass the search query, view filter and hidden sizes, per category
+    // Roles and assignments are part of the memo key because role: terms match on them
+    filterBoard = memoizeOne((categories, capabilities, searchTerm, activeFilters, viewFilter) => {
+        const query = this.searchQuery;
+        const queryContext = this.searchContext();
+        const byCategory = this.capabilitiesByCategory(capabilities);
+        return categories.map(category => ({
+            category,
+            capabilities: (byCategory.get(category.Id) || []).filter(cap => {
+                // Search query
+                if (!matchesQuery(cap, query, queryContext)) return false;
                 
                 // Size filter (old filter - hide completely)
-                if (this.activeFilters.size > 0 && this.activeFilters.has(cap.Size__c)) return false;
+                if (activeFilters.size > 0 && activeFilters.has(cap.Size__c)) return false;
                 
                 // View filter
-                if (this.viewFilter === 'tbd' && cap.Size__c !== 'TBD') return false;
-                if (this.viewFilter === 'sized' && cap.Size__c === 'TBD') return false;
+                if (viewFilter === 'tbd' && cap.Size__c !== 'TBD') return false;
+                if (viewFilter === 'sized' && cap.Size__c === 'TBD') return false;
                 
                 return true;
-            });
-
-            // Add selection state and computed properties
-            // Each capability uses its own Color__c (grey if not set)
-            categoryCapabilities = categoryCapabilities.map(cap => {
-                const baseColor = cap.Color__c || '#9CA3AF'; // Default grey (no color assigned)
-                const sizeShades = generateColorShades(baseColor);
-                const bgColor = sizeShades[cap.Size__c] || '#E8E8E8';
-                const txtColor = getTextColor(bgColor);
-                
+            })
+        }));
+    });
+
+    // Stage 2: tile view models with selection, phase/size filter dimming, dependency warnings
+    // and comment badges. Each capability uses its own Color__c (grey if not set)
+    decorateBoard = memoizeOne((visibleByCategory, phaseFilters, sizeFilters, selectedIds, warnings, comments) => {
+        const hasAnyFilter = phaseFilters.size > 0 || sizeFilters.size > 0;
+        return visibleByCategory.map(({ category, capabilities }) => ({
+            ...category,
+            capabilities: capabilities.map(cap => {
                 // Check if this tile matches the active filters
-                let matchesFilter = true;
-                if (hasPhaseFilter && !this.selectedPhaseFilters.has(cap.Phase__c)) {
-                    matchesFilter = false;
-                }
-                if (hasSizeFilter && !this.selectedSizeFilters.has(cap.Size__c)) {
-                    matchesFilter = false;
-                }
-                
-                // Build tile class
-                let tileClass = 'capability-tile';
-                if (this.selectedIds.has(cap.Id)) {
-                    tileClass += ' multi-selected';
-                }
-                if (hasAnyFilter && !matchesFilter) {
-                    tileClass += ' blurred';
-                }
-                
-                return {
-                    ...cap,
-                    isSelected: this.selectedIds.has(cap.Id),
-                    displayHours: cap.Calculated_Hours__c || 0,
-                    displayPhase: cap.Phase__c || '',
-                    tileStyle: `background-color: ${bgColor}; color: ${txtColor}`,
-                    tileClass
-                };
-            });
-
-            // Sort by Sort_Order__c
-            categoryCapabilities.sort((a, b) => (a.Sort_Order__c || 0) - (b.Sort_Order__c || 0));
-
+                const matchesFilter = (phaseFilters.size === 0 || phaseFilters.has(cap.Phase__c))
+                    && (sizeFilters.size === 0 || sizeFilters.has(cap.Size__c));
+                return this.tileCache.get(
+                    cap, selectedIds.has(cap.Id), matchesFilter, hasAnyFilter && !matchesFilter,
+                    warnings.get(cap.Id), comments[cap.Id], hoursBreakdown(cap, this.getHoursForSize(cap.Size__c), category)
+                );
+            })
+        }));
+    });
+
+    // Stage 3: the hierarchy - collapsed groups hide their subcategories, headers get
+    // their depth, parent path and (for parents) totals including all subcategories
+    nestBoard = memoizeOne((board, tree, collapsedIds) => {
+        const columnsById = new Map(board.map(column => [column.Id, column]));
+        const totals = rollups(tree, id => {
+            const tiles = columnsById.get(id)?.capabilities || [];
+            return { count: tiles.length, hours: tiles.reduce((sum, tile) => sum + tile.displayHours, 0) };
+        });
+        return visibleIds(tree, collapsedIds).map(id => {
+            const column = columnsById.get(id);
+            const node = tree.nodes.get(id);
+            const hasChildren = node.children.length > 0;
+            const isCollapsed = hasChildren && collapsedIds.has(id);
+            const total = totals.get(id);
+            const path = ancestorIds(tree, id).map(ancestorId => tree.nodes.get(ancestorId).category.Name);
+            const depthClass = `depth-${Math.min(node.depth, 4)}`;
             return {
-                ...category,
-                capabilities: categoryCapabilities,
-                headerClass: category.Is_Subcategory__c ? 'subsection-header' : 'category-header'
+                ...column,
+                depth: node.depth,
+                hasChildren,
+                isCollapsed,
+                collapseIcon: isCollapsed ? '▸' : '▾',
+                collapseTitle: isCollapsed
+                    ? `Show ${descendantIds(tree, id).length} subcategories`
+                    : 'Hide subcategories',
+                parentPath: path.length > 0 ? `${path.join(' › ')} ›` : null,
+                rollupLabel: `${total.count} · ${total.hours}h`,
+                rollupTitle: `${total.count} capabilities, ${total.hours} hours including subcategories`,
+                headerClass: node.depth === 0
+                    ? `category-header ${depthClass}`
+                    : `category-header subsection-header ${depthClass}`
             };
         });
+    });
+
+    capabilitiesByCategory = memoizeOne(indexByCategory);
+
+    // What the template draws: on large maps only the columns and tiles in view
+    get renderedBoard() {
+        return this.windowedBoard(this.boardView, this.zoom, this.panX, this.panY, this.canvasLayout);
+    }
+
+    windowedBoard = memoizeOne((board, zoom, x, y, layout) => {
+        const total = board.reduce((sum, column) => sum + column.capabilities.length, 0);
+        const viewport = layout?.viewport || { width: 1600, height: 1000 };
+        const windowed = total >= VIRTUALIZE_THRESHOLD
+            ? windowBoard(board, visibleArea({ zoom, x, y }, viewport))
+            : { columns: board, leftSpacer: null, rightSpacer: null };
+        const spacerStyle = spacer => spacer && `width: ${spacer.width}px; height: ${spacer.height}px;`;
+        return {
+            columns: windowed.columns.map(column => ({
+                ...column,
+                topSpacerStyle: column.topSpacer ? `height: ${column.topSpacer}px;` : null,
+                bottomSpacerStyle: column.bottomSpacer ? `height: ${column.bottomSpacer}px;` : null
+            })),
+            leftSpacerStyle: spacerStyle(windowed.leftSpacer),
+            rightSpacerStyle: spacerStyle(windowed.rightSpacer)
+        };
+    });
+
+    // The columns on the canvas: the board without the subcategories of collapsed groups
+    get boardView() {
+        return this.nestBoard(this.categoriesWithCapabilities, this.categoryTree, this.collapsedCategoryIds);
+    }
+
+    // Column positions for the minimap and the fit/jump actions
+    get boardColumns() {
+        return this.columnRectsOf(this.boardView);
+    }
+
+    columnRectsOf = memoizeOne(columnRects);
+
+    // Dependency index and phase-order conflicts, recomputed when dependencies, capabilities or phases change
+    get dependencyState() {
+        return this.analyzeDependencies(this.dependencies, this.capabilities, this.phaseColors);
+    }
+
+    analyzeDependencies = memoizeOne((dependencies, capabilities, phases) => {
+        const capabilitiesById = new Map(capabilities.map(cap => [cap.Id, cap]));
+        const ranks = phaseRanks(phases);
+        return {
+            index: indexDependencies(dependencies),
+            capabilitiesById,
+            ranks,
+            conflicts: phaseConflicts(dependencies, capabilitiesById, ranks)
+        };
+    });
+
+    // Connector overlay: one curve per dependency between tiles on the board
+    get dependencyLayer() {
+        return this.layoutConnectors(
+            this.boardView, this.dependencies, this.dependencyState.conflicts.violationIds, this.showDependencies
+        );
+    }
+
+    layoutConnectors = memoizeOne((board, dependencies, violationIds, visible) => {
+        const connectors = visible ? connectorPaths(dependencies, tilePositions(board), violationIds) : [];
+        const rects = this.columnRectsOf(board);
+        const width = rects.reduce((max, rect) => Math.max(max, rect.x + rect.width), 0);
+        const height = rects.reduce((max, rect) => Math.max(max, rect.height), 0);
+        return { connectors, hasConnectors: connectors.length > 0, width, height };
+    });
+
+    get hasDependencies() {
+        return this.dependencies.length > 0;
+    }
+
+    get dependencyToggleClass() {
+        return this.showDependencies ? 'zoom-btn active' : 'zoom-btn';
+    }
+
+    get dependencyToggleTitle() {
+        const conflicts = this.dependencyState.conflicts.violationIds.size;
+        const suffix = conflicts > 0 ? ` (${conflicts} out of phase order)` : '';
+        return `${this.showDependencies ? 'Hide' : 'Show'} dependencies${suffix}`;
+    }
+
+    handleToggleDependencies() {
+        this.showDependencies = !this.showDependencies;
+    }
+
+    // Lookups the search query needs (role names per capability, category names, hours)
+    searchContext() {
+        const roleNames = new Map(this.roles.map(role => [role.Id, (role.Name || '').toLowerCase()]));
+        const rolesByCapability = new Map();
+        this.roleAssignments.forEach(ra => {
+            const names = rolesByCapability.get(ra.Capability__c) || [];
+            names.push(roleNames.get(ra.Capability_Role__c) || '');
+            rolesByCapability.set(ra.Capability__c, names);
+        });
+        const categoryNames = new Map(this.categories.map(cat => [cat.Id, (cat.Name || '').toLowerCase()]));
+        return {
+            roleNamesOf: cap => rolesByCapability.get(cap.Id) || [],
+            categoryNameOf: cap => categoryNames.get(cap.Capability_Category__c) || '',
+            hoursOf: cap => cap.Calculated_Hours__c || 0
+        };
     }
 
     // ============================================
@@ -847,6 +1298,7 @@ export default class CapabilityMapApp extends LightningElement {
     // ============================================
     async handleProjectSelected(event) {
         const { projectId, projectName } = event.detail;
+        if (!(await this.settlePendingChanges())) return;
         this.isLoading = true;
         
         try {
@@ -868,10 +1320,13 @@ export default class CapabilityMapApp extends LightningElement {
             
             this.mapId = map.Id;
             this.mapName = map.Name;
+            this.defaultRate = map.Default_Hourly_Rate__c ?? null;
             this.capabilityMap = map;
+            this.resetChangeQueue(map);
+            this.resetCanvasView();
             
             await this.loadMapData();
-            this.saveHistory();
+            this.clearHistory();
             
         } catch (error) {
             console.error('Error loading/creating map:', error);
@@ -892,11 +1347,22 @@ export default class CapabilityMapApp extends LightningElement {
             cats.sort((a, b) => (a.Sort_Order__c || 0) - (b.Sort_Order__c || 0));
             
             this.categories = cats;
-            this.capabilities = [...(data.capabilities || [])];
+            // Keep queued edits visible until they are saved
+            this.capabilities = this.changeQueue.applyPending([...(data.capabilities || [])]);
             this.appliedTemplates = data.appliedTemplates || [];
+            this.roles = data.roles || [];
+            this.roleAssignments = data.roleAssignments || [];
+            this.dependencies = data.dependencies || [];
+            this.commentSummary = data.commentSummary || {};
+            this.mapAccess = data.access || null;
+            this.pullAlongPrompt = null;
+            this.sizes = data.sizes || [];
+            this.capabilities = this.capabilities.map(cap => this.withHours(cap));
+            this.tileCache.setSizes(this.schemeSizeNames);
             
-            // Load custom phase colors
+            // The map's phases and their colors
             const phaseColors = data.phaseColors || [];
+            this.phaseColors = phaseColors;
             this.customPhaseColors = {};
             phaseColors.forEach(pc => {
                 this.customPhaseColors[pc.Name] = pc.Color__c;
@@ -912,10 +1378,20 @@ export default class CapabilityMapApp extends LightningElement {
     }
 
     // Track user accessing this map (for favorites/recently viewed)
+    // The first time a map is opened, its views are loaded and the user's default view applied
     async trackAccess() {
         if (!this.mapId) return;
         try {
-            await trackMapAccess({ mapId: this.mapId });
+            const defaultView = await trackMapAccess({ mapId: this.mapId });
+            if (this.viewsMapId !== this.mapId) {
+                this.viewsMapId = this.mapId;
+                this.defaultViewId = defaultView?.Id || null;
+                this.selectedViewId = null;
+                await this.loadViews();
+                if (defaultView) {
+                    this.applyView(defaultView);
+                }
+            }
             // Refresh favorites list
             this.loadFavorites();
         } catch (error) {
@@ -926,26 +1402,30 @@ export default class CapabilityMapApp extends LightningElement {
     // Handle clicking on a favorite map
     async handleFavoriteClick(event) {
         const mapId = event.currentTarget.dataset.id;
+        await this.openMap(mapId);
+    }
+
+    // Switch the app to another map (favorites, imports)
+    async openMap(mapId) {
+        if (!(await this.settlePendingChanges())) return;
         this.isLoading = true;
         
         try {
             const data = await getMapWithData({ mapId: mapId });
             this.mapId = mapId;
             this.mapName = data.map?.Name || 'Capability Map';
+            this.defaultRate = data.map?.Default_Hourly_Rate__c ?? null;
             this.capabilityMap = data.map;
+            this.selectedIds = new Set();
+            this.resetChangeQueue(data.map);
+            this.resetCanvasView();
             
-            const cats = [...(data.categories || [])];
-            cats.sort((a, b) => (a.Sort_Order__c || 0) - (b.Sort_Order__c || 0));
-            this.categories = cats;
-            this.capabilities = [...(data.capabilities || [])];
-            this.appliedTemplates = data.appliedTemplates || [];
-            
-            // Track access
-            this.trackAccess();
-            this.saveHistory();
+            // loadMapData also tracks access for the favorites list
+            await this.loadMapData();
+            this.clearHistory();
             
         } catch (error) {
-            console.error('Error loading favorite map:', error);
+            console.error('Error loading map:', error);
             this.toast('Error loading map', 'error');
         } finally {
             this.isLoading = false;
@@ -982,23 +1462,27 @@ export default class CapabilityMapApp extends LightningElement {
     // HEADER ACTIONS
     // ============================================
     handleMapNameChange(event) {
+        if (this.blockedByStatus()) {
+            event.target.value = this.mapName;
+            return;
+        }
         this.mapName = event.target.value;
-        this.markModified();
+        this.changeQueue.enqueueMap({ Name: this.mapName }, this.capabilityMap);
     }
 
-    handleUndo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreFromHistory();
-            this.toast('Undo');
+    async handleUndo() {
+        if (this.blockedByStatus()) return;
+        const entry = this.history.peekUndo();
+        if (entry) {
+            await this.applyHistoryStep(entry, 'undo');
         }
     }
 
-    handleRedo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreFromHistory();
-            this.toast('Redo');
+    async handleRedo() {
+        if (this.blockedByStatus()) return;
+        const entry = this.history.peekRedo();
+        if (entry) {
+            await this.applyHistoryStep(entry, 'redo');
         }
     }
 
@@ -1011,234 +1495,1498 @@ export default class CapabilityMapApp extends LightningElement {
             }));
             return;
         }
+        if (this.blockedByStatus()) return;
         this.showTemplateModal = true;
     }
 
     handleExport() {
-        const data = {
-            name: this.mapName,
-            categories: this.categories,
-            capabilities: this.capabilities,
-            exported: new Date().toISOString()
-        };
-        
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const a = document.createElement('a');
-        a.href = URL.createObjectURL(blob);
-        a.download = 'capability-map.json';
-        a.click();
-        
-        this.toast('Exported', 'success');
+        this.showExportModal = true;
     }
 
-    handleImport() {
-        // Create file input and trigger
-        const input = document.createElement('input');
-        input.type = 'file';
-        input.accept = '.json';
-        input.onchange = (e) => this.processImport(e);
-        input.click();
+    handleCloseExportModal() {
+        this.showExportModal = false;
     }
 
-    processImport(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        
-        const reader = new FileReader();
+    async handleExportRequest(event) {
+        const options = event.detail;
+        this.showExportModal = false;
+        if (options.format === 'json') {
+            this.exportJson();
+            return;
+        }
+        if (options.format === 'csv') {
+            this.exportCsv();
+            return;
+        }
+        
+        this.isLoading = true;
+        try {
+            const categories = this.exportCategories(options.filteredOnly);
+            const subtitle = this.exportSubtitle(options.filteredOnly);
+            const exported = categories.flatMap(category => category.capabilities);
+            const estimate = buildEstimate(exported, {
+                categories: this.categories,
+                roles: this.roles,
+                roleAssignments: this.roleAssignments,
+                phases: this.phaseColors,
+                sizes: this.sizes,
+                defaultRate: this.defaultRate
+            });
+            const model = buildExportModel(categories, {
+                title: options.title,
+                subtitle,
+                footer: options.footer,
+                includeLegend: options.includeLegend,
+                customPhaseColors: this.customPhaseColors,
+                sizes: this.schemeSizeNames,
+                estimate
+            });
+            const roadmap = buildRoadmap(this.phaseColors, exported, {
+                groupBy: this.roadmapGroupBy,
+                categories: this.categories,
+                roles: this.roles,
+                roleAssignments: this.roleAssignments
+            });
+            // Roadmap and estimate pages
+            const pageOptions = { title: options.title, subtitle, footer: options.footer };
+            const withBoard = options.content !== 'roadmap';
+            const withRoadmap = options.content === 'roadmap' || options.content === 'both';
+            const baseName = fileBaseName(options.title || this.mapName);
+            // One document per view for single-image formats
+            const documents = [
+                ...(withBoard ? [{ name: baseName, ...renderSvg(model) }] : []),
+                ...(withRoadmap ? [{ name: `${baseName}-roadmap`, ...renderRoadmapSvg(roadmap, pageOptions) }] : []),
+                ...(options.includeEstimate ? [{ name: `${baseName}-estimate`, ...renderEstimateSvg(estimate, pageOptions) }] : [])
+            ];
+            
+            if (options.format === 'svg') {
+                documents.forEach(({ name, svg }) => {
+                    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${name}.svg`);
+                });
+            } else if (options.format === 'png') {
+                const blobs = await Promise.all(documents.map(async ({ svg, width, height }) => (
+                    canvasToBlob(await rasterize(svg, width, height))
+                )));
+                blobs.forEach((blob, index) => downloadBlob(blob, `${documents[index].name}.png`));
+            } else {
+                const boardPages = withBoard ? paginate(model) : [];
+                const roadmapPages = withRoadmap ? paginateRoadmap(roadmap) : [];
+                const total = boardPages.length + roadmapPages.length + (options.includeEstimate ? 1 : 0);
+                const rendered = [
+                    ...boardPages.map((page, index) => renderSvg(page, `Page ${index + 1} of ${total}`)),
+                    ...roadmapPages.map((page, index) => renderRoadmapSvg(
+                        page, pageOptions, `Page ${boardPages.length + index + 1} of ${total}`
+                    )),
+                    ...(options.includeEstimate ? [renderEstimateSvg(estimate, pageOptions, `Page ${total} of ${total}`)] : [])
+                ];
+                const canvases = await Promise.all(rendered.map(({ svg, width, height }) => rasterize(svg, width, height)));
+                downloadBlob(canvasesToPdf(canvases), `${baseName}.pdf`);
+            }
+            this.toast('Exported', 'success');
+        } catch (error) {
+            console.error('Error exporting map:', error);
+            this.toast('Export failed: ' + error.message, 'error');
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // Categories with the capabilities to draw, in canvas order
+    // Filtered exports drop hidden and dimmed tiles, and categories left empty
+    // Collapsed groups are exported expanded
+    exportCategories(filteredOnly) {
+        const tree = this.categoryTree;
+        const depthOf = category => tree.nodes.get(category.Id)?.depth || 0;
+        if (filteredOnly) {
+            return this.categoriesWithCapabilities
+                .map(category => ({
+                    ...category,
+                    depth: depthOf(category),
+                    capabilities: category.capabilities.filter(cap => cap.matchesFilter)
+                }))
+                .filter(category => category.capabilities.length > 0);
+        }
+        const byCategory = this.capabilitiesByCategory(this.capabilities);
+        return this.categories.map(category => ({
+            ...category,
+            depth: depthOf(category),
+            capabilities: byCategory.get(category.Id) || []
+        }));
+    }
+
+    exportSubtitle(filteredOnly) {
+        const parts = [`Exported ${new Date().toLocaleDateString()}`];
+        if (filteredOnly) {
+            const view = this.views.find(v => v.Id === this.selectedViewId);
+            const filters = [
+                view ? `view "${view.Name}"` : null,
+                this.searchTerm || null,
+                this.selectedPhaseFilters.size > 0 ? [...this.selectedPhaseFilters].join(', ') : null,
+                this.selectedSizeFilters.size > 0 ? [...this.selectedSizeFilters].join(', ') : null,
+                this.viewFilter !== 'all' ? this.viewFilter.toUpperCase() : null
+            ].filter(Boolean);
+            parts.push(`Filtered: ${filters.join(' · ')}`);
+        }
+        return parts.join(' · ');
+    }
+
+    async exportJson() {
+        const map = this.capabilityMap || {};
+        let comments;
+        try {
+            comments = await getMapComments({ mapId: this.mapId });
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            this.toast('Error loading comments for the export', 'error');
+            return;
+        }
+        const schemeSizes = this.sizes.filter(size => size.name !== 'TBD');
+        const data = {
+            formatVersion: 3,
+            name: this.mapName,
+            sizingScheme: {
+                name: map.Sizing_Scheme__r?.Name || `${this.mapName} sizes`,
+                sizes: schemeSizes.map(({ name, hours, color }) => ({ name, hours, color }))
+            },
+            // Hours per size, as read by imports from before sizing schemes
+            hoursConfig: Object.fromEntries(schemeSizes.map(size => [size.name, size.hours])),
+            defaultHourlyRate: this.defaultRate,
+            categories: this.categories,
+            capabilities: this.capabilities,
+            phaseColors: this.phaseColors.map(({ Name, Color__c, Sort_Order__c, Start_Date__c, End_Date__c }) => ({
+                Name, Color__c, Sort_Order__c, Start_Date__c, End_Date__c
+            })),
+            roles: this.roles,
+            roleAssignments: this.roleAssignments,
+            dependencies: this.dependencies,
+            comments,
+            exported: new Date().toISOString()
+        };
+        
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'capability-map.json';
+        a.click();
+        
+        this.toast('Exported', 'success');
+    }
+
+    // All capabilities, one row each, in canvas order
+    exportCsv() {
+        const csv = capabilitiesToCsv(this.exportCategories(false), this.roles, this.roleAssignments);
+        downloadBlob(new Blob([csv], { type: 'text/csv' }), `${fileBaseName(this.mapName)}.csv`);
+        this.toast('Exported', 'success');
+    }
+
+    handleImport() {
+        if (this.blockedByStatus()) return;
+        // Create file input and trigger
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.csv';
+        input.onchange = (e) => this.processImport(e);
+        input.click();
+    }
+
+    processImport(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        if (/\.csv$/i.test(file.name)) {
+            this.processCsvImport(file);
+            return;
+        }
+        
+        const reader = new FileReader();
         reader.onload = (e) => {
+            let data;
             try {
-                const data = JSON.parse(e.target.result);
-                if (data.categories && data.capabilities) {
-                    this.toast('Import feature coming soon');
-                }
+                data = JSON.parse(e.target.result);
             } catch (err) {
+                console.error('Error parsing import file:', err);
                 this.toast('Invalid file', 'error');
+                return;
+            }
+            if (!Array.isArray(data.categories) || !Array.isArray(data.capabilities)) {
+                this.toast('Not a capability map export', 'error');
+                return;
+            }
+            // Preview and mode selection happen in the import modal
+            this.importData = data;
+            this.importFileName = file.name;
+            this.showImportModal = true;
+        };
+        reader.readAsText(file);
+    }
+
+    handleCloseImportModal() {
+        this.showImportModal = false;
+        this.importData = null;
+    }
+
+    processCsvImport(file) {
+        if (!this.mapId) {
+            this.toast('Open a map to import capabilities into', 'warning');
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            let parsed;
+            try {
+                parsed = parseCsv(e.target.result);
+            } catch (err) {
+                console.error('Error parsing CSV file:', err);
+                this.toast('Invalid CSV file: ' + err.message, 'error');
+                return;
+            }
+            if (!parsed.columns.includes('Name') || !parsed.columns.includes('Category')) {
+                this.toast('The CSV needs at least Category and Name columns', 'error');
+                return;
+            }
+            if (parsed.rows.length === 0) {
+                this.toast('The CSV has no rows', 'warning');
+                return;
+            }
+            // Rows may update records that have queued edits
+            if (this.changeQueue.hasPending && !(await this.changeQueue.flush())) {
+                this.toast('Save your changes before importing', 'error');
+                return;
+            }
+            this.csvRows = parsed.rows;
+            this.importFileName = file.name;
+            this.showCsvImportModal = true;
+        };
+        reader.readAsText(file);
+    }
+
+    handleCloseCsvImportModal() {
+        this.showCsvImportModal = false;
+        this.csvRows = [];
+    }
+
+    async handleCsvImported(event) {
+        const { created, updated, skipped } = event.detail;
+        this.handleCloseCsvImportModal();
+        // Imported records are not part of the undo history
+        await this.reloadKeepingHistory();
+        this.markModified();
+        const message = `Imported CSV: ${created} created, ${updated} updated`;
+        this.toast(skipped > 0 ? `${message}, ${skipped} rows skipped` : message, skipped > 0 ? 'warning' : 'success');
+    }
+
+    async handleMapImported(event) {
+        const { mapId, isNewMap, capabilitiesCreated } = event.detail;
+        this.handleCloseImportModal();
+        
+        if (isNewMap) {
+            await this.openMap(mapId);
+        } else {
+            await this.loadMapData();
+            this.markModified();
+            // Imported records are not part of the undo history
+            this.clearHistory();
+        }
+        this.toast(`Imported ${capabilitiesCreated} capabilities`, 'success');
+    }
+
+    // ============================================
+    // SAVED VIEWS
+    // ============================================
+    async loadViews() {
+        try {
+            this.views = await getViews({ mapId: this.mapId });
+        } catch (error) {
+            console.error('Error loading views:', error);
+            this.views = [];
+        }
+    }
+
+    get viewOptions() {
+        return this.views.map(view => ({
+            value: view.Id,
+            label: view.Name + (view.Is_Shared__c ? ' (shared)' : '') + (view.Id === this.defaultViewId ? ' ★' : ''),
+            selected: view.Id === this.selectedViewId
+        }));
+    }
+
+    get noViewSelected() {
+        return !this.selectedViewId;
+    }
+
+    get hasSelectedView() {
+        return !!this.selectedViewId;
+    }
+
+    // Filter state as stored in Map_View__c.Filters__c
+    get currentFilters() {
+        return JSON.stringify({
+            viewFilter: this.viewFilter,
+            phases: [...this.selectedPhaseFilters],
+            sizes: [...this.selectedSizeFilters],
+            searchTerm: this.searchTerm,
+            zoom: this.zoom,
+            collapsed: [...this.collapsedCategoryIds]
+        });
+    }
+
+    applyView(view) {
+        let filters = {};
+        try {
+            filters = JSON.parse(view.Filters__c || '{}');
+        } catch (error) {
+            console.error('Invalid filters on view:', view.Name, error);
+        }
+        this.applyFilters(filters);
+        this.selectedViewId = view.Id;
+    }
+
+    // Missing values fall back to the unfiltered defaults
+    applyFilters(filters) {
+        this.viewFilter = filters.viewFilter || 'all';
+        this.selectedPhaseFilters = new Set(filters.phases || []);
+        this.selectedSizeFilters = new Set(filters.sizes || []);
+        this.searchTerm = filters.searchTerm || '';
+        this.zoom = clampZoom(Number(filters.zoom) || 1);
+        this.collapsedCategoryIds = new Set(filters.collapsed || []);
+    }
+
+    handleViewChange(event) {
+        const view = this.views.find(v => v.Id === event.target.value);
+        if (view) {
+            this.applyView(view);
+        } else {
+            this.selectedViewId = null;
+            this.applyFilters({});
+        }
+    }
+
+    handleSaveViewClick() {
+        this.editingView = null;
+        this.showViewModal = true;
+    }
+
+    handleEditViewClick() {
+        this.editingView = this.views.find(v => v.Id === this.selectedViewId) || null;
+        this.showViewModal = !!this.editingView;
+    }
+
+    get editingViewIsDefault() {
+        return !!this.editingView && this.editingView.Id === this.defaultViewId;
+    }
+
+    handleCloseViewModal() {
+        this.showViewModal = false;
+        this.editingView = null;
+    }
+
+    handleViewSaved(event) {
+        const { view, isDefault } = event.detail;
+        this.views = [...this.views.filter(v => v.Id !== view.Id), view]
+            .sort((a, b) => a.Name.localeCompare(b.Name));
+        if (isDefault) {
+            this.defaultViewId = view.Id;
+        } else if (this.defaultViewId === view.Id) {
+            this.defaultViewId = null;
+        }
+        this.applyView(view);
+        this.handleCloseViewModal();
+        this.toast('View saved', 'success');
+    }
+
+    handleViewDeleted(event) {
+        const { viewId } = event.detail;
+        this.views = this.views.filter(v => v.Id !== viewId);
+        if (this.defaultViewId === viewId) this.defaultViewId = null;
+        if (this.selectedViewId === viewId) this.selectedViewId = null;
+        this.handleCloseViewModal();
+        this.toast('View deleted');
+    }
+
+    // ============================================
+    // FILTER ACTIONS
+    // ============================================
+    handleSearchChange(event) {
+        this.searchTerm = event.target.value;
+    }
+
+    handleFilterAll() {
+        this.viewFilter = 'all';
+    }
+
+    handleFilterSized() {
+        this.viewFilter = 'sized';
+    }
+
+    handleFilterTbd() {
+        this.viewFilter = 'tbd';
+    }
+
+    handleSizeFilterToggle(event) {
+        const size = event.currentTarget.dataset.size;
+        if (this.activeFilters.has(size)) {
+            this.activeFilters.delete(size);
+        } else {
+            this.activeFilters.add(size);
+        }
+        // Force reactivity
+        this.activeFilters = new Set(this.activeFilters);
+    }
+
+    // ============================================
+    // ZOOM
+    // ============================================
+    handleZoomIn() {
+        this.zoomAroundCenter(this.zoom + ZOOM_STEP);
+    }
+
+    handleZoomOut() {
+        this.zoomAroundCenter(this.zoom - ZOOM_STEP);
+    }
+
+    zoomAroundCenter(zoom) {
+        const viewport = this.canvasLayout?.viewport;
+        if (!viewport) {
+            this.zoom = clampZoom(zoom);
+            return;
+        }
+        this.setCanvasView(zoomAt(this.canvasView, zoom, viewport.width / 2, viewport.height / 2));
+    }
+
+    // ============================================
+    // CANVAS NAVIGATION (PAN, FIT, MINIMAP)
+    // ============================================
+    get canvasView() {
+        return { zoom: this.zoom, x: this.panX, y: this.panY };
+    }
+
+    setCanvasView(view) {
+        const layout = this.canvasLayout;
+        const next = layout ? constrainView(view, layout.content, layout.viewport) : view;
+        this.zoom = next.zoom;
+        this.panX = Math.round(next.x);
+        this.panY = Math.round(next.y);
+    }
+
+    // A newly opened map starts at the top-left at 100%
+    resetCanvasView() {
+        this.zoom = 1;
+        this.panX = FIT_PADDING;
+        this.panY = FIT_PADDING;
+        this.focusedCategoryId = null;
+        this.collapsedCategoryIds = new Set();
+    }
+
+    renderedCallback() {
+        this.measureCanvas();
+    }
+
+    // Read the viewport and the unscaled map size; only update state when it changed
+    // Column positions are computed (see boardColumns), as off-screen columns are not rendered
+    measureCanvas() {
+        const container = this.template.querySelector('.map-container');
+        const map = this.template.querySelector('.capability-map');
+        if (!container || !map) return;
+        const layout = {
+            viewport: { width: container.clientWidth, height: container.clientHeight },
+            content: { width: map.offsetWidth, height: map.offsetHeight }
+        };
+        if (JSON.stringify(layout) !== JSON.stringify(this.canvasLayout)) {
+            this.canvasLayout = layout;
+        }
+    }
+
+    // Plain wheel scrolls the canvas, Ctrl/Cmd+wheel (and pinch) zooms around the cursor
+    handleCanvasWheel(event) {
+        event.preventDefault();
+        if (event.ctrlKey || event.metaKey) {
+            const bounds = event.currentTarget.getBoundingClientRect();
+            const zoom = this.zoom * Math.exp(-event.deltaY * 0.002);
+            this.setCanvasView(zoomAt(this.canvasView, zoom, event.clientX - bounds.left, event.clientY - bounds.top));
+            return;
+        }
+        const dx = event.shiftKey ? event.deltaY : event.deltaX;
+        const dy = event.shiftKey ? 0 : event.deltaY;
+        this.setCanvasView({ ...this.canvasView, x: this.panX - dx, y: this.panY - dy });
+    }
+
+    // Drag the empty canvas (or anywhere with the middle button) to pan
+    handleCanvasMouseDown(event) {
+        const onItem = event.target.closest('.capability-tile, .category-header, .add-tile, .add-category-column, .minimap');
+        if (!(event.button === 1 || (event.button === 0 && !onItem))) return;
+        event.preventDefault();
+        this.panState = { startX: event.clientX, startY: event.clientY, x: this.panX, y: this.panY, moved: false };
+        window.addEventListener('mousemove', this.handlePanMove);
+        window.addEventListener('mouseup', this.handlePanEnd);
+    }
+
+    handlePanMove(event) {
+        const pan = this.panState;
+        if (!pan) return;
+        const dx = event.clientX - pan.startX;
+        const dy = event.clientY - pan.startY;
+        if (!pan.moved && Math.abs(dx) + Math.abs(dy) < 3) return;
+        this.panState = { ...pan, moved: true };
+        this.setCanvasView({ ...this.canvasView, x: pan.x + dx, y: pan.y + dy });
+    }
+
+    handlePanEnd() {
+        this.panState = null;
+        window.removeEventListener('mousemove', this.handlePanMove);
+        window.removeEventListener('mouseup', this.handlePanEnd);
+    }
+
+    // Dragging a tile or column near the canvas edge pans towards it
+    handleCanvasDragOver(event) {
+        if (!this.dragState) return;
+        const edge = 40;
+        const step = 12;
+        const bounds = event.currentTarget.getBoundingClientRect();
+        let dx = 0;
+        let dy = 0;
+        if (event.clientX < bounds.left + edge) dx = step;
+        else if (event.clientX > bounds.right - edge) dx = -step;
+        if (event.clientY < bounds.top + edge) dy = step;
+        else if (event.clientY > bounds.bottom - edge) dy = -step;
+        if (dx || dy) {
+            this.setCanvasView({ ...this.canvasView, x: this.panX + dx, y: this.panY + dy });
+        }
+    }
+
+    handleFitAll() {
+        const layout = this.canvasLayout;
+        if (!layout) return;
+        this.setCanvasView(fitRect({ x: 0, y: 0, ...layout.content }, layout.viewport));
+    }
+
+    // The category jumped to last, or the one holding the selection
+    get fitCategoryId() {
+        if (this.focusedCategoryId) return this.focusedCategoryId;
+        const [firstSelectedId] = this.selectedIds;
+        return this.capabilities.find(cap => cap.Id === firstSelectedId)?.Capability_Category__c || null;
+    }
+
+    handleFitCategory() {
+        const layout = this.canvasLayout;
+        const column = this.boardColumns.find(c => c.id === this.fitCategoryId);
+        if (!column) return;
+        this.setCanvasView(fitRect(column, layout.viewport, 1.5));
+    }
+
+    handleToggleMinimap() {
+        this.showMinimap = !this.showMinimap;
+    }
+
+    // Click on the minimap background: center the viewport there
+    handleMinimapClick(event) {
+        const layout = this.canvasLayout;
+        if (!layout) return;
+        const bounds = event.currentTarget.getBoundingClientRect();
+        const { scale } = minimapLayout(layout.content, this.boardColumns, this.canvasView, layout.viewport);
+        const mapX = (event.clientX - bounds.left) / scale;
+        const mapY = (event.clientY - bounds.top) / scale;
+        this.setCanvasView(centerOn(this.canvasView, mapX, mapY, layout.viewport));
+    }
+
+    // ============================================
+    // TILE INTERACTIONS
+    // ============================================
+    handleTileClick(event) {
+        event.stopPropagation();
+        const capId = event.currentTarget.dataset.id;
+        
+        if (event.shiftKey) {
+            // Shift+click: single select (replace selection)
+            this.selectedIds = new Set([capId]);
+        } else {
+            // Normal click: toggle in multi-select mode (add/remove from selection)
+            this.toggleSelection(capId);
+        }
+    }
+
+    handleCheckboxClick(event) {
+        event.stopPropagation();
+        const capId = event.currentTarget.dataset.id;
+        this.toggleSelection(capId);
+    }
+
+    handleTileDoubleClick(event) {
+        const capId = event.currentTarget.dataset.id;
+        this.openEditCapabilityModal(capId);
+    }
+
+    handleTileContextMenu(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        
+        const capId = event.currentTarget.dataset.id;
+        this.contextCapabilityId = capId;
+        
+        // Add to selection if not already selected
+        if (!this.selectedIds.has(capId)) {
+            this.toggleSelection(capId);
+        }
+        
+        // Position context menu
+        this.contextMenuX = Math.min(event.pageX, window.innerWidth - 220);
+        this.contextMenuY = Math.min(event.pageY, window.innerHeight - 260);
+        this.showContextMenu = true;
+    }
+
+    toggleSelection(capId) {
+        const newSelection = new Set(this.selectedIds);
+        if (newSelection.has(capId)) {
+            newSelection.delete(capId);
+        } else {
+            newSelection.add(capId);
+        }
+        this.selectedIds = newSelection;
+    }
+
+    // ============================================
+    // DRAG AND DROP
+    // ============================================
+    // Tiles: dragging a selected tile moves the whole selection; the drop
+    // position is the gap between tiles under the pointer.
+    // Columns: dragging a category header reorders the categories; dropping it on the
+    // middle of another header nests it there.
+    handleDragStart(event) {
+        if (this.blockedByStatus()) {
+            event.preventDefault();
+            return;
+        }
+        const capId = event.currentTarget.dataset.id;
+        const ids = this.selectedIds.has(capId) ? this.capabilityIdsInBoardOrder(this.selectedIds) : [capId];
+        this.dragState = { type: 'capability', ids };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', capId);
+        ids.forEach(id => {
+            const tile = this.template.querySelector(`.capability-tile[data-id="${id}"]`);
+            if (tile) tile.classList.add('dragging');
+        });
+    }
+
+    handleCategoryDragStart(event) {
+        event.stopPropagation();
+        if (this.blockedByStatus()) {
+            event.preventDefault();
+            return;
+        }
+        const categoryId = event.currentTarget.dataset.categoryId;
+        this.dragState = { type: 'category', ids: [categoryId] };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', categoryId);
+        event.currentTarget.closest('.category-column').classList.add('dragging');
+    }
+
+    handleDragEnd() {
+        this.dragState = null;
+        this.dropTarget = null;
+        this.template.querySelectorAll('.dragging').forEach(el => el.classList.remove('dragging'));
+        this.clearDropIndicators();
+    }
+
+    handleDragOver(event) {
+        if (!this.dragState) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        const column = event.currentTarget;
+        
+        const target = this.dragState.type === 'category'
+            ? this.categoryDropTarget(event, column)
+            : this.capabilityDropTarget(event, column);
+        if (this.dropTarget && this.dropTarget.key === target.key) return;
+        
+        this.dropTarget = target;
+        this.clearDropIndicators();
+        if (target.indicator) {
+            target.indicator.element.classList.add(target.indicator.className);
+        }
+        column.classList.add('drag-over');
+    }
+
+    handleDrop(event) {
+        event.preventDefault();
+        const dragState = this.dragState;
+        const target = this.dropTarget;
+        this.handleDragEnd();
+        if (!dragState || !target) return;
+        
+        if (dragState.type === 'category') {
+            this.moveCategory(dragState.ids[0], target.parentId, target.beforeId);
+        } else {
+            this.moveCapabilities(dragState.ids, target.categoryId, target.beforeId);
+        }
+    }
+
+    // Insert before the tile under the pointer (or the one after it, past its middle)
+    capabilityDropTarget(event, column) {
+        const categoryId = column.dataset.categoryId;
+        const tiles = [...column.querySelectorAll('.capability-tile')]
+            .filter(tile => !this.dragState.ids.includes(tile.dataset.id));
+        const index = tiles.findIndex(tile => {
+            const rect = tile.getBoundingClientRect();
+            return event.clientY < rect.top + rect.height / 2;
+        });
+        
+        // Below the rendered tiles of a windowed column: before the first tile that is not rendered
+        const hiddenBelow = column.querySelector('.tile-spacer.bottom');
+        if (index === -1 && hiddenBelow) {
+            return {
+                key: `${categoryId}:${hiddenBelow.dataset.nextId}`,
+                categoryId,
+                beforeId: hiddenBelow.dataset.nextId,
+                indicator: { element: hiddenBelow, className: 'drop-before' }
+            };
+        }
+        if (index === -1) {
+            const addTile = column.querySelector('.add-tile');
+            return {
+                key: `${categoryId}:end`,
+                categoryId,
+                beforeId: null,
+                indicator: addTile ? { element: addTile, className: 'drop-before' } : null
+            };
+        }
+        const tile = tiles[index];
+        return {
+            key: `${categoryId}:${tile.dataset.id}`,
+            categoryId,
+            beforeId: tile.dataset.id,
+            indicator: { element: tile, className: 'drop-before' }
+        };
+    }
+
+    // Middle of a header: nest under that category. Elsewhere the left half of a column
+    // drops before it and the right half after it (and its subcategories), as a sibling.
+    categoryDropTarget(event, column) {
+        const tree = this.categoryTree;
+        const categoryId = column.dataset.categoryId;
+        const rect = column.getBoundingClientRect();
+        const offset = (event.clientX - rect.left) / rect.width;
+        const header = event.target.closest('.category-header');
+        if (header && offset > 0.25 && offset < 0.75) {
+            return {
+                key: `category:in:${categoryId}`,
+                parentId: categoryId,
+                beforeId: null,
+                indicator: { element: header, className: 'drop-into' }
+            };
+        }
+        
+        const parentId = tree.nodes.get(categoryId).parentId;
+        const siblings = parentId ? tree.nodes.get(parentId).children : tree.roots;
+        const isBefore = offset < 0.5;
+        const beforeId = isBefore ? categoryId : siblings[siblings.indexOf(categoryId) + 1] || null;
+        return {
+            key: `category:${parentId}:${beforeId}`,
+            parentId,
+            beforeId,
+            indicator: { element: column, className: isBefore ? 'drop-left' : 'drop-right' }
+        };
+    }
+
+    clearDropIndicators() {
+        this.template.querySelectorAll('.drag-over, .drop-before, .drop-left, .drop-right, .drop-into').forEach(el => {
+            el.classList.remove('drag-over', 'drop-before', 'drop-left', 'drop-right', 'drop-into');
+        });
+    }
+
+    // Ids in the order they appear on the board (column by column, top to bottom)
+    capabilityIdsInBoardOrder(ids) {
+        const columnIndex = new Map(this.categories.map((c, i) => [c.Id, i]));
+        return this.capabilities
+            .filter(cap => ids.has(cap.Id))
+            .sort((a, b) => (columnIndex.get(a.Capability_Category__c) - columnIndex.get(b.Capability_Category__c))
+                || ((a.Sort_Order__c || 0) - (b.Sort_Order__c || 0)))
+            .map(cap => cap.Id);
+    }
+
+    // Place capabilities in a category before beforeId (null = at the end) and
+    // renumber that category; the changes are saved with the next batch
+    moveCapabilities(ids, categoryId, beforeId) {
+        const moving = ids.map(id => this.capabilities.find(c => c.Id === id)).filter(Boolean);
+        if (moving.length === 0) return;
+        
+        const column = this.capabilities
+            .filter(cap => cap.Capability_Category__c === categoryId && !ids.includes(cap.Id))
+            .sort((a, b) => (a.Sort_Order__c || 0) - (b.Sort_Order__c || 0));
+        const insertAt = beforeId ? column.findIndex(cap => cap.Id === beforeId) : -1;
+        column.splice(insertAt === -1 ? column.length : insertAt, 0, ...moving);
+        
+        const updates = new Map(column.map((cap, i) => [cap.Id, {
+            Capability_Category__c: categoryId,
+            Sort_Order__c: i + 1
+        }]));
+        const before = this.capabilities.filter(cap => updates.has(cap.Id));
+        // Another category may have another multiplier
+        this.capabilities = this.capabilities.map(cap => (updates.has(cap.Id) ? this.withHours({ ...cap, ...updates.get(cap.Id) }) : cap));
+        const after = this.capabilities.filter(cap => updates.has(cap.Id));
+        
+        const crossesCategory = moving.some(cap => cap.Capability_Category__c !== categoryId);
+        const label = moving.length === 1
+            ? `${crossesCategory ? 'Move' : 'Reorder'} "${moving[0].Name}"`
+            : `${crossesCategory ? 'Move' : 'Reorder'} ${moving.length} capabilities`;
+        this.queueFieldChanges(label, before, after);
+        if (crossesCategory) {
+            this.toast(moving.length === 1 ? 'Moved' : `Moved ${moving.length} capabilities`);
+        }
+    }
+
+    // Put a category (with its subcategories) under parentId (null = top level), before the
+    // sibling beforeId (null = last), and save its parent and the whole order in one call
+    async moveCategory(categoryId, parentId, beforeId) {
+        if (categoryId === beforeId) return;
+        const tree = this.categoryTree;
+        const { order, error } = moveInTree(tree, categoryId, parentId, beforeId);
+        if (error) {
+            this.toast(error, 'warning');
+            return;
+        }
+        const oldOrder = this.categories.map(c => c.Id);
+        const oldParentId = tree.nodes.get(categoryId).parentId;
+        if (parentId === oldParentId && order.join() === oldOrder.join()) return;
+        
+        this.applyCategoryOrder(order, categoryId, parentId);
+        try {
+            await moveCategoryApex({ categoryId, parentId, orderedIds: order });
+            const name = id => tree.nodes.get(id).category.Name;
+            let label = `Move category "${name(categoryId)}"`;
+            if (parentId !== oldParentId) {
+                label = parentId
+                    ? `Nest "${name(categoryId)}" under "${name(parentId)}"`
+                    : `Move "${name(categoryId)}" to the top level`;
             }
+            this.recordHistory(
+                label,
+                { op: 'moveCategory', params: { categoryId, parentId, ids: order } },
+                { op: 'moveCategory', params: { categoryId, parentId: oldParentId, ids: oldOrder } }
+            );
+            // Keep the moved category in sight when it lands in a collapsed group
+            if (parentId && this.collapsedCategoryIds.has(parentId)) {
+                const collapsed = new Set(this.collapsedCategoryIds);
+                collapsed.delete(parentId);
+                this.collapsedCategoryIds = collapsed;
+            }
+            this.markModified();
+        } catch (err) {
+            console.error('Error moving category:', err);
+            this.applyCategoryOrder(oldOrder, categoryId, oldParentId);
+            this.toast('Error: ' + (err.body?.message || err.message), 'error');
+        }
+    }
+
+    applyCategoryOrder(ids, movedId, parentId) {
+        const byId = new Map(this.categories.map(c => [c.Id, c]));
+        this.categories = ids.filter(id => byId.has(id)).map((id, i) => ({
+            ...byId.get(id),
+            ...(id === movedId ? { Parent_Category__c: parentId } : {}),
+            Sort_Order__c: i + 1
+        }));
+    }
+
+    // Show or hide the subcategories of a category
+    handleToggleCategoryCollapse(event) {
+        event.stopPropagation();
+        const categoryId = event.currentTarget.dataset.categoryId;
+        const collapsed = new Set(this.collapsedCategoryIds);
+        if (collapsed.has(categoryId)) {
+            collapsed.delete(categoryId);
+        } else {
+            collapsed.add(categoryId);
+        }
+        this.collapsedCategoryIds = collapsed;
+    }
+
+    // ============================================
+    // CONTEXT MENU ACTIONS
+    // ============================================
+    handleDocumentClick() {
+        this.showContextMenu = false;
+    }
+
+    handleContextEdit() {
+        if (this.contextCapabilityId) {
+            this.openEditCapabilityModal(this.contextCapabilityId);
+        }
+        this.showContextMenu = false;
+    }
+
+    handleContextDuplicate() {
+        this.toast('Duplicated');
+        this.showContextMenu = false;
+    }
+
+    handleContextChangeSize() {
+        this.showContextMenu = false;
+        if (this.blockedByStatus()) return;
+        this.showBulkSizeModal = true;
+    }
+
+    handleContextDependencies() {
+        this.showContextMenu = false;
+        if (this.blockedByStatus()) return;
+        this.dependencyCapability = this.capabilities.find(c => c.Id === this.contextCapabilityId) || null;
+        this.showDependencyModal = !!this.dependencyCapability;
+    }
+
+    // The other selected tiles, when the context menu can make the clicked tile depend on them
+    get contextPrerequisiteIds() {
+        return [...this.selectedIds].filter(id => id !== this.contextCapabilityId);
+    }
+
+    get contextDependsOnLabel() {
+        const count = this.contextPrerequisiteIds.length;
+        return count === 1 ? 'Depends on selected' : `Depends on ${count} selected`;
+    }
+
+    get showContextDependsOn() {
+        return this.contextPrerequisiteIds.length > 0;
+    }
+
+    async handleContextDependsOn() {
+        this.showContextMenu = false;
+        if (this.blockedByStatus()) return;
+        try {
+            const created = await addDependencies({
+                capabilityId: this.contextCapabilityId,
+                dependsOnIds: this.contextPrerequisiteIds
+            });
+            this.dependencies = [...this.dependencies, ...created];
+            this.toast(created.length === 1 ? 'Dependency added' : `${created.length} dependencies added`, 'success');
+        } catch (error) {
+            console.error('Error adding dependencies:', error);
+            this.toast(error.body?.message || 'Error adding dependencies', 'error');
+        }
+    }
+
+    handleContextComments() {
+        this.openComments(this.contextCapabilityId);
+        this.showContextMenu = false;
+    }
+
+    handleOpenCommentsFromEdit(event) {
+        this.openComments(event.detail.capabilityId);
+    }
+
+    handleCommentBadgeClick(event) {
+        event.stopPropagation();
+        this.openComments(event.currentTarget.dataset.id);
+    }
+
+    openComments(capabilityId) {
+        this.commentCapability = this.capabilities.find(c => c.Id === capabilityId) || null;
+        this.showCommentModal = !!this.commentCapability;
+    }
+
+    handleCloseCommentModal() {
+        this.showCommentModal = false;
+        this.commentCapability = null;
+    }
+
+    handleCommentsChanged(event) {
+        const { capabilityId, summary } = event.detail;
+        this.commentSummary = { ...this.commentSummary, [capabilityId]: summary };
+    }
+
+    // ============================================
+    // ACTIVITY FEED
+    // ============================================
+    handleOpenActivity() {
+        if (!this.mapId) return;
+        this.showActivityModal = true;
+    }
+
+    handleCloseActivityModal() {
+        this.showActivityModal = false;
+    }
+
+    // ============================================
+    // SNAPSHOTS
+    // ============================================
+    async handleOpenSnapshots() {
+        if (!this.mapId) return;
+        // Snapshots and comparisons read the saved map
+        if (this.changeQueue.hasPending && !(await this.changeQueue.flush())) {
+            this.toast('Save your changes before working with snapshots', 'error');
+            return;
+        }
+        this.showSnapshotModal = true;
+    }
+
+    handleCloseSnapshotModal() {
+        this.showSnapshotModal = false;
+    }
+
+    async handleSnapshotRestored(event) {
+        const { name, capabilitiesCreated } = event.detail;
+        this.showSnapshotModal = false;
+        await this.loadMapData();
+        this.markModified();
+        // Restored records are not part of the undo history
+        this.clearHistory();
+        this.toast(`Restored "${name}" (${capabilitiesCreated} capabilities)`, 'success');
+    }
+
+    // ============================================
+    // SIZING SCHEME
+    // ============================================
+    async handleOpenSizes() {
+        if (!this.mapId) return;
+        // Changing sizes rewrites capabilities on the server
+        if (this.changeQueue.hasPending && !(await this.changeQueue.flush())) {
+            this.toast('Save your changes before changing the sizes', 'error');
+            return;
+        }
+        this.showSizesModal = true;
+    }
+
+    handleCloseSizesModal() {
+        this.showSizesModal = false;
+    }
+
+    async handleSchemeChanged(event) {
+        const { schemeId, reset } = event.detail;
+        this.showSizesModal = false;
+        this.capabilityMap = { ...this.capabilityMap, Sizing_Scheme__c: schemeId };
+        await this.loadMapData();
+        // Sizes and hours changed on the server; earlier steps cannot be replayed
+        this.clearHistory();
+        this.toast(reset > 0 ? `Sizes updated; ${reset} capabilities reset to TBD` : 'Sizes updated', 'success');
+    }
+
+    // ============================================
+    // ESTIMATE
+    // ============================================
+    // Same numbers as the estimation dashboard and the exports (see estimationModel)
+    estimateOf = memoizeOne((capabilities, categories, roles, roleAssignments, phases, sizes, defaultRate) => buildEstimate(
+        capabilities, { categories, roles, roleAssignments, phases, sizes, defaultRate }
+    ));
+
+    get estimate() {
+        return this.estimateOf(
+            this.capabilities, this.categories, this.roles, this.roleAssignments,
+            this.phaseColors, this.sizes, this.defaultRate
+        );
+    }
+
+    get estimateGroupOptions() {
+        return [
+            { value: 'byPhase', label: 'By phase' },
+            { value: 'byCategory', label: 'By category' },
+            { value: 'bySize', label: 'By size' },
+            { value: 'byRole', label: 'By role' },
+            { value: 'byCapability', label: 'Top capabilities' }
+        ].map(option => ({ ...option, selected: option.value === this.estimateGroupBy }));
+    }
+
+    // The selected rollup for the sidebar; for capabilities the ten that cost most,
+    // with the breakdown of their hours
+    get estimateRows() {
+        let rows = this.estimate[this.estimateGroupBy] || [];
+        const byCapability = this.estimateGroupBy === 'byCapability';
+        if (byCapability) {
+            rows = [...rows].sort((a, b) => b.cost - a.cost).slice(0, 10);
+        }
+        return rows.map(row => {
+            const cap = byCapability ? this.capabilities.find(c => c.Id === row.key) : null;
+            const category = cap ? this.categories.find(cat => cat.Id === cap.Capability_Category__c) : null;
+            return {
+                key: row.key,
+                label: row.label,
+                hours: formatHours(row.hours),
+                cost: formatMoney(row.cost),
+                title: `${row.label}: ${formatHours(row.hours)} at ${formatMoney(row.rate)}/h`
+                    + (row.pert && this.hasEstimateRange ? `, expected ${formatHours(row.pert.expected)} (${formatPercentiles(row.pert)})` : '')
+                    + (cap ? `\n${hoursBreakdown(cap, this.getHoursForSize(cap.Size__c), category)}` : '')
+            };
+        });
+    }
+
+    // PERT totals only differ from the hours once a capability has a range
+    get hasEstimateRange() {
+        return this.estimate.rangeCount > 0;
+    }
+
+    get expectedHours() {
+        const { pert } = this.estimate;
+        return `${formatHours(pert.expected)} ± ${formatHours(pert.stdDev)}`;
+    }
+
+    get estimatePercentiles() {
+        return formatPercentiles(this.estimate.pert);
+    }
+
+    get rangeCoverage() {
+        return `${this.estimate.rangeCount} of ${this.estimate.capabilities} capabilities have a range`;
+    }
+
+    get totalCost() {
+        return formatMoney(this.estimate.cost);
+    }
+
+    get blendedRate() {
+        return formatMoney(this.estimate.blendedRate);
+    }
+
+    get tbdCoverage() {
+        const { tbdCount, tbdPercent } = this.estimate;
+        return `${tbdPercent}% (${tbdCount})`;
+    }
+
+    get overrideShare() {
+        const { overrideHours, overridePercent } = this.estimate;
+        return `${overridePercent}% (${formatHours(overrideHours)})`;
+    }
+
+    get hasEstimateFactors() {
+        return this.estimate.factorCount > 0;
+    }
+
+    // Hours the factors add (or take off), and in how many capabilities
+    get factorShare() {
+        const { factorHours, factorCount } = this.estimate;
+        return `${factorHours >= 0 ? '+' : ''}${formatHours(factorHours)} (${factorCount})`;
+    }
+
+    // Hours no role rate covers, so the default rate prices them
+    get defaultRateNote() {
+        const { defaultRateHours, defaultRate } = this.estimate;
+        if (defaultRateHours <= 0) return '';
+        return defaultRate > 0
+            ? `${formatHours(defaultRateHours)} at the default rate`
+            : `${formatHours(defaultRateHours)} without a rate`;
+    }
+
+    handleEstimateGroupChange(event) {
+        this.estimateGroupBy = event.target.value;
+    }
+
+    handleOpenDashboard() {
+        this.showDashboard = true;
+    }
+
+    handleCloseDashboard() {
+        this.showDashboard = false;
+    }
+
+    // ============================================
+    // CAPACITY
+    // ============================================
+    get capacityButtonLabel() {
+        const count = this.capacityPlan.overallocatedCount;
+        return count > 0 ? `Capacity planning (${count} over)` : 'Capacity planning';
+    }
+
+    get capacityButtonClass() {
+        return this.capacityPlan.overallocatedCount > 0
+            ? 'action-btn secondary dashboard-btn over-capacity'
+            : 'action-btn secondary dashboard-btn';
+    }
+
+    handleOpenCapacity() {
+        this.showCapacity = true;
+    }
+
+    handleCloseCapacity() {
+        this.showCapacity = false;
+    }
+
+    // The planner saved a role's headcount and hours
+    handleCapacityRoleChanged(event) {
+        const { roleId, fields } = event.detail;
+        this.roles = this.roles.map(role => (role.Id === roleId ? { ...role, ...fields } : role));
+    }
+
+    // Suggested moves: each capability to a later phase, as one undoable edit
+    handleApplyCapacityMoves(event) {
+        if (this.blockedByStatus()) return;
+        const targets = new Map(event.detail.moves.map(move => [move.capabilityId, move.phase]));
+        const before = this.capabilities.filter(cap => targets.has(cap.Id) && cap.Phase__c !== targets.get(cap.Id));
+        if (before.length === 0) return;
+        const moving = new Set(before.map(cap => cap.Id));
+        this.capabilities = this.capabilities.map(cap => (moving.has(cap.Id) ? { ...cap, Phase__c: targets.get(cap.Id) } : cap));
+        const label = before.length === 1
+            ? `Move "${before[0].Name}" to ${targets.get(before[0].Id)}`
+            : `Move ${before.length} capabilities to later phases`;
+        this.queueFieldChanges(label, before, this.capabilities.filter(cap => moving.has(cap.Id)));
+        this.toast(before.length === 1 ? `Moved to ${targets.get(before[0].Id)}` : `Moved ${before.length} capabilities`);
+    }
+
+    handleDefaultRateChange(event) {
+        if (this.blockedByStatus()) {
+            event.target.value = this.defaultRate;
+            return;
+        }
+        const value = event.target.value === '' ? null : Number(event.target.value);
+        if (value !== null && (Number.isNaN(value) || value < 0)) {
+            event.target.value = this.defaultRate;
+            this.toast('Enter a rate of 0 or more', 'warning');
+            return;
+        }
+        this.defaultRate = value;
+        this.changeQueue.enqueueMap({ Default_Hourly_Rate__c: value }, this.capabilityMap);
+    }
+
+    // ============================================
+    // ROADMAP
+    // ============================================
+    // Capabilities that match the filters, in canvas order
+    roadmapCapabilities = memoizeOne(board => board.flatMap(category => (
+        category.capabilities.filter(cap => cap.matchesFilter)
+    )));
+
+    roadmapOf = memoizeOne((phases, board, groupBy, categories, roles, roleAssignments) => buildRoadmap(
+        phases, this.roadmapCapabilities(board), { groupBy, categories, roles, roleAssignments }
+    ));
+
+    get roadmap() {
+        return this.roadmapOf(
+            this.phaseColors, this.categoriesWithCapabilities, this.roadmapGroupBy,
+            this.categories, this.roles, this.roleAssignments
+        );
+    }
+
+    // Roadmap with screen positions (px) for the template
+    get roadmapView() {
+        const roadmap = this.roadmap;
+        const px = weeks => Math.round(weeks * WEEK_WIDTH);
+        const trackStyle = `width: ${px(roadmap.weeks)}px`;
+        return {
+            trackStyle,
+            ticks: timeTicks(roadmap).map(tick => ({ ...tick, style: `left: ${px(tick.week)}px` })),
+            isEmpty: roadmap.bands.every(band => band.groups.length === 0),
+            bands: roadmap.bands.map(band => {
+                const shadeStyle = `left: ${px(band.startWeek)}px; width: ${px(band.endWeek - band.startWeek)}px; `
+                    + `background-color: ${band.color}`;
+                return {
+                    ...band,
+                    key: band.name,
+                    className: band.name === this.roadmapDropPhase ? 'roadmap-band drop-target' : 'roadmap-band',
+                    swatchStyle: `background-color: ${band.color}`,
+                    summary: `${band.hours}h${band.overrun ? ' · does not fit its dates' : ''}`,
+                    summaryClass: band.overrun ? 'roadmap-band-summary overrun' : 'roadmap-band-summary',
+                    shadeStyle,
+                    hasGroups: band.groups.length > 0,
+                    groups: band.groups.map(group => ({
+                        ...group,
+                        key: `${band.name}-${group.key}`,
+                        rows: group.rows.map((row, index) => ({
+                            ...row,
+                            key: `${band.name}-${group.key}-${row.id}-${index}`,
+                            title: `${row.name}: ${row.hours}h, ${row.weeks} weeks${row.late ? ' (ends after the phase)' : ''}`,
+                            barClass: [
+                                'roadmap-bar',
+                                this.selectedIds.has(row.id) ? 'selected' : '',
+                                row.late ? 'late' : ''
+                            ].filter(Boolean).join(' '),
+                            barStyle: `left: ${px(row.startWeek)}px; width: ${Math.max(px(row.weeks), 4)}px; `
+                                + `background-color: ${row.color}`
+                        }))
+                    }))
+                };
+            })
         };
-        reader.readAsText(file);
     }
 
-    // ============================================
-    // FILTER ACTIONS
-    // ============================================
-    handleSearchChange(event) {
-        this.searchTerm = event.target.value;
+    handleBoardMode() {
+        this.canvasMode = 'board';
     }
 
-    handleFilterAll() {
-        this.viewFilter = 'all';
+    handleRoadmapMode() {
+        this.canvasMode = 'roadmap';
     }
 
-    handleFilterSized() {
-        this.viewFilter = 'sized';
+    handleRoadmapGroupChange(event) {
+        this.roadmapGroupBy = event.target.value;
     }
 
-    handleFilterTbd() {
-        this.viewFilter = 'tbd';
+    handleRoadmapDragStart(event) {
+        if (this.blockedByStatus()) {
+            event.preventDefault();
+            return;
+        }
+        const capId = event.currentTarget.dataset.id;
+        const ids = this.selectedIds.has(capId) ? this.capabilityIdsInBoardOrder(this.selectedIds) : [capId];
+        this.dragState = { type: 'roadmap', ids };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', capId);
     }
 
-    handleSizeFilterToggle(event) {
-        const size = event.currentTarget.dataset.size;
-        if (this.activeFilters.has(size)) {
-            this.activeFilters.delete(size);
-        } else {
-            this.activeFilters.add(size);
-        }
-        // Force reactivity
-        this.activeFilters = new Set(this.activeFilters);
+    // Only the map's own phases take drops (not undefined phases capabilities still use)
+    handleRoadmapDragOver(event) {
+        if (this.dragState?.type !== 'roadmap') return;
+        if (!this.phaseColors.some(phase => phase.Name === event.currentTarget.dataset.phase)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        this.roadmapDropPhase = event.currentTarget.dataset.phase;
     }
 
-    // ============================================
-    // ZOOM
-    // ============================================
-    handleZoomIn() {
-        this.zoom = Math.min(1.5, this.zoom + 0.1);
+    handleRoadmapDragEnd() {
+        this.roadmapDropPhase = null;
+        this.handleDragEnd();
     }
 
-    handleZoomOut() {
-        this.zoom = Math.max(0.5, this.zoom - 0.1);
+    // Dropping bars on a phase band moves the capabilities to that phase
+    handleRoadmapDrop(event) {
+        if (this.dragState?.type !== 'roadmap') return;
+        event.preventDefault();
+        const phase = event.currentTarget.dataset.phase;
+        const ids = new Set(this.dragState.ids);
+        this.handleRoadmapDragEnd();
+
+        const before = this.capabilities.filter(cap => ids.has(cap.Id) && cap.Phase__c !== phase);
+        if (before.length === 0) return;
+        const moving = new Set(before.map(cap => cap.Id));
+        this.capabilities = this.capabilities.map(cap => (moving.has(cap.Id) ? { ...cap, Phase__c: phase } : cap));
+        const label = before.length === 1
+            ? `Move "${before[0].Name}" to ${phase}`
+            : `Move ${before.length} capabilities to ${phase}`;
+        this.queueFieldChanges(label, before, this.capabilities.filter(cap => moving.has(cap.Id)));
+        this.toast(before.length === 1 ? `Moved to ${phase}` : `Moved ${before.length} capabilities to ${phase}`);
     }
 
     // ============================================
-    // TILE INTERACTIONS
+    // PHASES
     // ============================================
-    handleTileClick(event) {
-        event.stopPropagation();
-        const capId = event.currentTarget.dataset.id;
-        
-        if (event.shiftKey) {
-            // Shift+click: single select (replace selection)
-            this.selectedIds = new Set([capId]);
-        } else {
-            // Normal click: toggle in multi-select mode (add/remove from selection)
-            this.toggleSelection(capId);
+    async handleOpenPhases() {
+        if (!this.mapId) return;
+        // Renaming and deleting phases rewrites capabilities on the server
+        if (this.changeQueue.hasPending && !(await this.changeQueue.flush())) {
+            this.toast('Save your changes before changing the phases', 'error');
+            return;
         }
+        this.showPhasesModal = true;
     }
 
-    handleCheckboxClick(event) {
-        event.stopPropagation();
-        const capId = event.currentTarget.dataset.id;
-        this.toggleSelection(capId);
+    handleClosePhasesModal() {
+        this.showPhasesModal = false;
     }
 
-    handleTileDoubleClick(event) {
-        const capId = event.currentTarget.dataset.id;
-        this.openEditCapabilityModal(capId);
+    async handlePhasesChanged(event) {
+        const { moved } = event.detail;
+        this.showPhasesModal = false;
+        await this.loadMapData();
+        // Phase names changed on the server; earlier steps cannot be replayed
+        this.clearHistory();
+        this.toast(moved > 0 ? `Phases updated; ${moved} capabilities moved` : 'Phases updated', 'success');
     }
 
-    handleTileContextMenu(event) {
-        event.preventDefault();
-        event.stopPropagation();
-        
-        const capId = event.currentTarget.dataset.id;
-        this.contextCapabilityId = capId;
-        
-        // Add to selection if not already selected
-        if (!this.selectedIds.has(capId)) {
-            this.toggleSelection(capId);
+    // ============================================
+    // STATUS WORKFLOW
+    // ============================================
+    async handleOpenStatus() {
+        if (!this.mapId) return;
+        // Archiving locks the map, so queued edits are saved first
+        if (this.changeQueue.hasPending && !(await this.changeQueue.flush())) {
+            this.toast('Save your changes before changing the status', 'error');
+            return;
         }
-        
-        // Position context menu
-        this.contextMenuX = Math.min(event.pageX, window.innerWidth - 180);
-        this.contextMenuY = Math.min(event.pageY, window.innerHeight - 200);
-        this.showContextMenu = true;
+        this.showStatusModal = true;
     }
 
-    toggleSelection(capId) {
-        const newSelection = new Set(this.selectedIds);
-        if (newSelection.has(capId)) {
-            newSelection.delete(capId);
-        } else {
-            newSelection.add(capId);
-        }
-        this.selectedIds = newSelection;
+    handleCloseStatusModal() {
+        this.showStatusModal = false;
     }
 
-    // ============================================
-    // DRAG AND DROP
-    // ============================================
-    handleDragStart(event) {
-        const capId = event.currentTarget.dataset.id;
-        event.dataTransfer.setData('text/plain', capId);
-        event.currentTarget.style.opacity = '0.5';
+    handleStatusChanged(event) {
+        this.mapAccess = event.detail.access;
+        this.showStatusModal = false;
+        if (this.isReadOnly) {
+            // Nothing can be undone on a locked map
+            this.clearHistory();
+            this.pullAlongPrompt = null;
+        }
+        this.toast(`The map is now ${this.mapStatus}`, 'success');
     }
 
-    handleDragEnd(event) {
-        event.currentTarget.style.opacity = '1';
-        // Remove drag-over class from all columns
-        this.template.querySelectorAll('.category-column').forEach(col => {
-            col.classList.remove('drag-over');
-        });
+    // Comment count for the capability open in the edit modal
+    get selectedCommentCount() {
+        return this.selectedCapability ? this.commentSummary[this.selectedCapability.Id]?.total || 0 : 0;
     }
 
-    handleDragOver(event) {
-        event.preventDefault();
-        const column = event.currentTarget;
-        
-        // Remove from others, add to this one
-        this.template.querySelectorAll('.category-column').forEach(col => {
-            col.classList.remove('drag-over');
-        });
-        column.classList.add('drag-over');
+    handleCloseDependencyModal() {
+        this.showDependencyModal = false;
+        this.dependencyCapability = null;
     }
 
-    async handleDrop(event) {
-        event.preventDefault();
-        const column = event.currentTarget;
-        const capId = event.dataTransfer.getData('text/plain');
-        const newCategoryId = column.dataset.categoryId;
-        
-        if (capId && newCategoryId) {
-            const capability = this.capabilities.find(c => c.Id === capId);
-            if (capability && capability.Capability_Category__c !== newCategoryId) {
-                try {
-                    await moveCapability({ 
-                        capabilityId: capId, 
-                        newCategoryId: newCategoryId 
-                    });
-                    
-                    // Update local state
-                    capability.Capability_Category__c = newCategoryId;
-                    this.capabilities = [...this.capabilities];
-                    
-                    this.markModified();
-                    this.saveHistory();
-                    this.toast('Moved');
-                } catch (error) {
-                    console.error('Error moving capability:', error);
-                    this.toast('Error moving', 'error');
-                }
-            }
-        }
-        
-        column.classList.remove('drag-over');
+    handleDependenciesChanged(event) {
+        this.dependencies = event.detail.dependencies;
     }
 
     // ============================================
-    // CONTEXT MENU ACTIONS
+    // PULLING PREREQUISITES ALONG
     // ============================================
-    handleDocumentClick() {
-        this.showContextMenu = false;
-    }
+    // After a move, offer to bring prerequisites that are left behind: into the
+    // category the capabilities moved to, or into the (earlier) phase they moved to
+    // Any later edit replaces (or dismisses) an earlier offer
+    offerPullAlong(beforeRecords, afterRecords) {
+        this.pullAlongPrompt = null;
+        if (this.dependencies.length === 0) return;
+        const { index, capabilitiesById, ranks } = this.dependencyState;
+        const beforeById = new Map(beforeRecords.map(rec => [rec.Id, rec]));
+        const changed = field => afterRecords.filter(rec => beforeById.has(rec.Id)
+            && beforeById.get(rec.Id)[field] !== rec[field]);
+        const nameOf = ids => (ids.length === 1 ? `"${capabilitiesById.get(ids[0])?.Name}"` : `${ids.length} capabilities`);
+
+        const moved = changed('Capability_Category__c');
+        if (moved.length > 0) {
+            const categoryId = moved[0].Capability_Category__c;
+            const movedIds = moved.filter(rec => rec.Capability_Category__c === categoryId).map(rec => rec.Id);
+            const ids = transitivePrerequisites(index, movedIds)
+                .filter(id => capabilitiesById.get(id)?.Capability_Category__c !== categoryId);
+            if (ids.length > 0) {
+                const category = this.categories.find(c => c.Id === categoryId);
+                this.pullAlongPrompt = {
+                    type: 'category',
+                    ids,
+                    categoryId,
+                    beforeId: this.capabilityIdsInBoardOrder(new Set(movedIds))[0],
+                    message: `${nameOf(movedIds)} depends on ${nameOf(ids)} in other categories. Move them to "${category?.Name}" too?`
+                };
+                return;
+            }
+        }
 
-    handleContextEdit() {
-        if (this.contextCapabilityId) {
-            this.openEditCapabilityModal(this.contextCapabilityId);
+        const rescheduled = changed('Phase__c').filter(rec => ranks.has(rec.Phase__c));
+        if (rescheduled.length > 0) {
+            const phase = rescheduled[0].Phase__c;
+            const rank = ranks.get(phase);
+            const movedIds = rescheduled.filter(rec => rec.Phase__c === phase).map(rec => rec.Id);
+            const ids = transitivePrerequisites(index, movedIds)
+                .filter(id => ranks.get(capabilitiesById.get(id)?.Phase__c) > rank);
+            if (ids.length > 0) {
+                this.pullAlongPrompt = {
+                    type: 'phase',
+                    ids,
+                    phase,
+                    message: `${nameOf(movedIds)} depends on ${nameOf(ids)} scheduled after ${phase}. Move them to ${phase} too?`
+                };
+            }
         }
-        this.showContextMenu = false;
     }
 
-    handleContextDuplicate() {
-        this.toast('Duplicated');
-        this.showContextMenu = false;
+    handlePullAlong() {
+        const prompt = this.pullAlongPrompt;
+        this.pullAlongPrompt = null;
+        if (!prompt || this.blockedByStatus()) return;
+        if (prompt.type === 'category') {
+            this.moveCapabilities(prompt.ids, prompt.categoryId, prompt.beforeId);
+        } else {
+            const ids = new Set(prompt.ids);
+            const before = this.capabilities.filter(cap => ids.has(cap.Id));
+            this.capabilities = this.capabilities.map(cap => (ids.has(cap.Id) ? { ...cap, Phase__c: prompt.phase } : cap));
+            const label = prompt.ids.length === 1 ? `Move prerequisite to ${prompt.phase}` : `Move ${prompt.ids.length} prerequisites to ${prompt.phase}`;
+            this.queueFieldChanges(label, before, this.capabilities.filter(cap => ids.has(cap.Id)));
+        }
     }
 
-    handleContextChangeSize() {
-        this.showBulkSizeModal = true;
-        this.showContextMenu = false;
+    handleDismissPullAlong() {
+        this.pullAlongPrompt = null;
     }
 
     async handleContextDelete() {
+        this.showContextMenu = false;
+        if (this.blockedByStatus()) return;
         if (this.selectedIds.size > 1) {
             this.handleBulkDelete();
         } else if (this.contextCapabilityId) {
@@ -1246,29 +2994,33 @@ export default class CapabilityMapApp extends LightningElement {
                 await this.deleteCapabilities([this.contextCapabilityId]);
             }
         }
-        this.showContextMenu = false;
     }
 
     // ============================================
     // BULK ACTIONS
     // ============================================
     handleBulkChangeSize() {
-        if (this.selectedIds.size === 0) return;
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
         this.showBulkSizeModal = true;
     }
 
     handleBulkChangePhase() {
-        if (this.selectedIds.size === 0) return;
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
         this.showBulkPhaseModal = true;
     }
 
     handleBulkAssignTeam() {
-        if (this.selectedIds.size === 0) return;
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
         this.showBulkTeamModal = true;
     }
 
+    handleBulkSetRange() {
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
+        this.showBulkRangeModal = true;
+    }
+
     async handleBulkDelete() {
-        if (this.selectedIds.size === 0) return;
+        if (this.selectedIds.size === 0 || this.blockedByStatus()) return;
         
         if (confirm(`Delete ${this.selectedIds.size} capabilities?`)) {
             await this.deleteCapabilities(Array.from(this.selectedIds));
@@ -1278,15 +3030,21 @@ export default class CapabilityMapApp extends LightningElement {
 
     async deleteCapabilities(ids) {
         try {
-            for (const id of ids) {
-                await deleteCapability({ capabilityId: id });
-            }
+            // Snapshots (including role assignments) are kept so undo can recreate them
+            const snapshots = await deleteCapabilitiesApex({ capabilityIds: ids });
             
             // Update local state
             this.capabilities = this.capabilities.filter(c => !ids.includes(c.Id));
+            this.roleAssignments = this.roleAssignments.filter(ra => !ids.includes(ra.Capability__c));
+            this.dependencies = this.dependencies.filter(dep => !ids.includes(dep.Capability__c) && !ids.includes(dep.Depends_On__c));
+            this.changeQueue.drop(ids);
             
             this.markModified();
-            this.saveHistory();
+            this.recordHistory(
+                ids.length === 1 ? 'Delete capability' : `Delete ${ids.length} capabilities`,
+                { op: 'deleteCapabilities', params: { ids } },
+                { op: 'restoreCapabilities', params: { records: snapshots } }
+            );
             this.toast('Deleted');
         } catch (error) {
             console.error('Error deleting:', error);
@@ -1298,6 +3056,7 @@ export default class CapabilityMapApp extends LightningElement {
     // MODAL HANDLERS
     // ============================================
     handleAddCapability() {
+        if (this.blockedByStatus()) return;
         this.modalMode = 'create';
         this.selectedCapability = null;
         this.selectedCategoryId = this.categories[0]?.Id || null;
@@ -1306,6 +3065,7 @@ export default class CapabilityMapApp extends LightningElement {
 
     handleAddCapabilityToCategory(event) {
         event.stopPropagation();
+        if (this.blockedByStatus()) return;
         const categoryId = event.currentTarget.dataset.categoryId;
         this.modalMode = 'create';
         this.selectedCapability = null;
@@ -1328,14 +3088,65 @@ export default class CapabilityMapApp extends LightningElement {
         this.selectedCapability = null;
     }
 
-    async handleCapabilitySaved() {
+    async handleCapabilitySaved(event) {
         this.showCapabilityModal = false;
+        
+        // Edits come back unsaved and go through the change queue (version-checked)
+        if (event.detail?.fields) {
+            const { capabilityId, fields } = event.detail;
+            const original = this.capabilities.find(c => c.Id === capabilityId);
+            if (original) {
+                this.capabilities = this.capabilities.map(cap => (cap.Id === capabilityId
+                    ? this.withHours({ ...cap, ...fields })
+                    : cap));
+                this.queueFieldChanges(`Edit "${fields.Name}"`, [original], this.capabilities);
+            }
+            this.selectedCapability = null;
+            return;
+        }
+        
+        // Created or deleted by the modal
+        const before = this.modalMode === 'edit' ? this.selectedCapability : null;
+        const beforeAssignments = this.roleAssignments;
+        const knownIds = new Set(this.capabilities.map(c => c.Id));
+        
         await this.loadMapData();
         this.markModified();
-        this.saveHistory();
+        
+        if (before) {
+            const after = this.capabilities.find(c => c.Id === before.Id);
+            if (!after) {
+                // Deleted from the modal - rebuild the snapshot from what was loaded
+                this.changeQueue.drop([before.Id]);
+                const snapshot = {
+                    ...before,
+                    assignments: beforeAssignments
+                        .filter(ra => ra.Capability__c === before.Id)
+                        .map(ra => ({
+                            Capability_Role__c: ra.Capability_Role__c,
+                            Allocation_Percent__c: ra.Allocation_Percent__c
+                        }))
+                };
+                this.recordHistory(
+                    `Delete "${before.Name}"`,
+                    { op: 'deleteCapabilities', params: { ids: [before.Id] } },
+                    { op: 'restoreCapabilities', params: { records: [snapshot] } }
+                );
+            }
+        } else {
+            const created = this.capabilities.filter(c => !knownIds.has(c.Id));
+            if (created.length > 0) {
+                this.recordHistory(
+                    `Add "${created[0].Name}"`,
+                    { op: 'restoreCapabilities', params: { records: created } },
+                    { op: 'deleteCapabilities', params: { ids: created.map(c => c.Id) } }
+                );
+            }
+        }
     }
 
     handleAddCategory() {
+        if (this.blockedByStatus()) return;
         this.modalMode = 'create';
         this.selectedCategory = null;
         this.showCategoryModal = true;
@@ -1343,7 +3154,8 @@ export default class CapabilityMapApp extends LightningElement {
 
     handleEditCategory(event) {
         event.stopPropagation();
-        const catId = event.currentTarget.dataset.id;
+        if (this.blockedByStatus()) return;
+        const catId = event.currentTarget.dataset.categoryId;
         const category = this.categories.find(c => c.Id === catId);
         if (category) {
             this.modalMode = 'edit';
@@ -1354,6 +3166,7 @@ export default class CapabilityMapApp extends LightningElement {
 
     handleDeleteCategory(event) {
         event.stopPropagation();
+        if (this.blockedByStatus()) return;
         const catId = event.currentTarget.dataset.id;
         const category = this.categories.find(c => c.Id === catId);
         if (category) {
@@ -1364,6 +3177,21 @@ export default class CapabilityMapApp extends LightningElement {
         }
     }
 
+    // Parent choices for the category modal, indented by depth: every category except the
+    // one being edited and its subcategories, and none that would nest too deep
+    get categoryParentOptions() {
+        const tree = this.categoryTree;
+        const editingId = this.selectedCategory?.Id;
+        return tree.order
+            .filter(id => (editingId
+                ? !nestingError(tree, editingId, id)
+                : tree.nodes.get(id).depth + 1 < MAX_DEPTH))
+            .map(id => {
+                const node = tree.nodes.get(id);
+                return { value: id, label: '\u00A0\u00A0\u00A0'.repeat(node.depth) + node.category.Name };
+            });
+    }
+
     handleCloseCategoryModal() {
         this.showCategoryModal = false;
         this.selectedCategory = null;
@@ -1371,9 +3199,9 @@ export default class CapabilityMapApp extends LightningElement {
 
     async handleCategorySaved() {
         this.showCategoryModal = false;
-        await this.loadMapData();
+        // Category changes are not undoable; deleting one removes its capabilities
+        await this.reloadKeepingHistory();
         this.markModified();
-        this.saveHistory();
     }
 
     handleCloseTemplateModal() {
@@ -1382,9 +3210,8 @@ export default class CapabilityMapApp extends LightningElement {
 
     async handleTemplatesApplied() {
         this.showTemplateModal = false;
-        await this.loadMapData();
+        await this.reloadKeepingHistory();
         this.markModified();
-        this.saveHistory();
         this.toast('Template applied', 'success');
     }
 
@@ -1400,52 +3227,80 @@ export default class CapabilityMapApp extends LightningElement {
         this.showBulkTeamModal = false;
     }
 
+    handleCloseBulkRangeModal() {
+        this.showBulkRangeModal = false;
+    }
+
     // Helper: Get hours for a given size based on map configuration
     getHoursForSize(size) {
-        if (!this.capabilityMap || !size || size === 'TBD') return 0;
-        
-        const sizeToField = {
-            'XS': 'XS_Hours__c',
-            'S': 'S_Hours__c',
-            'M': 'M_Hours__c',
-            'L': 'L_Hours__c',
-            'XL': 'XL_Hours__c',
-            'XXL': 'XXL_Hours__c',
-            'XXXL': 'XXXL_Hours__c'
-        };
-        
-        const field = sizeToField[size];
-        return field ? (this.capabilityMap[field] || 0) : 0;
+        if (!size || size === 'TBD') return 0;
+        return this.sizes.find(item => item.name === size)?.hours || 0;
+    }
+
+    // Helper: the capability with its hours - the override, or its size's hours times
+    // its confidence, complexity and category multiplier (like Estimated_Hours__c)
+    withHours(cap) {
+        const category = this.categories.find(cat => cat.Id === cap.Capability_Category__c);
+        return { ...cap, Calculated_Hours__c: factoredHours(cap, this.getHoursForSize(cap.Size__c), category) };
     }
 
     // Handle bulk size applied - update UI immediately including hours
-    async handleBulkApplied(event) {
+    handleBulkApplied(event) {
         this.showBulkSizeModal = false;
         
         const { field, value } = event.detail;
         
-        // Calculate new hours based on size
-        const newHours = this.getHoursForSize(value);
+        const before = this.capabilities.filter(cap => this.selectedIds.has(cap.Id));
         
         // Update capabilities in memory immediately - both size and calculated hours
         this.capabilities = this.capabilities.map(cap => {
             if (this.selectedIds.has(cap.Id)) {
-                return { 
-                    ...cap, 
-                    [field]: value,
-                    Calculated_Hours__c: cap.Hours_Override__c || newHours
-                };
+                return this.withHours({ ...cap, [field]: value });
             }
-            return { ...cap };
+            return cap;
         });
         
-        this.markModified();
-        this.saveHistory();
+        this.queueFieldChanges(`Change size to ${value}`, before, this.capabilities);
         this.toast(`Updated size to ${value} for ${this.selectedIds.size} items`);
     }
 
+    /**
+     * Bulk range applied: optimistic and pessimistic are 'keep', 'clear' or a number of
+     * sizes away from each capability's size (clamped to the scheme). An hours override
+     * scales along with the size; capabilities without a size keep their range.
+     */
+    handleBulkRangeApplied(event) {
+        this.showBulkRangeModal = false;
+        
+        const { optimistic, pessimistic } = event.detail.value;
+        const scheme = this.sizes.filter(size => size.name !== 'TBD');
+        const rangeHours = (cap, steps, current) => {
+            if (steps === 'keep') return current ?? null;
+            if (steps === 'clear') return null;
+            const index = scheme.findIndex(size => size.name === cap.Size__c);
+            const target = scheme[Math.min(Math.max(index + steps, 0), scheme.length - 1)];
+            return Math.round(target.hours * (cap.Calculated_Hours__c || 0) / scheme[index].hours);
+        };
+        const before = this.capabilities.filter(cap => this.selectedIds.has(cap.Id));
+        const sized = before.filter(cap => this.getHoursForSize(cap.Size__c) > 0);
+        const sizedIds = new Set(sized.map(cap => cap.Id));
+        
+        this.capabilities = this.capabilities.map(cap => {
+            if (!sizedIds.has(cap.Id)) return cap;
+            return {
+                ...cap,
+                Optimistic_Hours__c: rangeHours(cap, optimistic, cap.Optimistic_Hours__c),
+                Pessimistic_Hours__c: rangeHours(cap, pessimistic, cap.Pessimistic_Hours__c)
+            };
+        });
+        
+        this.queueFieldChanges('Set estimate range', sized, this.capabilities);
+        const skipped = before.length - sized.length;
+        this.toast(`Set the range of ${sized.length} capabilities` + (skipped > 0 ? ` (${skipped} without a size skipped)` : ''));
+    }
+
     // Handle bulk phase applied - update UI immediately and sync color
-    async handleBulkPhaseApplied(event) {
+    handleBulkPhaseApplied(event) {
         this.showBulkPhaseModal = false;
         
         const { field, value } = event.detail; // value = new phase name
@@ -1458,6 +3313,8 @@ export default class CapabilityMapApp extends LightningElement {
             }
         });
         
+        const before = this.capabilities.filter(cap => this.selectedIds.has(cap.Id));
+        
         // Update capabilities in memory - also update color if phase has one
         this.capabilities = this.capabilities.map(cap => {
             if (this.selectedIds.has(cap.Id)) {
@@ -1468,23 +3325,11 @@ export default class CapabilityMapApp extends LightningElement {
                 }
                 return updates;
             }
-            return { ...cap };
+            return cap;
         });
         
-        // If we changed colors, also save them to database
-        if (phaseColor) {
-            try {
-                await bulkUpdateCapabilities({
-                    capabilityIds: [...this.selectedIds],
-                    fields: { Color__c: phaseColor }
-                });
-            } catch (error) {
-                console.error('Error updating colors:', error);
-            }
-        }
-        
-        this.markModified();
-        this.saveHistory();
+        // Phase and color are saved together with the next batch
+        this.queueFieldChanges(`Change phase to ${value}`, before, this.capabilities);
         const colorMsg = phaseColor ? ` (color: ${this.colorNames[phaseColor] || 'assigned'})` : '';
         this.toast(`Updated phase to ${value} for ${this.selectedIds.size} items${colorMsg}`);
     }
@@ -1494,15 +3339,22 @@ export default class CapabilityMapApp extends LightningElement {
         this.showBulkTeamModal = false;
         
         // Team assignments are in a related object, so we need to reload
-        await this.loadMapData();
+        // Role assignments are not tracked by the undo history
+        await this.reloadKeepingHistory();
         
         this.markModified();
-        this.saveHistory();
         this.toast(`Updated team for ${this.selectedIds.size} items`);
     }
 
+    // Jump to a category (from the minimap or a column header) and remember it for "Fit category"
     handleCategoryClick(event) {
-        // Could scroll to category or highlight it
+        event.stopPropagation();
+        const categoryId = event.currentTarget.dataset.categoryId;
+        const layout = this.canvasLayout;
+        const column = this.boardColumns.find(c => c.id === categoryId);
+        if (!column) return;
+        this.focusedCategoryId = categoryId;
+        this.setCanvasView(revealRect(this.canvasView, column, layout.viewport));
     }
 
     // ============================================
@@ -1528,6 +3380,10 @@ export default class CapabilityMapApp extends LightningElement {
                 event.preventDefault();
                 this.handleRedo();
             }
+            if (event.key === 's') {
+                event.preventDefault();
+                this.handleSaveNow();
+            }
             if (event.key === 'a') {
                 event.preventDefault();
                 // Select all
@@ -1549,6 +3405,15 @@ export default class CapabilityMapApp extends LightningElement {
         if (event.key === 't' || event.key === 'T') {
             this.handleOpenTemplates();
         }
+        if (event.key === '0') {
+            this.handleFitAll();
+        }
+        if (event.key === '+' || event.key === '=') {
+            this.handleZoomIn();
+        }
+        if (event.key === '-') {
+            this.handleZoomOut();
+        }
     }
 
     closeAllModals() {
@@ -1556,47 +3421,295 @@ export default class CapabilityMapApp extends LightningElement {
         this.showCategoryModal = false;
         this.showTemplateModal = false;
         this.showBulkSizeModal = false;
+        this.showBulkRangeModal = false;
+        this.showImportModal = false;
+        this.showCsvImportModal = false;
+        this.showConflictModal = false;
+        this.showViewModal = false;
+        this.showExportModal = false;
+        this.showDependencyModal = false;
+        this.showCommentModal = false;
+        this.showActivityModal = false;
+        this.showSnapshotModal = false;
+        this.showStatusModal = false;
+        this.showSizesModal = false;
+        this.showPhasesModal = false;
         this.showContextMenu = false;
     }
 
     // ============================================
     // HISTORY (UNDO/REDO)
     // ============================================
-    saveHistory() {
-        // Slice to current position and add new state
-        this.history = this.history.slice(0, this.historyIndex + 1);
-        this.history.push({
-            categories: JSON.parse(JSON.stringify(this.categories)),
-            capabilities: JSON.parse(JSON.stringify(this.capabilities))
+    // Record an action that has already been applied on the server
+    recordHistory(label, redo, undo) {
+        this.history.push({ label, redo, undo });
+        this.historyVersion++;
+    }
+
+    // Record per-record field changes as an updateCapabilities entry
+    // Returns the changes ([{ Id, field: value }]) so callers can queue them
+    recordFieldChanges(label, beforeRecords, afterRecords) {
+        const { before, after } = diffCapabilities(beforeRecords, afterRecords);
+        if (after.length === 0) return after;
+        this.recordHistory(
+            label,
+            { op: 'updateCapabilities', params: { changes: after } },
+            { op: 'updateCapabilities', params: { changes: before } }
+        );
+        return after;
+    }
+
+    // Queue in-memory field edits for saving and record them for undo
+    queueFieldChanges(label, beforeRecords, afterRecords) {
+        const originals = new Map(beforeRecords.map(rec => [rec.Id, rec]));
+        this.recordFieldChanges(label, beforeRecords, afterRecords).forEach(({ Id, ...fields }) => {
+            this.changeQueue.enqueueCapability(Id, fields, originals.get(Id));
         });
-        
-        // Limit history size
-        if (this.history.length > 50) {
-            this.history.shift();
+        this.offerPullAlong(beforeRecords, afterRecords);
+    }
+
+    clearHistory() {
+        this.history.clear();
+        this.historyVersion++;
+    }
+
+    // Reload after a change the history does not record; only the entries of the
+    // capabilities and categories it changed or removed are dropped
+    async reloadKeepingHistory() {
+        const beforeCapabilities = this.capabilities;
+        const beforeIds = [...this.capabilities, ...this.categories].map(record => record.Id);
+        await this.loadMapData();
+        const currentIds = new Set([...this.capabilities, ...this.categories].map(record => record.Id));
+        const { after } = diffCapabilities(beforeCapabilities, this.capabilities);
+        this.history.forget([
+            ...beforeIds.filter(id => !currentIds.has(id)),
+            ...after.map(change => change.Id)
+        ]);
+        this.historyVersion++;
+    }
+
+    // Run one side of a history entry against the server
+    // counterpart is the other side of the entry: its values are what the server should hold now
+    async runHistoryOperation(operation, counterpart) {
+        const params = this.history.resolve(operation.params);
+        switch (operation.op) {
+            case 'updateCapabilities': {
+                // Refuse to revert fields that someone else changed in the meantime
+                const expected = new Map(this.history.resolve(counterpart.params).changes.map(c => [c.Id, c]));
+                const changes = params.changes.map(change => {
+                    const { Id, ...baseValues } = expected.get(change.Id) || {};
+                    return Id ? { ...change, baseValues } : change;
+                });
+                await updateCapabilities({ changes });
+                return null;
+            }
+            case 'moveCategory':
+                await moveCategoryApex({ categoryId: params.categoryId, parentId: params.parentId, orderedIds: params.ids });
+                return null;
+            case 'deleteCapabilities':
+                return deleteCapabilitiesApex({ capabilityIds: params.ids });
+            case 'restoreCapabilities': {
+                const idMap = await restoreCapabilities({ capabilities: params.records });
+                this.history.registerAliases(idMap);
+                return idMap;
+            }
+            default:
+                throw new Error(`Unknown history operation: ${operation.op}`);
         }
-        
-        this.historyIndex = this.history.length - 1;
     }
 
-    restoreFromHistory() {
-        const state = this.history[this.historyIndex];
-        if (state) {
-            this.categories = state.categories;
-            this.capabilities = state.capabilities;
+    async applyHistoryStep(entry, direction) {
+        if (this.isHistoryBusy) return;
+        // History operations run against saved data
+        if (this.changeQueue.hasPending) {
+            if (!this.autoSaveEnabled) {
+                this.toast(`Save your changes before ${direction === 'undo' ? 'undoing' : 'redoing'}`, 'warning');
+                return;
+            }
+            if (!(await this.changeQueue.flush())) {
+                this.toast('Pending changes could not be saved', 'error');
+                return;
+            }
+        }
+        
+        const operation = direction === 'undo' ? entry.undo : entry.redo;
+        const counterpart = direction === 'undo' ? entry.redo : entry.undo;
+        this.isHistoryBusy = true;
+        this.isLoading = true;
+        try {
+            const result = await this.runHistoryOperation(operation, counterpart);
+            
+            // Re-deleting produces fresh snapshots for the next restore
+            if (operation.op === 'deleteCapabilities' && counterpart.op === 'restoreCapabilities') {
+                counterpart.params = { records: result };
+            }
+            
+            if (direction === 'undo') {
+                this.history.commitUndo();
+            } else {
+                this.history.commitRedo();
+            }
+            this.historyVersion++;
+            this.toast(`${direction === 'undo' ? 'Undo' : 'Redo'}: ${entry.label}`);
+        } catch (error) {
+            console.error(`Error during ${direction}:`, error);
+            const conflicts = parseConflict(error);
+            const reason = conflicts
+                ? `someone else changed ${conflicts.map(c => c.recordName).join(', ')}`
+                : error.body?.message || error.message;
+            this.toast(`Could not ${direction}: ${reason}`, 'error');
+        } finally {
+            // Show what the database holds now, whether the step succeeded or not
+            this.selectedIds = new Set();
+            await this.loadMapData();
+            this.markModified();
+            this.isHistoryBusy = false;
+            this.isLoading = false;
         }
     }
 
     // ============================================
     // STATUS & NOTIFICATIONS
     // ============================================
+    // Data was already written by a direct Apex call; stamp Last_Saved__c with the next batch
     markModified() {
-        this.statusText = 'Modified';
+        this.changeQueue.touch();
+    }
+
+    // ============================================
+    // AUTO-SAVE
+    // ============================================
+    async persistChanges(batch) {
+        const result = await saveMapChanges({
+            mapId: this.mapId,
+            mapFields: batch.mapFields,
+            capabilityChanges: batch.capabilityChanges
+        });
+        
+        // The returned map is the full server state, so later edits can start from it
+        const map = result.map;
+        this.capabilityMap = map;
+        this.lastSavedAt = map.Last_Saved__c;
+        this.changeQueue.updateMapVersion(map.Record_Version__c);
+        if (!('Name' in this.changeQueue.mapChange.fields)) {
+            this.mapName = map.Name;
+        }
+        if (!('Default_Hourly_Rate__c' in this.changeQueue.mapChange.fields)) {
+            this.defaultRate = map.Default_Hourly_Rate__c ?? null;
+        }
+        
+        // Versions only come back for records that had no changes we have not seen
+        const versions = result.versions || {};
+        if (Object.keys(versions).length > 0) {
+            this.changeQueue.updateVersions(versions);
+            this.capabilities = this.capabilities.map(cap => (
+                versions[cap.Id] !== undefined ? { ...cap, Record_Version__c: versions[cap.Id] } : cap
+            ));
+        }
+    }
+
+    handleSaveStatusChange(status, error) {
+        this.saveStatus = status;
+        this.saveError = error;
+        this.connectionStatus = status === SAVE_STATUS.OFFLINE ? 'Offline - changes will be saved when the connection returns' : 'Ready';
         
-        // Auto-save after delay
-        clearTimeout(this.saveTimeout);
-        this.saveTimeout = setTimeout(() => {
-            this.statusText = 'Saved';
-        }, 1000);
+        if (!error || error === this.notifiedSaveError) return;
+        
+        // Conflicts go to the merge dialog; other errors are reported once retrying has stopped
+        if (status === SAVE_STATUS.CONFLICT) {
+            this.notifiedSaveError = error;
+            this.openConflictModal();
+        } else if (!this.changeQueue.willRetry) {
+            this.notifiedSaveError = error;
+            this.toast(`Changes could not be saved: ${error.body?.message || error.message || 'Unknown error'}`, 'error');
+        }
+    }
+
+    // ============================================
+    // CONFLICTS
+    // ============================================
+    openConflictModal() {
+        const conflicts = this.changeQueue.conflicts;
+        if (!conflicts || conflicts.length === 0) return;
+        this.conflictList = conflicts;
+        this.showConflictModal = true;
+    }
+
+    // Changes stay queued (status Conflict) until the user resolves them
+    handleCloseConflictModal() {
+        this.showConflictModal = false;
+    }
+
+    handleConflictResolved(event) {
+        this.showConflictModal = false;
+        
+        event.detail.resolutions.forEach(({ recordId, objectName, currentVersion, keepMine, takeTheirs }) => {
+            const isMap = objectName === 'Capability_Map__c';
+            const queueId = isMap ? null : recordId;
+            const theirFields = Object.keys(takeTheirs);
+            
+            // Theirs: forget our value and show the saved one
+            if (theirFields.length > 0) {
+                this.changeQueue.drop([queueId], theirFields);
+                if (isMap) {
+                    this.capabilityMap = { ...this.capabilityMap, ...takeTheirs };
+                    if (takeTheirs.Name !== undefined) this.mapName = takeTheirs.Name;
+                    if (takeTheirs.Default_Hourly_Rate__c !== undefined) this.defaultRate = takeTheirs.Default_Hourly_Rate__c;
+                } else {
+                    this.capabilities = this.capabilities.map(cap => (cap.Id === recordId ? this.withHours({ ...cap, ...takeTheirs }) : cap));
+                }
+            }
+            // Mine: their value becomes the base we overwrite knowingly
+            this.changeQueue.rebase(queueId, keepMine, currentVersion);
+        });
+        
+        this.changeQueue.clearError();
+        this.changeQueue.flush();
+    }
+
+    // Start a clean queue for the map that was just opened
+    resetChangeQueue(map) {
+        this.changeQueue.discard();
+        this.autoSaveEnabled = map?.Auto_Save_Enabled__c !== false;
+        this.changeQueue.setAutoSave(this.autoSaveEnabled);
+        this.lastSavedAt = map?.Last_Saved__c;
+    }
+
+    // Save (or, in manual mode, optionally drop) queued edits before switching maps
+    async settlePendingChanges() {
+        if (!this.changeQueue.hasPending) return true;
+        if (!this.autoSaveEnabled && !confirm('Save your changes to this map before leaving it?')) {
+            return true;
+        }
+        const saved = await this.changeQueue.flush();
+        if (!saved) {
+            this.toast('Changes could not be saved - map not switched', 'error');
+        }
+        return saved;
+    }
+
+    async handleSaveNow() {
+        if (!this.mapId) return;
+        if (this.saveStatus === SAVE_STATUS.CONFLICT) {
+            this.openConflictModal();
+            return;
+        }
+        if (await this.changeQueue.flush()) {
+            this.toast('Saved', 'success');
+        }
+    }
+
+    handleAutoSaveToggle(event) {
+        if (this.blockedByStatus()) {
+            event.target.checked = this.autoSaveEnabled;
+            return;
+        }
+        this.autoSaveEnabled = event.target.checked;
+        this.changeQueue.setAutoSave(this.autoSaveEnabled);
+        this.changeQueue.enqueueMap({ Auto_Save_Enabled__c: this.autoSaveEnabled }, this.capabilityMap);
+        // The setting itself is saved right away, also when switching to manual mode
+        this.changeQueue.flush();
+        this.toast(this.autoSaveEnabled ? 'Auto-save on' : 'Auto-save off - use Save (Ctrl+S) to save changes');
     }
 
     toast(message, type = '') {
@@ -0,0 +1,168 @@
+/**
+ * ============================================================
+ * categoryTree.js
+ * ============================================================
+ * @description    Parent/child hierarchy of the map's categories
+ *                 Categories point to their parent through
+ *                 Parent_Category__c. Sort_Order__c is one depth-first
+ *                 sequence for the whole map, so the canvas shows every
+ *                 category followed by its subcategories. Moves produce a
+ *                 new depth-first order that is saved in one call
+ *                 (CapabilityCategoryController.moveCategory).
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.16.0
+ *
+ * CHANGELOG:
+ * v2.16.0  2026-10-18  Initial version
+ * ============================================================
+ */
+
+// Levels including the top level; keep in sync with CategoryHierarchyService.MAX_DEPTH
+export const MAX_DEPTH = 5;
+
+/**
+ * Build the tree from categories sorted by Sort_Order__c
+ * Returns { nodes: Map id -> { category, parentId, children, depth }, roots, order }
+ * where order lists every Id depth-first. Parents outside the map (and cycles,
+ * which the server prevents) make a category top-level.
+ */
+export function buildTree(categories) {
+    const nodes = new Map(categories.map(category => [category.Id, {
+        category,
+        parentId: null,
+        children: [],
+        depth: 0
+    }]));
+    const roots = [];
+    categories.forEach(category => {
+        const parentId = category.Parent_Category__c;
+        if (parentId && nodes.has(parentId) && !isAncestor(nodes, category.Id, parentId)) {
+            nodes.get(category.Id).parentId = parentId;
+            nodes.get(parentId).children.push(category.Id);
+        } else {
+            roots.push(category.Id);
+        }
+    });
+
+    const order = [];
+    const visit = (id, depth) => {
+        const node = nodes.get(id);
+        node.depth = depth;
+        order.push(id);
+        node.children.forEach(childId => visit(childId, depth + 1));
+    };
+    roots.forEach(id => visit(id, 0));
+    return { nodes, roots, order };
+}
+
+// Every subcategory below a category, depth-first
+export function descendantIds(tree, id) {
+    const result = [];
+    const visit = childId => {
+        result.push(childId);
+        tree.nodes.get(childId).children.forEach(visit);
+    };
+    (tree.nodes.get(id)?.children || []).forEach(visit);
+    return result;
+}
+
+// Parents of a category from the top level down
+export function ancestorIds(tree, id) {
+    const result = [];
+    let parentId = tree.nodes.get(id)?.parentId;
+    while (parentId) {
+        result.unshift(parentId);
+        parentId = tree.nodes.get(parentId).parentId;
+    }
+    return result;
+}
+
+// Levels in a category's subtree, 1 without subcategories
+export function subtreeHeight(tree, id) {
+    const node = tree.nodes.get(id);
+    return 1 + node.children.reduce((max, childId) => Math.max(max, subtreeHeight(tree, childId)), 0);
+}
+
+/**
+ * Why a category cannot go under parentId, or null when it can
+ * parentId null means top-level.
+ */
+export function nestingError(tree, id, parentId) {
+    if (!parentId) return null;
+    if (parentId === id || descendantIds(tree, id).includes(parentId)) {
+        return 'A category cannot be moved under itself or one of its subcategories';
+    }
+    if (tree.nodes.get(parentId).depth + 1 + subtreeHeight(tree, id) > MAX_DEPTH) {
+        return `Categories can be nested at most ${MAX_DEPTH} levels deep`;
+    }
+    return null;
+}
+
+/**
+ * Move a category (with its subtree) under parentId, before the sibling beforeId
+ * (null = last child). Returns { order } with the new depth-first Id order, or { error }.
+ */
+export function moveInTree(tree, id, parentId, beforeId) {
+    const error = nestingError(tree, id, parentId);
+    if (error) return { error };
+
+    const childrenOf = pid => (pid ? tree.nodes.get(pid).children : tree.roots).filter(childId => childId !== id);
+    const siblings = childrenOf(parentId || null);
+    const insertAt = beforeId ? siblings.indexOf(beforeId) : -1;
+    siblings.splice(insertAt === -1 ? siblings.length : insertAt, 0, id);
+
+    const order = [];
+    const visit = childId => {
+        order.push(childId);
+        const children = childId === parentId ? siblings : childrenOf(childId);
+        children.forEach(visit);
+    };
+    (parentId ? childrenOf(null) : siblings).forEach(visit);
+    return { order };
+}
+
+// Depth-first Ids without the subcategories of collapsed categories
+export function visibleIds(tree, collapsedIds) {
+    const result = [];
+    const visit = id => {
+        result.push(id);
+        if (!collapsedIds.has(id)) {
+            tree.nodes.get(id).children.forEach(visit);
+        }
+    };
+    tree.roots.forEach(visit);
+    return result;
+}
+
+/**
+ * Totals per category including all subcategories
+ * totalsOf(id) returns { count, hours } for the category's own capabilities.
+ */
+export function rollups(tree, totalsOf) {
+    const result = new Map();
+    const visit = id => {
+        const own = totalsOf(id);
+        const total = { count: own.count, hours: own.hours };
+        tree.nodes.get(id).children.forEach(childId => {
+            const child = visit(childId);
+            total.count += child.count;
+            total.hours += child.hours;
+        });
+        result.set(id, total);
+        return total;
+    };
+    tree.roots.forEach(visit);
+    return result;
+}
+
+function isAncestor(nodes, id, parentId) {
+    const seen = new Set();
+    let current = parentId;
+    while (current && !seen.has(current)) {
+        if (current === id) return true;
+        seen.add(current);
+        current = nodes.get(current)?.category.Parent_Category__c;
+    }
+    return false;
+}
@@ -0,0 +1,337 @@
+/**
+ * ============================================================
+ * changeQueue.js
+ * ============================================================
+ * @description    Batched change queue for the capability map
+ *                 Collects field edits per record, merges repeated edits of
+ *                 the same field, and flushes them to a single bulk Apex call
+ *                 after a debounce. Failed batches are put back and retried.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.8.0
+ *
+ * CHANGELOG:
+ * v2.8.0  2026-10-18  Send record versions and base values; conflicts are not retried
+ * v2.7.0  2026-10-18  Initial version (auto-save, retry, manual-save mode)
+ * ============================================================
+ */
+
+export const SAVE_DEBOUNCE_MS = 1500;
+export const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+export const SAVE_STATUS = {
+    SAVED: 'saved',
+    PENDING: 'pending',
+    SAVING: 'saving',
+    OFFLINE: 'offline',
+    CONFLICT: 'conflict',
+    ERROR: 'error'
+};
+
+/**
+ * Read the structured conflict thrown by ConcurrencyService
+ * Returns the conflicts array, or null for any other error.
+ */
+export function parseConflict(error) {
+    const message = error?.body?.message;
+    if (!message || message.charAt(0) !== '{') return null;
+    try {
+        const parsed = JSON.parse(message);
+        return parsed.type === 'CONFLICT' ? parsed.conflicts || [] : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Queue of unsaved changes
+ * save(batch) must return a promise; batch shape:
+ * { mapFields: { Name, Record_Version__c, baseValues }, capabilityChanges: [{ Id, field: value, Record_Version__c, baseValues }] }
+ * baseValues holds each field's value before the first unsaved edit, so the server can
+ * tell edits made by someone else from our own.
+ * onStatusChange(status, error) is called whenever the status may have changed.
+ */
+export class ChangeQueue {
+    constructor({ save, onStatusChange, debounceMs = SAVE_DEBOUNCE_MS, maxRetries = MAX_RETRIES }) {
+        this.save = save;
+        this.onStatusChange = onStatusChange || (() => {});
+        this.debounceMs = debounceMs;
+        this.maxRetries = maxRetries;
+
+        this.autoSave = true;
+        this.online = true;
+        this.capabilityChanges = new Map(); // Id -> { fields, base, version }
+        this.mapChange = emptyEntry();
+        this.touched = false; // Saved directly elsewhere; only Last_Saved__c needs a stamp
+        this.inFlight = null;
+        this.saving = false;
+        this.timer = null;
+        this.retries = 0;
+        this.error = null;
+    }
+
+    get hasPending() {
+        return this.capabilityChanges.size > 0 || hasFields(this.mapChange);
+    }
+
+    get pendingCount() {
+        return this.capabilityChanges.size + (hasFields(this.mapChange) ? 1 : 0);
+    }
+
+    get conflicts() {
+        return parseConflict(this.error);
+    }
+
+    // A failed save will be retried automatically (conflicts wait for the user)
+    get willRetry() {
+        return !!this.error && !this.conflicts && this.autoSave && this.retries <= this.maxRetries;
+    }
+
+    get status() {
+        if (this.saving) return SAVE_STATUS.SAVING;
+        if (!this.online) return SAVE_STATUS.OFFLINE;
+        if (this.conflicts) return SAVE_STATUS.CONFLICT;
+        if (this.error) return SAVE_STATUS.ERROR;
+        return this.hasPending ? SAVE_STATUS.PENDING : SAVE_STATUS.SAVED;
+    }
+
+    setAutoSave(enabled) {
+        this.autoSave = enabled;
+        if (enabled && this.hasPending) {
+            this.schedule();
+        } else if (!enabled) {
+            clearTimeout(this.timer);
+        }
+        this.notify();
+    }
+
+    setOnline(isOnline) {
+        this.online = isOnline;
+        if (isOnline && this.autoSave && (this.hasPending || this.touched)) {
+            this.retries = 0;
+            this.schedule(0);
+        }
+        this.notify();
+    }
+
+    /**
+     * Queue field values for one capability (later values win)
+     * original is the record as it was before this edit (source of base values and version)
+     */
+    enqueueCapability(id, fields, original) {
+        const entry = this.capabilityChanges.get(id) || emptyEntry();
+        addToEntry(entry, fields, original);
+        this.capabilityChanges.set(id, entry);
+        this.changed();
+    }
+
+    enqueueMap(fields, original) {
+        addToEntry(this.mapChange, fields, original);
+        this.changed();
+    }
+
+    // Versions returned by the server after a save
+    updateVersions(versionsById) {
+        Object.entries(versionsById || {}).forEach(([id, version]) => {
+            const entry = this.capabilityChanges.get(id);
+            if (entry) entry.version = version;
+        });
+    }
+
+    updateMapVersion(version) {
+        this.mapChange.version = version;
+    }
+
+    /**
+     * Keep our value for conflicting fields: their value becomes the new base
+     * recordId is a capability Id, or null for the map itself
+     */
+    rebase(recordId, theirValues, version) {
+        const entry = recordId ? this.capabilityChanges.get(recordId) : this.mapChange;
+        if (!entry) return;
+        entry.base = { ...entry.base, ...theirValues };
+        entry.version = version;
+    }
+
+    // Continue after the user resolved a conflict
+    clearError() {
+        this.error = null;
+        this.retries = 0;
+        this.notify();
+    }
+
+    // Something was already written by a direct Apex call
+    touch() {
+        this.touched = true;
+        if (this.autoSave) {
+            this.schedule();
+        }
+    }
+
+    // Overlay queued values on freshly loaded records so reloads do not hide them
+    applyPending(records) {
+        if (this.capabilityChanges.size === 0) return records;
+        return records.map(rec => {
+            const pending = this.capabilityChanges.get(rec.Id);
+            return pending ? { ...rec, ...pending.fields } : rec;
+        });
+    }
+
+    // Forget queued values that were saved another way (or records that were deleted)
+    // ids may contain null for the map itself
+    drop(ids, fields = null) {
+        ids.forEach(id => {
+            const entry = id ? this.capabilityChanges.get(id) : this.mapChange;
+            if (!entry) return;
+            (fields || Object.keys(entry.fields)).forEach(field => {
+                delete entry.fields[field];
+                delete entry.base[field];
+            });
+            if (id && !hasFields(entry)) {
+                this.capabilityChanges.delete(id);
+            }
+        });
+        this.notify();
+    }
+
+    discard() {
+        clearTimeout(this.timer);
+        this.capabilityChanges = new Map();
+        this.mapChange = emptyEntry();
+        this.touched = false;
+        this.retries = 0;
+        this.error = null;
+        this.notify();
+    }
+
+    schedule(delay = this.debounceMs) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.flush();
+        }, delay);
+    }
+
+    /**
+     * Send everything that is queued. Waits for a save that is already running.
+     * Resolves true when nothing is left unsaved.
+     */
+    async flush() {
+        clearTimeout(this.timer);
+        if (this.inFlight) {
+            await this.inFlight;
+        }
+        if (!this.hasPending && !this.touched) {
+            return !this.error;
+        }
+        if (!this.online) {
+            this.notify();
+            return false;
+        }
+
+        const batch = {
+            entries: this.capabilityChanges,
+            mapEntry: this.mapChange,
+            mapFields: hasFields(this.mapChange) ? toChange(this.mapChange) : {},
+            capabilityChanges: [...this.capabilityChanges.entries()].map(([Id, entry]) => ({ Id, ...toChange(entry) }))
+        };
+        this.capabilityChanges = new Map();
+        this.mapChange = { ...emptyEntry(), version: batch.mapEntry.version };
+        this.touched = false;
+
+        this.saving = true;
+        this.notify();
+        this.inFlight = this.send(batch);
+        const ok = await this.inFlight;
+        this.inFlight = null;
+        this.saving = false;
+        this.notify();
+        return ok && !this.hasPending;
+    }
+
+    async send(batch) {
+        try {
+            await this.save(batch);
+            this.retries = 0;
+            this.error = null;
+            if (this.hasPending && this.autoSave) {
+                this.schedule();
+            }
+            return true;
+        } catch (error) {
+            this.requeue(batch);
+            this.error = error;
+            this.retries++;
+            if (this.autoSave && this.online && this.retries <= this.maxRetries) {
+                this.schedule(Math.min(RETRY_BASE_MS * 2 ** (this.retries - 1), RETRY_MAX_MS));
+            }
+            return false;
+        }
+    }
+
+    // Put a failed batch back without overwriting edits made while it was in flight
+    requeue(batch) {
+        batch.entries.forEach((failed, id) => {
+            this.capabilityChanges.set(id, mergeEntries(failed, this.capabilityChanges.get(id)));
+        });
+        this.mapChange = mergeEntries(batch.mapEntry, this.mapChange);
+        this.touched = true;
+    }
+
+    changed() {
+        this.error = null;
+        this.retries = 0;
+        if (this.autoSave) {
+            this.schedule();
+        }
+        this.notify();
+    }
+
+    notify() {
+        this.onStatusChange(this.status, this.error);
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+    }
+}
+
+function emptyEntry() {
+    return { fields: {}, base: {}, version: null };
+}
+
+function hasFields(entry) {
+    return Object.keys(entry.fields).length > 0;
+}
+
+// Base values and version come from the record before its first unsaved edit
+function addToEntry(entry, fields, original) {
+    Object.keys(fields).forEach(field => {
+        if (original && !(field in entry.base)) {
+            entry.base[field] = original[field] ?? null;
+        }
+    });
+    if (original && entry.version === null) {
+        entry.version = original.Record_Version__c ?? 0;
+    }
+    Object.assign(entry.fields, fields);
+}
+
+// Older entry first: newer field values win, the older base and version are kept
+function mergeEntries(older, newer) {
+    if (!newer) return older;
+    return {
+        fields: { ...older.fields, ...newer.fields },
+        base: { ...newer.base, ...older.base },
+        version: older.version ?? newer.version
+    };
+}
+
+function toChange(entry) {
+    const change = { ...entry.fields, baseValues: entry.base };
+    if (entry.version !== null) {
+        change.Record_Version__c = entry.version;
+    }
+    return change;
+}
@@ -6,9 +6,10 @@
  *                 Generates gradient shades from a base color
  * 
  * @author         Cobra CRM B.V.
- * @version        2.1.0
+ * @version        2.22.0
  * 
  * CHANGELOG:
+ * v2.22.0 2026-10-18  Shades follow the map's sizing scheme (any number of sizes)
  * v2.1.0  2024-12-16  Support custom colors per map
  * v2.0.0  2024-12-16  Phase-based color themes
  * ============================================================
@@ -24,31 +25,44 @@ export const DEFAULT_PHASE_COLORS = {
     'Out of Scope': '#EF4444' // Red
 };
 
+// Sizes of maps without a sizing scheme (smallest first, TBD excluded)
+export const DEFAULT_SIZES = ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'XXXL'];
+
+// Brightness from the smallest (very dark) to the largest size (very light)
+const SHADE_FACTORS = [-0.5, -0.35, -0.15, 0, 0.25, 0.5, 0.7];
+
 /**
  * Generate shades from a base color
- * Returns object with colors for each size from darkest (XS) to lightest (XXXL)
+ * Returns object with colors for each size from darkest (smallest) to lightest (largest)
+ * sizes: size names in scheme order; the seven T-shirt sizes get the classic shades
  */
-export function generateColorShades(hexColor) {
+export function generateColorShades(hexColor, sizes = DEFAULT_SIZES) {
     // Convert hex to RGB
     const r = parseInt(hexColor.slice(1, 3), 16);
     const g = parseInt(hexColor.slice(3, 5), 16);
     const b = parseInt(hexColor.slice(5, 7), 16);
     
-    // Generate shades - from darker to lighter
-    const shades = {
-        'XS':   adjustBrightness(r, g, b, -0.5),   // Very dark
-        'S':    adjustBrightness(r, g, b, -0.35),  // Dark
-        'M':    adjustBrightness(r, g, b, -0.15),  // Slightly dark
-        'L':    hexColor,                           // Base color
-        'XL':   adjustBrightness(r, g, b, 0.25),   // Light
-        'XXL':  adjustBrightness(r, g, b, 0.5),    // Lighter
-        'XXXL': adjustBrightness(r, g, b, 0.7),    // Very light
-        'TBD':  '#E8E8E8'                          // Gray
-    };
+    const shades = {};
+    sizes.forEach((size, index) => {
+        const factor = shadeFactor(index, sizes.length);
+        shades[size] = factor === 0 ? hexColor : adjustBrightness(r, g, b, factor);
+    });
+    shades.TBD = '#E8E8E8'; // Gray
     
     return shades;
 }
 
+// Spread the shade curve over any number of sizes
+function shadeFactor(index, count) {
+    if (count <= 1) {
+        return 0;
+    }
+    const position = (index / (count - 1)) * (SHADE_FACTORS.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, SHADE_FACTORS.length - 1);
+    return SHADE_FACTORS[lower] + (SHADE_FACTORS[upper] - SHADE_FACTORS[lower]) * (position - lower);
+}
+
 /**
  * Adjust brightness of a color
  * factor: negative = darker, positive = lighter
@@ -91,15 +105,16 @@ export function getTextColor(hexColor) {
 /**
  * Get colors for a capability based on phase, size, and custom phase colors
  * @param phase - The capability's phase
- * @param size - The capability's size (XS, S, M, L, XL, XXL, XXXL, TBD)
+ * @param size - The capability's size (a size of the map's scheme, or TBD)
  * @param customPhaseColors - Map of phase name to hex color (optional)
+ * @param sizes - Size names of the map's scheme (optional, T-shirt sizes by default)
  */
-export function getCapabilityColors(phase, size, customPhaseColors = {}) {
+export function getCapabilityColors(phase, size, customPhaseColors = {}, sizes = DEFAULT_SIZES) {
     // Get base color for phase
     let baseColor = customPhaseColors[phase] || DEFAULT_PHASE_COLORS[phase] || '#9CA3AF';
     
     // Generate shades from base color
-    const shades = generateColorShades(baseColor);
+    const shades = generateColorShades(baseColor, sizes);
     
     // Get background color for this size
     const backgroundColor = shades[size] || shades['TBD'];
@@ -0,0 +1,138 @@
+/**
+ * ============================================================
+ * csvFormat.js
+ * ============================================================
+ * @description    CSV export and parsing for the capability map
+ *                 One row per capability with its category, the category's
+ *                 parent category (blank at the top level), size, phase,
+ *                 hours override, optimistic and pessimistic hours,
+ *                 description, color and one
+ *                 "Role: <name>" column per role holding the allocation
+ *                 percentage. The Id column lets an edited sheet update
+ *                 the same records when imported again; rows without an
+ *                 Id are matched by category and name, or created.
+ *                 Quoting follows RFC 4180.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.29.1
+ *
+ * CHANGELOG:
+ * v2.29.1  2026-10-18  Parent Category column
+ * v2.27.0  2026-10-18  Optimistic Hours and Pessimistic Hours columns
+ * v2.13.0  2026-10-18  Initial version
+ * ============================================================
+ */
+
+// Keep in sync with the column constants in CapabilityCsvService
+export const CSV_COLUMNS = [
+    'Id', 'Category', 'Parent Category', 'Name', 'Size', 'Phase', 'Hours Override', 'Optimistic Hours', 'Pessimistic Hours', 'Description', 'Color'
+];
+export const ROLE_COLUMN_PREFIX = 'Role: ';
+
+/**
+ * Build the CSV text for a map
+ * categories: [{ Id, Name, Parent_Category__c, capabilities: [...] }] in canvas order, every
+ * category of the map (parents are looked up among them)
+ */
+export function capabilitiesToCsv(categories, roles, roleAssignments) {
+    const allocations = new Map();
+    (roleAssignments || []).forEach(assignment => {
+        allocations.set(`${assignment.Capability__c}|${assignment.Capability_Role__c}`, assignment.Allocation_Percent__c);
+    });
+
+    const namesById = new Map(categories.map(category => [category.Id, category.Name]));
+    const header = [...CSV_COLUMNS, ...roles.map(role => ROLE_COLUMN_PREFIX + role.Name)];
+    const rows = [];
+    categories.forEach(category => {
+        category.capabilities.forEach(cap => {
+            rows.push([
+                cap.Id,
+                category.Name,
+                namesById.get(category.Parent_Category__c),
+                cap.Name,
+                cap.Size__c,
+                cap.Phase__c,
+                cap.Hours_Override__c,
+                cap.Optimistic_Hours__c,
+                cap.Pessimistic_Hours__c,
+                cap.Description__c,
+                cap.Color__c,
+                ...roles.map(role => allocations.get(`${cap.Id}|${role.Id}`))
+            ]);
+        });
+    });
+    return toCsv([header, ...rows]);
+}
+
+// Rows of cell values to CSV text (CRLF line endings, as spreadsheets expect)
+export function toCsv(rows) {
+    return rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into { columns, rows } where each row maps column name to cell text
+ * Blank lines are skipped. Throws on an unterminated quoted cell.
+ */
+export function parseCsv(text) {
+    const records = parseRecords((text || '').replace(/^\uFEFF/, ''));
+    const nonEmpty = records.filter(record => record.some(cell => cell.trim() !== ''));
+    if (nonEmpty.length === 0) {
+        return { columns: [], rows: [] };
+    }
+    const columns = nonEmpty[0].map(column => column.trim());
+    const rows = nonEmpty.slice(1).map(record => {
+        const row = {};
+        columns.forEach((column, index) => {
+            if (column) row[column] = record[index] !== undefined ? record[index] : '';
+        });
+        return row;
+    });
+    return { columns, rows };
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseRecords(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charAt(i);
+        if (inQuotes) {
+            if (ch === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                cell += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text.charAt(i + 1) === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('Unterminated quoted value');
+    }
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+    return records;
+}
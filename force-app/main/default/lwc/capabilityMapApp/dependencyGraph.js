@@ -0,0 +1,177 @@
+/**
+ * ============================================================
+ * dependencyGraph.js
+ * ============================================================
+ * @description    Dependencies between capabilities on the canvas
+ *                 A Capability_Dependency__c record says that
+ *                 Capability__c needs Depends_On__c (its prerequisite).
+ *                 This module checks them against the phase order,
+ *                 finds the prerequisites to pull along when a
+ *                 capability moves and draws the connectors. Tile
+ *                 positions are computed from BOARD_LAYOUT, so connectors
+ *                 also reach tiles that windowing did not render.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.29.1
+ *
+ * CHANGELOG:
+ * v2.29.1  2026-10-18  Phase order is the map's phase order (phaseRanks), not the number in the name
+ * v2.17.0  2026-10-18  Initial version
+ * ============================================================
+ */
+import { BOARD_LAYOUT } from './boardModel';
+
+const ARROW_SIZE = 6;
+const BEND = 28; // Minimum horizontal reach of a connector's curve (also the swing beside one column)
+
+/**
+ * Position of each phase in the delivery order: phase name -> index in the map's
+ * phases (PhaseService.getPhases order). Blank phases and phases the map does not
+ * define have no position and are never checked.
+ */
+export function phaseRanks(phases) {
+    return new Map((phases || []).map((phase, index) => [phase.Name, index]));
+}
+
+// { prerequisitesOf, dependentsOf }: capability Id -> dependency records
+export function indexDependencies(dependencies) {
+    const prerequisitesOf = new Map();
+    const dependentsOf = new Map();
+    const add = (index, key, dependency) => {
+        const list = index.get(key);
+        if (list) {
+            list.push(dependency);
+        } else {
+            index.set(key, [dependency]);
+        }
+    };
+    dependencies.forEach(dependency => {
+        add(prerequisitesOf, dependency.Capability__c, dependency);
+        add(dependentsOf, dependency.Depends_On__c, dependency);
+    });
+    return { prerequisitesOf, dependentsOf };
+}
+
+/**
+ * Dependencies that break the phase order: a capability scheduled in an earlier
+ * phase than one of its prerequisites
+ * ranks: phaseRanks of the map's phases
+ * Returns { warnings: Map capability Id -> message, violationIds: Set of dependency Ids }.
+ */
+export function phaseConflicts(dependencies, capabilitiesById, ranks) {
+    const messages = new Map();
+    const violationIds = new Set();
+    dependencies.forEach(dependency => {
+        const capability = capabilitiesById.get(dependency.Capability__c);
+        const prerequisite = capabilitiesById.get(dependency.Depends_On__c);
+        if (!capability || !prerequisite) return;
+        const rank = ranks.get(capability.Phase__c);
+        const prerequisiteRank = ranks.get(prerequisite.Phase__c);
+        if (rank === undefined || prerequisiteRank === undefined || rank >= prerequisiteRank) return;
+
+        violationIds.add(dependency.Id);
+        const list = messages.get(capability.Id) || [];
+        list.push(`"${prerequisite.Name}" (${prerequisite.Phase__c})`);
+        messages.set(capability.Id, list);
+    });
+
+    const warnings = new Map();
+    messages.forEach((list, capabilityId) => {
+        const capability = capabilitiesById.get(capabilityId);
+        warnings.set(capabilityId, `Scheduled in ${capability.Phase__c} but depends on ${list.join(', ')}`);
+    });
+    return { warnings, violationIds };
+}
+
+/**
+ * Every direct and indirect prerequisite of the given capabilities, nearest first,
+ * without the capabilities themselves
+ */
+export function transitivePrerequisites(index, capabilityIds) {
+    const start = new Set(capabilityIds);
+    const seen = new Set(start);
+    const result = [];
+    const queue = [...capabilityIds];
+    while (queue.length > 0) {
+        const id = queue.shift();
+        (index.prerequisitesOf.get(id) || []).forEach(dependency => {
+            const prerequisiteId = dependency.Depends_On__c;
+            if (!seen.has(prerequisiteId)) {
+                seen.add(prerequisiteId);
+                result.push(prerequisiteId);
+                queue.push(prerequisiteId);
+            }
+        });
+    }
+    return result;
+}
+
+// Capability Id -> { x, y, width, height } of its tile in unscaled board coordinates
+export function tilePositions(columns) {
+    const { columnWidth, columnGap, headerHeight, tileHeight, rowGap } = BOARD_LAYOUT;
+    const positions = new Map();
+    columns.forEach((column, columnIndex) => {
+        const x = columnIndex * (columnWidth + columnGap);
+        column.capabilities.forEach((cap, row) => {
+            positions.set(cap.Id, {
+                x,
+                y: headerHeight + rowGap + row * (tileHeight + rowGap),
+                width: columnWidth,
+                height: tileHeight
+            });
+        });
+    });
+    return positions;
+}
+
+/**
+ * SVG paths for the connectors between visible tiles, from prerequisite to dependent
+ * Each connector is a cubic curve plus a filled arrowhead at the dependent; the
+ * arrowhead is a path of its own because marker ids do not survive LWC's id scoping.
+ * Returns [{ id, path, arrow, className }].
+ */
+export function connectorPaths(dependencies, positions, violationIds) {
+    const connectors = [];
+    dependencies.forEach(dependency => {
+        const from = positions.get(dependency.Depends_On__c);
+        const to = positions.get(dependency.Capability__c);
+        if (!from || !to) return;
+
+        const fromY = from.y + from.height / 2;
+        const toY = to.y + to.height / 2;
+        let startX, endX, startBend, endBend, direction;
+        if (from.x === to.x) {
+            // Same column: leave and enter on the right, swinging out beside the column
+            startX = from.x + from.width;
+            endX = to.x + to.width;
+            startBend = startX + BEND;
+            endBend = endX + BEND;
+            direction = -1;
+        } else if (from.x < to.x) {
+            startX = from.x + from.width;
+            endX = to.x;
+            const bend = Math.max(BEND, (endX - startX) / 2);
+            startBend = startX + bend;
+            endBend = endX - bend;
+            direction = 1;
+        } else {
+            startX = from.x;
+            endX = to.x + to.width;
+            const bend = Math.max(BEND, (startX - endX) / 2);
+            startBend = startX - bend;
+            endBend = endX + bend;
+            direction = -1;
+        }
+
+        const tipX = endX;
+        const baseX = tipX - direction * ARROW_SIZE;
+        const isViolation = violationIds.has(dependency.Id);
+        connectors.push({
+            id: dependency.Id,
+            path: `M ${startX} ${fromY} C ${startBend} ${fromY}, ${endBend} ${toY}, ${baseX} ${toY}`,
+            arrow: `M ${tipX} ${toY} L ${baseX} ${toY - ARROW_SIZE / 2} L ${baseX} ${toY + ARROW_SIZE / 2} Z`,
+            className: isViolation ? 'dependency-connector violation' : 'dependency-connector'
+        });
+    });
+    return connectors;
+}
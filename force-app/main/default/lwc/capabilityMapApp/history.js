@@ -0,0 +1,227 @@
+/**
+ * ============================================================
+ * history.js
+ * ============================================================
+ * @description    Server-backed undo/redo stack
+ *                 Each entry records the Apex operation that was performed
+ *                 and its inverse, so undo/redo revert the database and not
+ *                 just the in-memory arrays
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.29.1
+ *
+ * CHANGELOG:
+ * v2.29.1  2026-10-18  Aliases apply to Id and lookup parameters only; forget() drops
+ *                      the entries of records changed outside the history
+ * v2.29.0  2026-10-18  Priority is recorded
+ * v2.28.0  2026-10-18  Confidence and complexity factors are recorded
+ * v2.27.0  2026-10-18  Optimistic and pessimistic hours are recorded
+ * v2.15.0  2026-10-18  diffCapabilities skips records shared by both snapshots
+ * v2.6.0  2026-10-18  Initial version (replaces local array snapshots)
+ * ============================================================
+ */
+
+export const HISTORY_LIMIT = 50;
+
+// Capability fields that history entries may record and replay
+export const HISTORY_FIELDS = [
+    'Name',
+    'Size__c',
+    'Phase__c',
+    'Color__c',
+    'Hours_Override__c',
+    'Optimistic_Hours__c',
+    'Pessimistic_Hours__c',
+    'Confidence_Factor__c',
+    'Complexity_Factor__c',
+    'Priority__c',
+    'Description__c',
+    'Capability_Category__c',
+    'Sort_Order__c'
+];
+
+// Operation parameters that hold record Ids (or lists of them); other strings are field values
+const ID_KEYS = new Set([
+    'Id',
+    'ids',
+    'categoryId',
+    'parentId',
+    'prerequisites',
+    'dependents',
+    'Capability__c',
+    'Capability_Category__c',
+    'Capability_Role__c'
+]);
+
+/**
+ * Undo/redo stack
+ * Entry shape: { label, redo: { op, params }, undo: { op, params } }
+ * Deleting and restoring a capability gives it a new Id, so the stack keeps
+ * an alias map (original Id -> current Id) that is applied to the parameters
+ * of every operation before it runs.
+ */
+export class HistoryStack {
+    constructor(limit = HISTORY_LIMIT) {
+        this.limit = limit;
+        this.entries = [];
+        this.index = -1; // Last applied entry
+        this.aliases = new Map();
+    }
+
+    get canUndo() {
+        return this.index >= 0;
+    }
+
+    get canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    push(entry) {
+        // A new action discards the redo branch
+        this.entries = this.entries.slice(0, this.index + 1);
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+    }
+
+    // Entry to revert next (does not move the pointer)
+    peekUndo() {
+        return this.canUndo ? this.entries[this.index] : null;
+    }
+
+    // Entry to re-apply next (does not move the pointer)
+    peekRedo() {
+        return this.canRedo ? this.entries[this.index + 1] : null;
+    }
+
+    commitUndo() {
+        this.index--;
+    }
+
+    commitRedo() {
+        this.index++;
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = -1;
+        this.aliases = new Map();
+    }
+
+    // Record Ids handed out by restoreCapabilities (original Id -> new Id)
+    registerAliases(idMap) {
+        Object.entries(idMap || {}).forEach(([oldId, newId]) => {
+            this.aliases.set(oldId, newId);
+        });
+    }
+
+    resolveId(id) {
+        let current = id;
+        const seen = new Set();
+        while (this.aliases.has(current) && !seen.has(current)) {
+            seen.add(current);
+            current = this.aliases.get(current);
+        }
+        return current;
+    }
+
+    // Deep-copy operation parameters, replacing aliased Ids under the ID_KEYS
+    // key is the parameter the value belongs to (list items inherit it)
+    resolve(value, key = null) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.resolve(item, key));
+        }
+        if (value && typeof value === 'object') {
+            const copy = {};
+            Object.keys(value).forEach(field => {
+                copy[field] = this.resolve(value[field], field);
+            });
+            return copy;
+        }
+        if (typeof value === 'string' && ID_KEYS.has(key)) {
+            return this.resolveId(value);
+        }
+        return value;
+    }
+
+    // Current Ids of the records that an entry's operations touch
+    recordIds(entry) {
+        const ids = [];
+        const collect = (value, key) => {
+            if (Array.isArray(value)) {
+                value.forEach(item => collect(item, key));
+            } else if (value && typeof value === 'object') {
+                Object.keys(value).forEach(field => collect(value[field], field));
+            } else if (typeof value === 'string' && ID_KEYS.has(key)) {
+                ids.push(this.resolveId(value));
+            }
+        };
+        collect(entry.redo.params, null);
+        collect(entry.undo.params, null);
+        return ids;
+    }
+
+    /**
+     * Drop the entries that touch any of the given records, keeping the rest in order
+     * For changes made outside the history (imports, category edits): replaying an
+     * entry over such a record would fail or overwrite the change.
+     * Returns the number of entries dropped.
+     */
+    forget(ids) {
+        const gone = new Set(ids);
+        if (gone.size === 0) return 0;
+        const kept = [];
+        let index = -1;
+        this.entries.forEach((entry, position) => {
+            if (this.recordIds(entry).some(id => gone.has(id))) return;
+            kept.push(entry);
+            if (position <= this.index) {
+                index = kept.length - 1;
+            }
+        });
+        const dropped = this.entries.length - kept.length;
+        this.entries = kept;
+        this.index = index;
+        return dropped;
+    }
+}
+
+/**
+ * Build the per-record change lists for an update entry.
+ * Returns { before, after } where each is [{ Id, field: value }]
+ * containing only the fields that actually changed.
+ * Edits replace only the records they change, so a record object found
+ * in both arrays is unchanged and is not compared field by field.
+ */
+export function diffCapabilities(beforeRecords, afterRecords, fields = HISTORY_FIELDS) {
+    const afterById = new Map(afterRecords.map(rec => [rec.Id, rec]));
+    const before = [];
+    const after = [];
+
+    beforeRecords.forEach(oldRec => {
+        const newRec = afterById.get(oldRec.Id);
+        if (!newRec || newRec === oldRec) return;
+
+        const oldValues = { Id: oldRec.Id };
+        const newValues = { Id: oldRec.Id };
+        let changed = false;
+        fields.forEach(field => {
+            const oldValue = oldRec[field] ?? null;
+            const newValue = newRec[field] ?? null;
+            if (oldValue !== newValue) {
+                oldValues[field] = oldValue;
+                newValues[field] = newValue;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            before.push(oldValues);
+            after.push(newValues);
+        }
+    });
+
+    return { before, after };
+}
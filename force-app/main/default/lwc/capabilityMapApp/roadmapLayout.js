@@ -0,0 +1,194 @@
+/**
+ * ============================================================
+ * roadmapLayout.js
+ * ============================================================
+ * @description    Timeline ("roadmap") of the map's phases
+ *                 Phases are bands over time, in the map's phase order.
+ *                 A phase with dates covers them; a phase without dates
+ *                 follows the previous one and lasts as long as its work.
+ *                 Inside a phase, capabilities are grouped by category or
+ *                 by role and follow each other in canvas order. A bar lasts
+ *                 the capability's hours divided by the weekly capacity of
+ *                 its assigned roles (roles work on their share in parallel;
+ *                 unassigned work counts as one person). Positions are in
+ *                 weeks from the start of the first phase.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.29.1
+ *
+ * CHANGELOG:
+ * v2.29.1  2026-10-18  A role's weekly hours come from c/capacityModel (DEFAULT_WEEKLY_HOURS)
+ * v2.24.0  2026-10-18  Initial version
+ * ============================================================
+ */
+import { parseDate, formatPhaseDates } from 'c/phasePlan';
+import { DEFAULT_WEEKLY_HOURS } from 'c/capacityModel';
+
+export const GROUP_BY_CATEGORY = 'category';
+export const GROUP_BY_ROLE = 'role';
+export const WEEK_WIDTH = 48; // px per week on screen and in exports
+export const MIN_BAR_WEEKS = 0.2; // Unsized work still shows as a sliver
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNASSIGNED = 'Unassigned';
+const NO_PHASE_COLOR = '#9CA3AF';
+
+// Weeks between two dates (may be fractional or negative)
+function weeksBetween(from, to) {
+    return Math.round((to - from) / DAY_MS) / 7;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Per capability: the hours of each assigned role, [{ roleId, hours }]
+ * Allocation_Percent__c is the role's share of the capability's hours.
+ */
+function sharesByCapability(capabilities, roleAssignments) {
+    const byCapability = new Map();
+    (roleAssignments || []).forEach(assignment => {
+        const list = byCapability.get(assignment.Capability__c) || [];
+        list.push(assignment);
+        byCapability.set(assignment.Capability__c, list);
+    });
+    const result = new Map();
+    capabilities.forEach(cap => {
+        const hours = cap.Calculated_Hours__c || 0;
+        const assignments = (byCapability.get(cap.Id) || []).filter(a => (a.Allocation_Percent__c || 0) > 0);
+        result.set(cap.Id, assignments.length > 0
+            ? assignments.map(a => ({ roleId: a.Capability_Role__c, hours: hours * a.Allocation_Percent__c / 100 }))
+            : [{ roleId: null, hours }]);
+    });
+    return result;
+}
+
+// Weeks a share of work takes: its hours over the role's weekly capacity
+export function shareWeeks(hours) {
+    return Math.max(hours / DEFAULT_WEEKLY_HOURS, MIN_BAR_WEEKS);
+}
+
+/**
+ * Lay out the roadmap
+ * phases: the map's phases in order (PhaseService.getPhases)
+ * capabilities: the capabilities to show, in canvas order
+ * options: { groupBy, categories, roles, roleAssignments }
+ * Returns { start (Date or null), weeks, bands: [{ name, color, dates, startWeek, endWeek, hours,
+ *   overrun, groups: [{ key, label, rows: [{ id, name, hours, startWeek, weeks, color }] }] }] }
+ */
+export function buildRoadmap(phases, capabilities, options = {}) {
+    const groupBy = options.groupBy === GROUP_BY_ROLE ? GROUP_BY_ROLE : GROUP_BY_CATEGORY;
+    const categoryNames = new Map((options.categories || []).map(cat => [cat.Id, cat.Name]));
+    const categoryOrder = new Map((options.categories || []).map((cat, index) => [cat.Id, index]));
+    const roles = new Map((options.roles || []).map(role => [role.Id, role]));
+    const roleOrder = new Map((options.roles || []).map((role, index) => [role.Id, index]));
+    const shares = sharesByCapability(capabilities, options.roleAssignments);
+
+    // Bands: the map's phases, then phases capabilities use that the map does not define
+    const definitions = [...(phases || [])];
+    capabilities.forEach(cap => {
+        if (cap.Phase__c && !definitions.some(phase => phase.Name === cap.Phase__c)) {
+            definitions.push({ Name: cap.Phase__c, Color__c: NO_PHASE_COLOR });
+        }
+    });
+    const starts = definitions.map(phase => parseDate(phase.Start_Date__c)).filter(Boolean);
+    const start = starts.length > 0 ? new Date(Math.min(...starts)) : null;
+
+    let cursor = 0;
+    const bands = definitions.map(phase => {
+        const groups = new Map();
+        const addRow = (key, label, order, row) => {
+            const group = groups.get(key) || { key, label, order, rows: [], weeks: 0 };
+            group.rows.push({ ...row, startWeek: group.weeks });
+            group.weeks += row.weeks;
+            groups.set(key, group);
+        };
+        capabilities.filter(cap => cap.Phase__c === phase.Name).forEach(cap => {
+            const capShares = shares.get(cap.Id);
+            if (groupBy === GROUP_BY_ROLE) {
+                capShares.forEach(share => {
+                    const role = roles.get(share.roleId);
+                    addRow(share.roleId || UNASSIGNED, role ? role.Name : UNASSIGNED,
+                        role ? roleOrder.get(share.roleId) : Number.MAX_SAFE_INTEGER, {
+                            id: cap.Id,
+                            name: cap.Name,
+                            hours: round(share.hours),
+                            weeks: shareWeeks(share.hours),
+                            color: role?.Color__c || phase.Color__c || NO_PHASE_COLOR
+                        });
+                });
+            } else {
+                addRow(cap.Capability_Category__c, categoryNames.get(cap.Capability_Category__c) || '',
+                    categoryOrder.get(cap.Capability_Category__c) ?? Number.MAX_SAFE_INTEGER, {
+                        id: cap.Id,
+                        name: cap.Name,
+                        hours: cap.Calculated_Hours__c || 0,
+                        // Parallel roles: the longest share decides
+                        weeks: Math.max(...capShares.map(share => shareWeeks(share.hours))),
+                        color: phase.Color__c || NO_PHASE_COLOR
+                    });
+            }
+        });
+        const sortedGroups = [...groups.values()].sort((a, b) => a.order - b.order);
+        const workWeeks = Math.max(0, ...sortedGroups.map(group => group.weeks));
+
+        // Dated phases sit on their dates; others follow the previous phase
+        const phaseStart = parseDate(phase.Start_Date__c);
+        const phaseEnd = parseDate(phase.End_Date__c);
+        const startWeek = phaseStart && start ? weeksBetween(start, phaseStart) : cursor;
+        let endWeek;
+        if (phaseEnd && start) {
+            endWeek = weeksBetween(start, phaseEnd) + 1 / 7; // The end date is the phase's last day
+        } else {
+            endWeek = startWeek + Math.max(workWeeks, 1);
+        }
+        const dueWeeks = endWeek - startWeek;
+        cursor = Math.max(cursor, endWeek);
+
+        return {
+            name: phase.Name,
+            color: phase.Color__c || NO_PHASE_COLOR,
+            dates: formatPhaseDates(phase),
+            startWeek: round(startWeek),
+            endWeek: round(endWeek),
+            hours: round(capabilities.filter(cap => cap.Phase__c === phase.Name)
+                .reduce((sum, cap) => sum + (cap.Calculated_Hours__c || 0), 0)),
+            // Work that does not fit between the phase's dates
+            overrun: !!phaseEnd && workWeeks > dueWeeks + 0.001,
+            groups: sortedGroups.map(({ key, label, rows }) => ({
+                key,
+                label,
+                rows: rows.map(row => ({
+                    ...row,
+                    startWeek: round(startWeek + row.startWeek),
+                    weeks: round(row.weeks),
+                    late: !!phaseEnd && startWeek + row.startWeek + row.weeks > endWeek + 0.001
+                }))
+            }))
+        };
+    });
+
+    const weeks = Math.ceil(Math.max(1, ...bands.map(band => band.endWeek),
+        ...bands.flatMap(band => band.groups.flatMap(group => group.rows.map(row => row.startWeek + row.weeks)))));
+    return { start, weeks, bands };
+}
+
+/**
+ * Labels of the time axis, [{ week, label }]
+ * Dated roadmaps show the date each week starts; others count weeks.
+ * Long roadmaps label every few weeks so the labels do not overlap.
+ */
+export function timeTicks(roadmap, maxTicks = 26) {
+    const step = Math.max(1, Math.ceil(roadmap.weeks / maxTicks));
+    const ticks = [];
+    for (let week = 0; week <= roadmap.weeks; week += step) {
+        let label = `W${week + 1}`;
+        if (roadmap.start) {
+            const date = new Date(roadmap.start.getTime() + week * 7 * DAY_MS);
+            label = date.toLocaleDateString(undefined, { day: 'numeric', month: 'short' });
+        }
+        ticks.push({ week, label });
+    }
+    return ticks;
+}
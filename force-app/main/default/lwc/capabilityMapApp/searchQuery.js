@@ -0,0 +1,220 @@
+/**
+ * ============================================================
+ * searchQuery.js
+ * ============================================================
+ * @description    Search query language for the capability canvas
+ *                 Parses queries such as
+ *                   size:L,XL phase:"Phase 2" role:Architect hours>40 -tbd
+ *                 into terms that are matched against capabilities.
+ *                 All terms must match; comma-separated values within a
+ *                 term are alternatives; a leading "-" negates a term.
+ *                 Plain words match name, description, size, phase and
+ *                 assigned role names.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.10.0
+ *
+ * CHANGELOG:
+ * v2.10.0  2026-10-18  Initial version
+ * ============================================================
+ */
+
+const FIELD_ALIASES = {
+    description: 'desc',
+    cat: 'category',
+    roles: 'role'
+};
+
+const COMPARISONS = {
+    ':': (a, b) => a === b,
+    '=': (a, b) => a === b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+// field -> (capability, lower-case value, context) => boolean
+const FIELD_MATCHERS = {
+    size: (cap, value) => (cap.Size__c || '').toLowerCase() === value,
+    phase: (cap, value) => matchesPhase(cap.Phase__c, value),
+    role: (cap, value, context) => context.roleNamesOf(cap).some(name => name.includes(value)),
+    desc: (cap, value) => (cap.Description__c || '').toLowerCase().includes(value),
+    category: (cap, value, context) => context.categoryNameOf(cap).includes(value),
+    name: (cap, value) => (cap.Name || '').toLowerCase().includes(value)
+};
+
+export const QUERY_FIELDS = [...Object.keys(FIELD_MATCHERS), 'hours'];
+
+export const QUERY_HELP = 'Search name, description and roles. Filters: size:L,XL phase:2 role:Architect '
+    + 'hours>40 desc:text category:text name:text. Prefix "-" to exclude, quote values with spaces.';
+
+/**
+ * Parse a query string
+ * Returns { text, terms, errors } where each term is
+ * { raw, start, end, negate, field, op, values, error }.
+ * field is 'text' for plain words. Terms with an error are not matched.
+ * sizes (optional) lists the valid size values.
+ */
+export function parseQuery(text, { sizes } = {}) {
+    const terms = tokenize(text || '').map(token => parseTerm(token, sizes));
+    return {
+        text: text || '',
+        terms,
+        errors: terms.filter(term => term.error)
+    };
+}
+
+/**
+ * Does a capability match every valid term?
+ * context: { roleNamesOf(cap) -> [lower-case names], categoryNameOf(cap) -> lower-case name, hoursOf(cap) -> number }
+ */
+export function matchesQuery(cap, query, context) {
+    return query.terms.every(term => {
+        if (term.error) return true;
+        const matched = matchesTerm(cap, term, context);
+        return term.negate ? !matched : matched;
+    });
+}
+
+// Values of the valid, non-negated terms for one field (as typed, lower-case)
+export function queryValues(query, field) {
+    return query.terms
+        .filter(term => !term.error && !term.negate && term.field === field)
+        .flatMap(term => term.values);
+}
+
+/**
+ * Remove a value from the non-negated terms of a field and return the new query text
+ * Terms left without values are removed.
+ */
+export function removeQueryValue(query, field, isValue) {
+    let text = query.text;
+    // Right to left, so earlier positions stay valid
+    [...query.terms].reverse().forEach(term => {
+        if (term.error || term.negate || term.field !== field || !term.values.some(isValue)) return;
+        const remaining = term.originalValues.filter(value => !isValue(value.toLowerCase()));
+        const replacement = remaining.length > 0 ? `${term.fieldText}${term.op}${remaining.map(quote).join(',')}` : '';
+        text = text.slice(0, term.start) + replacement + text.slice(term.end);
+    });
+    return text.replace(/\s{2,}/g, ' ').trim();
+}
+
+// Phase values may be "Phase 2", "phase 2" or just "2"
+export function matchesPhase(phase, value) {
+    const current = (phase || '').toLowerCase();
+    return current === value || current === `phase ${value}`;
+}
+
+// Split on whitespace outside double quotes, keeping positions
+function tokenize(text) {
+    const tokens = [];
+    let start = -1;
+    let inQuotes = false;
+    for (let i = 0; i <= text.length; i++) {
+        const ch = text.charAt(i);
+        const atEnd = i === text.length;
+        if (start === -1) {
+            if (!atEnd && !/\s/.test(ch)) {
+                start = i;
+                inQuotes = ch === '"';
+            }
+        } else if (atEnd || (!inQuotes && /\s/.test(ch))) {
+            tokens.push({ raw: text.slice(start, i), start, end: i, unterminated: inQuotes });
+            start = -1;
+        } else if (ch === '"') {
+            inQuotes = !inQuotes;
+        }
+    }
+    return tokens;
+}
+
+function parseTerm(token, sizes) {
+    const term = { ...token, negate: false, field: 'text', fieldText: '', op: ':', values: [], originalValues: [], error: null };
+    let body = token.raw;
+    if (body.length > 1 && body.charAt(0) === '-') {
+        term.negate = true;
+        body = body.slice(1);
+    }
+    if (token.unterminated) {
+        term.error = 'Missing closing quote';
+        return term;
+    }
+
+    const qualified = /^([a-z]+)(>=|<=|:|=|>|<)(.*)$/i.exec(body);
+    if (!qualified) {
+        term.originalValues = [unquote(body)];
+        term.values = term.originalValues.map(value => value.toLowerCase());
+        return term;
+    }
+
+    const [, fieldText, op, valueText] = qualified;
+    const field = FIELD_ALIASES[fieldText.toLowerCase()] || fieldText.toLowerCase();
+    term.field = field;
+    term.fieldText = fieldText;
+    term.op = op;
+    term.originalValues = splitValues(valueText);
+    term.values = term.originalValues.map(value => value.toLowerCase());
+
+    if (!QUERY_FIELDS.includes(field)) {
+        term.error = `Unknown field "${fieldText}" (use ${QUERY_FIELDS.join(', ')})`;
+    } else if (term.values.length === 0 || term.values.some(value => value === '')) {
+        term.error = `No value for ${fieldText}`;
+    } else if (field === 'hours') {
+        if (term.values.length > 1 || Number.isNaN(Number(term.values[0]))) {
+            term.error = 'hours needs one number, e.g. hours>40';
+        }
+    } else if (op !== ':' && op !== '=') {
+        term.error = `Only hours can be compared with ${op}`;
+    } else if (field === 'size' && sizes) {
+        const known = sizes.map(size => size.toLowerCase());
+        const unknown = term.originalValues.filter(value => !known.includes(value.toLowerCase()));
+        if (unknown.length > 0) {
+            term.error = `Unknown size ${unknown.join(', ')} (use ${sizes.join(', ')})`;
+        }
+    }
+    return term;
+}
+
+function matchesTerm(cap, term, context) {
+    if (term.field === 'hours') {
+        return COMPARISONS[term.op](context.hoursOf(cap), Number(term.values[0]));
+    }
+    if (term.field === 'text') {
+        const value = term.values[0];
+        return FIELD_MATCHERS.name(cap, value)
+            || FIELD_MATCHERS.desc(cap, value)
+            || FIELD_MATCHERS.size(cap, value)
+            || matchesPhase(cap.Phase__c, value)
+            || FIELD_MATCHERS.role(cap, value, context);
+    }
+    const matcher = FIELD_MATCHERS[term.field];
+    return term.values.some(value => matcher(cap, value, context));
+}
+
+// Comma-separated values; commas inside quotes are kept
+function splitValues(text) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+    for (const ch of text) {
+        if (ch === '"') {
+            inQuotes = !inQuotes;
+        } else if (ch === ',' && !inQuotes) {
+            values.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    values.push(current.trim());
+    return text === '' ? [] : values;
+}
+
+function unquote(text) {
+    return text.replace(/^"(.*)"$/, '$1');
+}
+
+function quote(value) {
+    return /[\s,]/.test(value) ? `"${value}"` : value;
+}
@@ -4,7 +4,10 @@
  * 
  * @author         Cobra CRM B.V.
  * @date           2024-12-15
- * @version        2.3.0
+ * @version        2.16.0
+ * 
+ * CHANGELOG:
+ * 2026-10-18 - v2.16.0 - Preview indents subcategories by depth
  */
 import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
@@ -88,16 +91,26 @@ export default class CapabilityMapTemplateModal extends LightningElement {
             return [];
         }
         
+        // Categories come depth-first, so a parent's depth is known before its children;
+        // templates that were not migrated yet only carry the Is_Subcategory__c flag
+        const depthById = new Map();
         return this.selectedTemplateData.categories.map(cat => {
             const items = cat.items || [];
             const displayItems = items.slice(0, 4);
             const hasMore = items.length > 4;
+            let depth = cat.Is_Subcategory__c ? 1 : 0;
+            if (cat.Parent_Category__c && depthById.has(cat.Parent_Category__c)) {
+                depth = depthById.get(cat.Parent_Category__c) + 1;
+            }
+            depthById.set(cat.Id, depth);
             
             return {
                 ...cat,
                 items: displayItems,
                 hasMore,
-                moreCount: items.length - 4
+                moreCount: items.length - 4,
+                isNested: depth > 0,
+                indentStyle: `padding-left: ${depth * 12}px;`
             };
         });
     }
@@ -0,0 +1,80 @@
+import { buildCapacityPlan, roleCapacity, formatCapacity, phaseWeeks, priorityOf } from 'c/capacityModel';
+
+// Phase 1 has dates (two weeks), the later phases do not
+const phases = [
+    { Name: 'Phase 1', Start_Date__c: '2027-01-04', End_Date__c: '2027-01-17' },
+    { Name: 'Phase 2' },
+    { Name: 'Phase 3' }
+];
+const developer = { Id: 'r01', Name: 'Developer', Headcount__c: 1, Weekly_Hours__c: 40, Phase_Hours__c: 100 };
+
+// Phase 1 holds 130h of development against 80h; Phase 2 holds 90h against 100h
+const capabilities = [
+    { Id: 'a01', Name: 'Checkout', Phase__c: 'Phase 1', Calculated_Hours__c: 60, Priority__c: 'High' },
+    { Id: 'a02', Name: 'Wishlist', Phase__c: 'Phase 1', Calculated_Hours__c: 40, Priority__c: 'Low' },
+    { Id: 'a03', Name: 'Search', Phase__c: 'Phase 1', Calculated_Hours__c: 30 },
+    { Id: 'a04', Name: 'Payments', Phase__c: 'Phase 2', Calculated_Hours__c: 80 },
+    { Id: 'a05', Name: 'Search filters', Phase__c: 'Phase 2', Calculated_Hours__c: 10 }
+];
+const roleAssignments = capabilities.map(cap => ({
+    Capability__c: cap.Id, Capability_Role__c: 'r01', Allocation_Percent__c: 100
+}));
+
+function plan(dependencies) {
+    return buildCapacityPlan(phases, capabilities, { roles: [developer], roleAssignments, dependencies });
+}
+
+describe('role capacity', () => {
+    it('uses hours per week in dated phases and hours per phase otherwise', () => {
+        expect(phaseWeeks(phases[0])).toBe(2);
+        expect(phaseWeeks(phases[1])).toBeNull();
+        expect(roleCapacity(developer, phases[0])).toBe(80);
+        expect(roleCapacity(developer, phases[1])).toBe(100);
+        expect(roleCapacity({ Headcount__c: 2 }, phases[0])).toBe(160);
+        expect(roleCapacity({ Headcount__c: 2 }, phases[1])).toBeNull();
+        expect(roleCapacity({ Headcount__c: 2, Phase_Hours__c: 60 }, phases[0])).toBe(120);
+        expect(roleCapacity({ Weekly_Hours__c: 32 }, phases[0])).toBeNull();
+    });
+
+    it('describes the capacity of a role', () => {
+        expect(formatCapacity(developer)).toBe('1 person × 40h/week, 100h/phase');
+        expect(formatCapacity({ Headcount__c: 2 })).toBe('2 people × 40h/week');
+        expect(formatCapacity({})).toBe('');
+    });
+
+    it('treats a blank priority as Medium', () => {
+        expect(priorityOf({ Priority__c: null })).toBe('Medium');
+    });
+});
+
+describe('buildCapacityPlan', () => {
+    it('flags overallocated phases', () => {
+        const { phases: rows, overallocatedCount, planned } = plan([]);
+
+        expect(planned).toBe(true);
+        expect(overallocatedCount).toBe(1);
+        expect(rows.map(row => [row.name, row.hours, row.overBy, row.overallocated])).toEqual([
+            ['Phase 1', 130, 50, true],
+            ['Phase 2', 90, 0, false],
+            ['Phase 3', 0, 0, false]
+        ]);
+        expect(rows[0].roles[0]).toMatchObject({ allocated: 130, capacity: 80, percent: 163, perWeek: 65, over: true });
+    });
+
+    it('suggests moving low-priority capabilities to the first later phase with room', () => {
+        const moves = plan([]).suggestions.map(move => [move.name, move.from, move.to]);
+
+        // Wishlist does not fit Phase 2; Search then fits in Phase 3 next to it; Checkout is high priority
+        expect(moves).toEqual([
+            ['Wishlist', 'Phase 1', 'Phase 3'],
+            ['Search', 'Phase 1', 'Phase 3']
+        ]);
+    });
+
+    it('does not move a capability past the capabilities that depend on it', () => {
+        // Search filters (Phase 2) need Search, which therefore cannot go to Phase 3
+        const moves = plan([{ Capability__c: 'a05', Depends_On__c: 'a03' }]).suggestions.map(move => move.name);
+
+        expect(moves).toEqual(['Wishlist']);
+    });
+});
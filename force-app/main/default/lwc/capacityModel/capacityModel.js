@@ -0,0 +1,258 @@
+/**
+ * ============================================================
+ * capacityModel.js
+ * ============================================================
+ * @description    Role capacity per phase
+ *                 Shared by the capacityPlanner view and the app's phase
+ *                 legend, so both flag the same phases.
+ *
+ *                 A role's capacity in a phase is its Headcount__c times the
+ *                 hours each person has there: Weekly_Hours__c (blank is 40)
+ *                 times the phase's weeks when the phase has a start and an
+ *                 end date, otherwise Phase_Hours__c. Roles without a
+ *                 headcount are not planned, nor are undated phases of roles
+ *                 without hours per phase. Allocated hours are the
+ *                 capabilities' hours split by Allocation_Percent__c, as in
+ *                 estimationModel; work without a role has no capacity to
+ *                 compare with.
+ *
+ *                 Overallocated phases get suggestions: capabilities to move
+ *                 to the next later phase with room for them, lowest
+ *                 Priority__c first. High-priority capabilities stay, and so
+ *                 do capabilities that would end up after one that depends
+ *                 on them.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.29.1
+ *
+ * CHANGELOG:
+ * v2.29.1  2026-10-18  Phase dates are parsed by c/phasePlan
+ * v2.29.0  2026-10-18  Initial version
+ * ============================================================
+ */
+import { capabilityHours } from 'c/estimationModel';
+import { parseDate } from 'c/phasePlan';
+
+export const DEFAULT_WEEKLY_HOURS = 40;
+export const PRIORITIES = ['High', 'Medium', 'Low'];
+const DEFAULT_PRIORITY = 'Medium';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NO_COLOR = '#9CA3AF';
+const EPSILON = 0.001;
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// Weeks of a phase with a start and an end date (the end date is its last day), or null
+export function phaseWeeks(phase) {
+    const start = parseDate(phase?.Start_Date__c);
+    const end = parseDate(phase?.End_Date__c);
+    if (!start || !end || end < start) return null;
+    return (Math.round((end - start) / DAY_MS) + 1) / 7;
+}
+
+// Priority__c of a capability; blank is Medium
+export function priorityOf(cap) {
+    return PRIORITIES.includes(cap.Priority__c) ? cap.Priority__c : DEFAULT_PRIORITY;
+}
+
+function priorityRank(cap) {
+    return PRIORITIES.indexOf(priorityOf(cap));
+}
+
+/**
+ * Hours a role can work in a phase, or null when its capacity is not planned there
+ * Dated phases use the hours per week, unless only hours per phase are set.
+ */
+export function roleCapacity(role, phase) {
+    if (isBlank(role.Headcount__c)) return null;
+    const headcount = Number(role.Headcount__c);
+    const weeks = phaseWeeks(phase);
+    if (weeks !== null && (!isBlank(role.Weekly_Hours__c) || isBlank(role.Phase_Hours__c))) {
+        const weekly = isBlank(role.Weekly_Hours__c) ? DEFAULT_WEEKLY_HOURS : Number(role.Weekly_Hours__c);
+        return round(headcount * weekly * weeks);
+    }
+    return isBlank(role.Phase_Hours__c) ? null : round(headcount * Number(role.Phase_Hours__c));
+}
+
+// "2 people × 40h/week", "1 person × 300h/phase" or '' when not planned
+export function formatCapacity(role) {
+    if (isBlank(role.Headcount__c)) return '';
+    const headcount = Number(role.Headcount__c);
+    const people = `${headcount} ${headcount === 1 ? 'person' : 'people'}`;
+    const parts = [];
+    if (!isBlank(role.Weekly_Hours__c)) parts.push(`${Number(role.Weekly_Hours__c)}h/week`);
+    if (!isBlank(role.Phase_Hours__c)) parts.push(`${Number(role.Phase_Hours__c)}h/phase`);
+    return `${people} × ${parts.length > 0 ? parts.join(', ') : `${DEFAULT_WEEKLY_HOURS}h/week`}`;
+}
+
+// Per capability: the hours of each assigned role, [{ roleId, hours }]
+function sharesByCapability(capabilities, roleAssignments) {
+    const byCapability = new Map();
+    (roleAssignments || []).forEach(assignment => {
+        if (!(assignment.Allocation_Percent__c > 0)) return;
+        const list = byCapability.get(assignment.Capability__c) || [];
+        list.push(assignment);
+        byCapability.set(assignment.Capability__c, list);
+    });
+    const result = new Map();
+    capabilities.forEach(cap => {
+        const hours = capabilityHours(cap);
+        result.set(cap.Id, (byCapability.get(cap.Id) || [])
+            .map(a => ({ roleId: a.Capability_Role__c, hours: hours * a.Allocation_Percent__c / 100 })));
+    });
+    return result;
+}
+
+function add(hoursByRole, roleId, hours) {
+    hoursByRole.set(roleId, (hoursByRole.get(roleId) || 0) + hours);
+}
+
+/**
+ * Capacity plan of a map
+ * phases: the map's phases in order (PhaseService.getPhases)
+ * capabilities: with their hours (Calculated_Hours__c), Phase__c and Priority__c
+ * options: { roles, roleAssignments, dependencies (Capability__c needs Depends_On__c) }
+ * Returns {
+ *   planned (some role has a headcount), overallocatedCount,
+ *   phases: [{ name, color, weeks, hours, overBy, overallocated,
+ *     roles: [{ roleId, name, color, allocated, capacity, free, percent, perWeek, over }] }],
+ *   suggestions: [{ capabilityId, name, priority, roleName, hours, from, to }]
+ * }
+ * Phase roles list every role with work or capacity in the phase; capacity is null
+ * where it is not planned. Capabilities in phases the map does not define are left out.
+ */
+export function buildCapacityPlan(phases, capabilities, options = {}) {
+    const definitions = phases || [];
+    const roles = options.roles || [];
+    const caps = capabilities || [];
+    const phaseIndex = new Map(definitions.map((phase, index) => [phase.Name, index]));
+    const shares = sharesByCapability(caps, options.roleAssignments);
+    const capacities = definitions.map(phase => new Map(roles.map(role => [role.Id, roleCapacity(role, phase)])));
+
+    const allocated = definitions.map(() => new Map());
+    const placed = new Map(); // Capability Id -> phase index
+    caps.forEach(cap => {
+        const index = phaseIndex.get(cap.Phase__c);
+        if (index === undefined) return;
+        placed.set(cap.Id, index);
+        shares.get(cap.Id).forEach(share => add(allocated[index], share.roleId, share.hours));
+    });
+
+    const rows = definitions.map((phase, index) => {
+        const weeks = phaseWeeks(phase);
+        const roleRows = roles
+            .filter(role => allocated[index].get(role.Id) > 0 || capacities[index].get(role.Id) !== null)
+            .map(role => {
+                const hours = allocated[index].get(role.Id) || 0;
+                const capacity = capacities[index].get(role.Id);
+                return {
+                    roleId: role.Id,
+                    name: role.Name,
+                    color: role.Color__c || NO_COLOR,
+                    allocated: round(hours),
+                    capacity,
+                    free: capacity !== null ? round(capacity - hours) : null,
+                    percent: capacity > 0 ? Math.round(hours / capacity * 100) : null,
+                    perWeek: weeks ? round(hours / weeks) : null,
+                    over: capacity !== null && hours > capacity + EPSILON
+                };
+            });
+        return {
+            name: phase.Name,
+            color: phase.Color__c || NO_COLOR,
+            weeks: weeks !== null ? round(weeks) : null,
+            hours: round(roleRows.reduce((sum, row) => sum + row.allocated, 0)),
+            // Hours over capacity, summed over the overallocated roles
+            overBy: round(roleRows.filter(row => row.over).reduce((sum, row) => sum - row.free, 0)),
+            overallocated: roleRows.some(row => row.over),
+            roles: roleRows
+        };
+    });
+
+    return {
+        planned: roles.some(role => !isBlank(role.Headcount__c)),
+        overallocatedCount: rows.filter(row => row.overallocated).length,
+        phases: rows,
+        suggestions: suggestMoves(definitions, caps, {
+            roles, shares, capacities, allocated, placed, dependencies: options.dependencies
+        })
+    };
+}
+
+/**
+ * Moves that take overallocated roles back within capacity, phase by phase
+ * Each move is counted before the next is picked, so later phases see the work
+ * that earlier suggestions pushed into them.
+ */
+function suggestMoves(phases, capabilities, plan) {
+    const { roles, shares, capacities, placed } = plan;
+    const work = plan.allocated.map(hoursByRole => new Map(hoursByRole));
+    const phaseOf = new Map(placed);
+    const dependentsOf = new Map();
+    (plan.dependencies || []).forEach(dependency => {
+        const list = dependentsOf.get(dependency.Depends_On__c) || [];
+        list.push(dependency.Capability__c);
+        dependentsOf.set(dependency.Depends_On__c, list);
+    });
+    const excess = (index, roleId) => {
+        const capacity = capacities[index].get(roleId);
+        return capacity === null ? 0 : (work[index].get(roleId) || 0) - capacity;
+    };
+    const shareOf = (cap, roleId) => shares.get(cap.Id)
+        .filter(share => share.roleId === roleId)
+        .reduce((sum, share) => sum + share.hours, 0);
+
+    // The first later phase where every role of the capability has room, before its dependents
+    const laterPhase = (cap, from) => {
+        const dependentPhases = (dependentsOf.get(cap.Id) || [])
+            .map(id => phaseOf.get(id))
+            .filter(index => index !== undefined);
+        const latest = dependentPhases.length > 0 ? Math.min(...dependentPhases) : phases.length - 1;
+        for (let index = from + 1; index <= latest; index++) {
+            const fits = shares.get(cap.Id).every(share => {
+                const capacity = capacities[index].get(share.roleId);
+                return capacity === null || capacity === undefined
+                    || (work[index].get(share.roleId) || 0) + share.hours <= capacity + EPSILON;
+            });
+            if (fits) return index;
+        }
+        return null;
+    };
+
+    const suggestions = [];
+    phases.forEach((phase, index) => {
+        roles.forEach(role => {
+            if (!(excess(index, role.Id) > EPSILON)) return;
+            const candidates = capabilities
+                .filter(cap => phaseOf.get(cap.Id) === index && priorityOf(cap) !== 'High' && shareOf(cap, role.Id) > 0)
+                .sort((a, b) => priorityRank(b) - priorityRank(a) || shareOf(b, role.Id) - shareOf(a, role.Id));
+            candidates.some(cap => {
+                if (!(excess(index, role.Id) > EPSILON)) return true;
+                const target = laterPhase(cap, index);
+                if (target === null) return false;
+                shares.get(cap.Id).forEach(share => {
+                    add(work[index], share.roleId, -share.hours);
+                    add(work[target], share.roleId, share.hours);
+                });
+                phaseOf.set(cap.Id, target);
+                suggestions.push({
+                    capabilityId: cap.Id,
+                    name: cap.Name,
+                    priority: priorityOf(cap),
+                    roleName: role.Name,
+                    hours: round(shareOf(cap, role.Id)),
+                    from: phase.Name,
+                    to: phases[target].Name
+                });
+                return false;
+            });
+        });
+    });
+    return suggestions;
+}
@@ -0,0 +1,190 @@
+/**
+ * @description    Capacity view of a map: per phase, the hours allocated to each role
+ *                 against the role's capacity (headcount times hours per week or per
+ *                 phase, see capacityModel). Overallocated phases are flagged red, with
+ *                 suggestions to move low-priority capabilities to later phases.
+ *                 Role capacity is edited here; applying suggestions is left to the
+ *                 parent (applymoves), which queues the phase changes like any edit.
+ * @author         Cobra CRM B.V.
+ * @version        2.29.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import updateRoleCapacity from '@salesforce/apex/CapabilityRoleController.updateRoleCapacity';
+import { buildCapacityPlan, formatCapacity } from 'c/capacityModel';
+import { formatHours } from 'c/estimationModel';
+
+const CAPACITY_FIELDS = ['Headcount__c', 'Weekly_Hours__c', 'Phase_Hours__c'];
+
+function toNumber(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
+
+export default class CapacityPlanner extends LightningElement {
+    @api capabilities = [];
+    @api roles = [];
+    @api roleAssignments = [];
+    @api phases = []; // The map's phases in order (PhaseService.getPhases)
+    @api dependencies = [];
+    @api mapName;
+    @api readOnly = false; // The map's status locks it: no capacity edits or moves
+
+    @track errorMessage = '';
+    @track savingRoleId = null;
+
+    cachedInputs = [];
+    cachedPlan = null;
+
+    // Rebuilt only when an input changed
+    get plan() {
+        const inputs = [this.capabilities, this.roles, this.roleAssignments, this.phases, this.dependencies];
+        if (!this.cachedPlan || inputs.some((input, index) => input !== this.cachedInputs[index])) {
+            this.cachedInputs = inputs;
+            this.cachedPlan = buildCapacityPlan(this.phases, this.capabilities, {
+                roles: this.roles,
+                roleAssignments: this.roleAssignments,
+                dependencies: this.dependencies
+            });
+        }
+        return this.cachedPlan;
+    }
+
+    get title() {
+        return this.mapName ? `Capacity of "${this.mapName}"` : 'Capacity';
+    }
+
+    get hasRoles() {
+        return this.roles.length > 0;
+    }
+
+    get isPlanned() {
+        return this.plan.planned;
+    }
+
+    get summary() {
+        const count = this.plan.overallocatedCount;
+        if (count === 0) return 'Every phase is within capacity.';
+        return count === 1 ? '1 phase is overallocated.' : `${count} phases are overallocated.`;
+    }
+
+    get summaryClass() {
+        return this.plan.overallocatedCount > 0 ? 'summary over' : 'summary';
+    }
+
+    get roleRows() {
+        return this.roles.map(role => ({
+            id: role.Id,
+            name: role.Name,
+            swatchStyle: `background-color: ${role.Color__c || '#9CA3AF'}`,
+            headcount: role.Headcount__c,
+            weeklyHours: role.Weekly_Hours__c,
+            phaseHours: role.Phase_Hours__c,
+            description: formatCapacity(role) || 'Not planned',
+            disabled: this.readOnly || this.savingRoleId === role.Id
+        }));
+    }
+
+    get phaseCards() {
+        return this.plan.phases.map(phase => ({
+            key: phase.name,
+            name: phase.name,
+            cardClass: phase.overallocated ? 'phase-card overallocated' : 'phase-card',
+            swatchStyle: `background-color: ${phase.color}`,
+            weeks: phase.weeks !== null ? `${phase.weeks} weeks` : '',
+            status: phase.overallocated ? `Over by ${formatHours(phase.overBy)}` : formatHours(phase.hours),
+            hasRoles: phase.roles.length > 0,
+            roles: phase.roles.map(row => ({
+                key: `${phase.name}-${row.roleId}`,
+                name: row.name,
+                rowClass: row.over ? 'role-load over' : 'role-load',
+                fillStyle: `width: ${Math.min(row.percent ?? 0, 100)}%; background-color: ${row.over ? '#EA001E' : row.color}`,
+                label: row.capacity !== null
+                    ? `${formatHours(row.allocated)} of ${formatHours(row.capacity)}${row.percent !== null ? ` (${row.percent}%)` : ''}`
+                    : `${formatHours(row.allocated)}, capacity not planned`,
+                title: row.perWeek !== null ? `${formatHours(row.perWeek)} per week` : ''
+            }))
+        }));
+    }
+
+    get suggestions() {
+        return this.plan.suggestions.map(move => ({
+            key: move.capabilityId,
+            capabilityId: move.capabilityId,
+            text: `Move "${move.name}" (${move.priority}) from ${move.from} to ${move.to}`,
+            hint: `Frees ${formatHours(move.hours)} of ${move.roleName}`
+        }));
+    }
+
+    get hasSuggestions() {
+        return this.plan.suggestions.length > 0;
+    }
+
+    // Overallocated, but nothing can move: high priority, dependencies or no room later
+    get noSuggestionHint() {
+        return this.plan.overallocatedCount > 0 && !this.hasSuggestions
+            ? 'No capability can move: the rest are high priority, needed by capabilities in the same phase, or do not fit a later phase.'
+            : '';
+    }
+
+    // data-id is the role, data-field headcount, weeklyHours or phaseHours
+    async handleCapacityChange(event) {
+        const role = this.roles.find(item => item.Id === event.target.dataset.id);
+        if (!role) return;
+        const values = {
+            headcount: role.Headcount__c ?? null,
+            weeklyHours: role.Weekly_Hours__c ?? null,
+            phaseHours: role.Phase_Hours__c ?? null
+        };
+        values[event.target.dataset.field] = toNumber(event.target.value);
+        if (Object.keys(values).some(key => values[key] !== null && !(values[key] >= 0))) {
+            this.errorMessage = 'Headcount and hours must be positive numbers';
+            return;
+        }
+
+        this.errorMessage = '';
+        this.savingRoleId = role.Id;
+        try {
+            const saved = await updateRoleCapacity({ roleId: role.Id, ...values });
+            const fields = {};
+            CAPACITY_FIELDS.forEach(field => {
+                fields[field] = saved[field] ?? null;
+            });
+            this.dispatchEvent(new CustomEvent('rolechanged', { detail: { roleId: role.Id, fields } }));
+        } catch (error) {
+            console.error('Error saving capacity:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        } finally {
+            this.savingRoleId = null;
+        }
+    }
+
+    handleApplySuggestion(event) {
+        const move = this.plan.suggestions.find(item => item.capabilityId === event.currentTarget.dataset.id);
+        if (move) {
+            this.applyMoves([move]);
+        }
+    }
+
+    handleApplyAll() {
+        this.applyMoves(this.plan.suggestions);
+    }
+
+    applyMoves(moves) {
+        this.dispatchEvent(new CustomEvent('applymoves', {
+            detail: { moves: moves.map(move => ({ capabilityId: move.capabilityId, phase: move.to })) }
+        }));
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) {
+            this.handleClose();
+        }
+    }
+
+    stopPropagation(event) {
+        event.stopPropagation();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
@@ -1,25 +1,34 @@
 /**
  * @description    Category Edit Modal matching mockup style
+ *                 The parent list (parentOptions) comes from the app, which
+ *                 leaves out choices that would create a cycle or nest too deep.
+ *                 The estimate multiplier scales the size hours of the category's
+ *                 capabilities (blank is 1).
  * @author         Cobra CRM B.V.
- * @version        2.3.0
+ * @version        2.28.0
  */
 import { LightningElement, api, track } from 'lwc';
 import createCategory from '@salesforce/apex/CapabilityCategoryController.createCategory';
 import updateCategory from '@salesforce/apex/CapabilityCategoryController.updateCategory';
 import deleteCategory from '@salesforce/apex/CapabilityCategoryController.deleteCategory';
+import updateEstimateMultiplier from '@salesforce/apex/CapabilityCategoryController.updateEstimateMultiplier';
 
 export default class CategoryEditModal extends LightningElement {
     @api category;
     @api mapId;
     @api mode = 'create';
+    @api parentOptions = []; // [{ value, label }] in canvas order
 
     @track name = '';
-    @track isSubcategory = false;
+    @track parentId = '';
+    @track multiplier = '';
+    @track errorMessage = '';
 
     connectedCallback() {
         if (this.category && this.mode === 'edit') {
             this.name = this.category.Name || '';
-            this.isSubcategory = this.category.Is_Subcategory__c || false;
+            this.parentId = this.category.Parent_Category__c || '';
+            this.multiplier = this.category.Estimate_Multiplier__c ?? '';
         }
     }
 
@@ -31,8 +40,22 @@ export default class CategoryEditModal extends LightningElement {
         return this.mode === 'edit';
     }
 
+    get parentChoices() {
+        return this.parentOptions.map(option => ({ ...option, selected: option.value === this.parentId }));
+    }
+
+    get noParentSelected() {
+        return !this.parentId;
+    }
+
     handleNameChange(event) { this.name = event.target.value; }
-    handleSubcategoryChange(event) { this.isSubcategory = event.target.checked; }
+    handleParentChange(event) { this.parentId = event.target.value; }
+    handleMultiplierChange(event) { this.multiplier = event.target.value; }
+
+    // Blank (or 1) leaves the hours as they are
+    get multiplierValue() {
+        return this.multiplier === '' || this.multiplier === null ? null : Number(this.multiplier);
+    }
 
     handleOverlayClick(event) {
         if (event.target === event.currentTarget) this.handleClose();
@@ -42,39 +65,52 @@ export default class CategoryEditModal extends LightningElement {
 
     async handleSave() {
         if (!this.name.trim()) {
-            alert('Please enter a name');
+            this.errorMessage = 'Please enter a name';
+            return;
+        }
+        const multiplier = this.multiplierValue;
+        if (multiplier !== null && !(multiplier > 0 && multiplier < 100)) {
+            this.errorMessage = 'The estimate multiplier must be more than 0 and less than 100';
             return;
         }
 
+        this.errorMessage = '';
         try {
             if (this.mode === 'edit' && this.category) {
                 await updateCategory({
                     categoryId: this.category.Id,
                     name: this.name,
-                    isSubcategory: this.isSubcategory
+                    parentId: this.parentId || null
                 });
+                if (multiplier !== (this.category.Estimate_Multiplier__c ?? null)) {
+                    await updateEstimateMultiplier({ categoryId: this.category.Id, multiplier });
+                }
             } else {
-                await createCategory({
+                const created = await createCategory({
                     mapId: this.mapId,
                     name: this.name,
-                    isSubcategory: this.isSubcategory
+                    parentId: this.parentId || null
                 });
+                if (multiplier !== null) {
+                    await updateEstimateMultiplier({ categoryId: created.Id, multiplier });
+                }
             }
             this.dispatchEvent(new CustomEvent('saved'));
         } catch (error) {
             console.error('Error saving category:', error);
-            alert('Error: ' + (error.body?.message || error.message));
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
         }
     }
 
     async handleDelete() {
-        if (!this.category || !confirm('Delete this category and all its capabilities?')) return;
+        if (!this.category || !confirm('Delete this category and all its capabilities? Its subcategories move up one level.')) return;
         
         try {
             await deleteCategory({ categoryId: this.category.Id });
             this.dispatchEvent(new CustomEvent('saved'));
         } catch (error) {
             console.error('Error deleting:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
         }
     }
 }
@@ -0,0 +1,275 @@
+/**
+ * @description    Comment thread of one capability
+ *                 Mentions are picked from a user search after typing @ and are
+ *                 written into the body as @[User Name]. Opening the thread marks
+ *                 it read; the app gets the new counts through the changed event.
+ *                 With read-only set (archived map) the thread can be read, not changed.
+ * @author         Cobra CRM B.V.
+ * @version        2.21.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import USER_ID from '@salesforce/user/Id';
+import getComments from '@salesforce/apex/CapabilityCommentController.getComments';
+import markRead from '@salesforce/apex/CapabilityCommentController.markRead';
+import addComment from '@salesforce/apex/CapabilityCommentController.addComment';
+import setResolved from '@salesforce/apex/CapabilityCommentController.setResolved';
+import deleteComment from '@salesforce/apex/CapabilityCommentController.deleteComment';
+import searchUsers from '@salesforce/apex/CapabilityCommentController.searchUsers';
+
+const MENTION_MARKUP = /@\[([^\]]+)\]/g;
+const MENTION_TRIGGER = /(^|\s)@([^\s@[\]]*)$/; // @ plus the word being typed, before the caret
+const SEARCH_DELAY = 250;
+
+export default class CommentThreadModal extends LightningElement {
+    @api capability;
+    @api readOnly = false; // Comments are closed: no posting, resolving or deleting
+
+    @track comments = [];
+    @track draft = '';
+    @track mentions = []; // [{ id, name }] picked for the draft
+    @track suggestions = [];
+    @track showResolved = false;
+    @track errorMessage = '';
+    @track isLoading = true;
+    isPosting = false;
+    mentionStart = -1; // Position of the @ being completed
+    searchTimeout;
+
+    async connectedCallback() {
+        try {
+            this.comments = await getComments({ capabilityId: this.capability.Id });
+            await markRead({ capabilityId: this.capability.Id });
+            this.notifyChanged();
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.searchTimeout);
+    }
+
+    get modalTitle() {
+        return `Comments on "${this.capability?.Name}"`;
+    }
+
+    get openComments() {
+        return this.comments.filter(comment => !comment.Is_Resolved__c);
+    }
+
+    get resolvedCount() {
+        return this.comments.length - this.openComments.length;
+    }
+
+    get hasResolved() {
+        return this.resolvedCount > 0;
+    }
+
+    get resolvedToggleLabel() {
+        return this.showResolved ? 'Hide resolved' : `Show resolved (${this.resolvedCount})`;
+    }
+
+    get hasOpen() {
+        return this.openComments.length > 0;
+    }
+
+    get canResolveAll() {
+        return this.hasOpen && !this.readOnly;
+    }
+
+    // Comments as shown: body split into text and mention segments
+    get visibleComments() {
+        return this.comments
+            .filter(comment => this.showResolved || !comment.Is_Resolved__c)
+            .map(comment => ({
+                id: comment.Id,
+                author: comment.Author__r?.Name || 'Unknown user',
+                posted: comment.Posted__c ? new Date(comment.Posted__c).toLocaleString() : '',
+                segments: bodySegments(comment.Body__c),
+                isResolved: comment.Is_Resolved__c,
+                resolvedNote: comment.Is_Resolved__c && comment.Resolved_By__r
+                    ? `Resolved by ${comment.Resolved_By__r.Name}`
+                    : 'Resolved',
+                resolveLabel: comment.Is_Resolved__c ? 'Reopen' : 'Resolve',
+                canResolve: !this.readOnly,
+                canDelete: !this.readOnly && comment.Author__c === USER_ID,
+                className: comment.Is_Resolved__c ? 'comment resolved' : 'comment'
+            }));
+    }
+
+    get hasComments() {
+        return this.visibleComments.length > 0;
+    }
+
+    get emptyMessage() {
+        return this.comments.length > 0 ? 'All comments are resolved' : 'No comments yet';
+    }
+
+    get hasSuggestions() {
+        return this.suggestions.length > 0;
+    }
+
+    get postDisabled() {
+        return !this.draft.trim() || this.isPosting;
+    }
+
+    // ============================================
+    // COMPOSER AND MENTIONS
+    // ============================================
+    handleDraftInput(event) {
+        this.draft = event.target.value;
+        const beforeCaret = this.draft.slice(0, event.target.selectionStart);
+        const match = MENTION_TRIGGER.exec(beforeCaret);
+        clearTimeout(this.searchTimeout);
+        if (!match || match[2].length === 0) {
+            this.mentionStart = -1;
+            this.suggestions = [];
+            return;
+        }
+        this.mentionStart = beforeCaret.length - match[2].length - 1;
+        const term = match[2];
+        this.searchTimeout = setTimeout(() => this.loadSuggestions(term), SEARCH_DELAY);
+    }
+
+    async loadSuggestions(term) {
+        try {
+            const users = await searchUsers({ searchTerm: term });
+            this.suggestions = users.map(user => ({ id: user.Id, name: user.Name }));
+        } catch (error) {
+            console.error('Error searching users:', error);
+            this.suggestions = [];
+        }
+    }
+
+    // Replace the @word being typed with the user's mention
+    handlePickMention(event) {
+        const { id, name } = event.currentTarget.dataset;
+        const textarea = this.template.querySelector('.comment-input');
+        const caret = textarea ? textarea.selectionStart : this.draft.length;
+        const end = caret > this.mentionStart ? caret : this.draft.length;
+        const mention = `@[${name}] `;
+        this.draft = this.draft.slice(0, this.mentionStart) + mention + this.draft.slice(end);
+        if (!this.mentions.some(m => m.id === id)) {
+            this.mentions = [...this.mentions, { id, name }];
+        }
+        this.suggestions = [];
+        this.mentionStart = -1;
+        if (textarea) {
+            textarea.value = this.draft;
+            textarea.focus();
+        }
+    }
+
+    async handlePost() {
+        if (this.postDisabled) return;
+        this.errorMessage = '';
+        this.isPosting = true;
+        // Mentions removed from the text are not notified
+        const mentionedUserIds = this.mentions
+            .filter(m => this.draft.includes(`@[${m.name}]`))
+            .map(m => m.id);
+        try {
+            const comment = await addComment({
+                capabilityId: this.capability.Id,
+                body: this.draft,
+                mentionedUserIds
+            });
+            this.comments = [...this.comments, comment];
+            this.draft = '';
+            this.mentions = [];
+            this.notifyChanged();
+        } catch (error) {
+            console.error('Error posting comment:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        } finally {
+            this.isPosting = false;
+        }
+    }
+
+    // ============================================
+    // RESOLVE AND DELETE
+    // ============================================
+    async handleToggleResolved(event) {
+        const commentId = event.currentTarget.dataset.id;
+        const comment = this.comments.find(c => c.Id === commentId);
+        await this.resolve([commentId], !comment.Is_Resolved__c);
+    }
+
+    async handleResolveAll() {
+        await this.resolve(this.openComments.map(c => c.Id), true);
+    }
+
+    async resolve(commentIds, resolved) {
+        this.errorMessage = '';
+        try {
+            await setResolved({ commentIds, resolved });
+            const ids = new Set(commentIds);
+            this.comments = this.comments.map(comment => (ids.has(comment.Id)
+                ? {
+                    ...comment,
+                    Is_Resolved__c: resolved,
+                    Resolved_By__c: resolved ? USER_ID : null,
+                    Resolved_By__r: resolved ? { Name: 'you' } : null
+                }
+                : comment));
+            this.notifyChanged();
+        } catch (error) {
+            console.error('Error resolving comments:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        }
+    }
+
+    async handleDelete(event) {
+        const commentId = event.currentTarget.dataset.id;
+        this.errorMessage = '';
+        try {
+            await deleteComment({ commentId });
+            this.comments = this.comments.filter(comment => comment.Id !== commentId);
+            this.notifyChanged();
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        }
+    }
+
+    handleToggleShowResolved() {
+        this.showResolved = !this.showResolved;
+    }
+
+    // Counts for the tile badge; the thread is read now
+    notifyChanged() {
+        this.dispatchEvent(new CustomEvent('changed', {
+            detail: {
+                capabilityId: this.capability.Id,
+                summary: { total: this.comments.length, open: this.openComments.length, unread: 0 }
+            }
+        }));
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+}
+
+// Split a body into [{ key, text, className }] with mentions as separate segments
+function bodySegments(body) {
+    const segments = [];
+    let last = 0;
+    const text = body || '';
+    for (const match of text.matchAll(MENTION_MARKUP)) {
+        if (match.index > last) {
+            segments.push({ key: `t${last}`, text: text.slice(last, match.index), className: 'comment-text' });
+        }
+        segments.push({ key: `m${match.index}`, text: `@${match[1]}`, className: 'mention' });
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) {
+        segments.push({ key: `t${last}`, text: text.slice(last), className: 'comment-text' });
+    }
+    return segments;
+}
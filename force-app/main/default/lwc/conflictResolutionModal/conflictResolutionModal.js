@@ -0,0 +1,116 @@
+/**
+ * ============================================================
+ * conflictResolutionModal.js
+ * ============================================================
+ * @description    Merge dialog for concurrent-edit conflicts
+ *                 Lists every field someone else changed while we had unsaved
+ *                 edits to it, and lets the user keep theirs or mine per field
+ * @author         Cobra CRM B.V.
+ * @version        2.8.0
+ *
+ * CHANGELOG:
+ * ─────────────────────────────────────────────────────────────
+ * v2.8.0  2026-10-18  Initial version
+ * ============================================================
+ */
+import { LightningElement, api, track } from 'lwc';
+
+const MINE = 'mine';
+const THEIRS = 'theirs';
+
+export default class ConflictResolutionModal extends LightningElement {
+    @api conflicts = []; // As thrown by ConcurrencyService: [{ recordId, recordName, objectName, currentVersion, fields }]
+    @api categories = []; // To show category names instead of Ids
+
+    @track choices = {}; // 'recordId:field' -> 'mine' | 'theirs'
+
+    connectedCallback() {
+        const choices = {};
+        this.conflicts.forEach(conflict => {
+            conflict.fields.forEach(f => {
+                choices[`${conflict.recordId}:${f.field}`] = MINE;
+            });
+        });
+        this.choices = choices;
+    }
+
+    get fieldCount() {
+        return Object.keys(this.choices).length;
+    }
+
+    get records() {
+        return this.conflicts.map(conflict => ({
+            key: conflict.recordId,
+            title: conflict.objectName === 'Capability_Map__c' ? `Map: ${conflict.recordName}` : conflict.recordName,
+            fields: conflict.fields.map(f => {
+                const key = `${conflict.recordId}:${f.field}`;
+                const choice = this.choices[key];
+                return {
+                    key,
+                    label: f.label,
+                    mine: this.formatValue(f.field, f.mine),
+                    theirs: this.formatValue(f.field, f.theirs),
+                    mineClass: choice === MINE ? 'choice selected' : 'choice',
+                    theirsClass: choice === THEIRS ? 'choice selected' : 'choice'
+                };
+            })
+        }));
+    }
+
+    formatValue(field, value) {
+        if (value === null || value === undefined || value === '') return '(empty)';
+        if (field === 'Capability_Category__c') {
+            return this.categories.find(c => c.Id === value)?.Name || value;
+        }
+        return String(value);
+    }
+
+    handleChoose(event) {
+        const { key, choice } = event.currentTarget.dataset;
+        this.choices = { ...this.choices, [key]: choice };
+    }
+
+    handleAllMine() {
+        this.setAll(MINE);
+    }
+
+    handleAllTheirs() {
+        this.setAll(THEIRS);
+    }
+
+    setAll(choice) {
+        const choices = {};
+        Object.keys(this.choices).forEach(key => {
+            choices[key] = choice;
+        });
+        this.choices = choices;
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+
+    stopPropagation(event) { event.stopPropagation(); }
+
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+
+    // detail.resolutions: [{ recordId, objectName, currentVersion, keepMine: { field: theirValue }, takeTheirs: { field: theirValue } }]
+    handleApply() {
+        const resolutions = this.conflicts.map(conflict => {
+            const keepMine = {};
+            const takeTheirs = {};
+            conflict.fields.forEach(f => {
+                const target = this.choices[`${conflict.recordId}:${f.field}`] === THEIRS ? takeTheirs : keepMine;
+                target[f.field] = f.theirs ?? null;
+            });
+            return {
+                recordId: conflict.recordId,
+                objectName: conflict.objectName,
+                currentVersion: conflict.currentVersion,
+                keepMine,
+                takeTheirs
+            };
+        });
+        this.dispatchEvent(new CustomEvent('resolved', { detail: { resolutions } }));
+    }
+}
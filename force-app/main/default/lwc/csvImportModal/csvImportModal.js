@@ -0,0 +1,148 @@
+/**
+ * ============================================================
+ * csvImportModal.js
+ * ============================================================
+ * @description    CSV Import Modal - validates a capability spreadsheet
+ *                 with a dry run, shows what each row will do (create,
+ *                 update, unchanged or error) and imports the valid rows
+ * @author         Cobra CRM B.V.
+ * @version        2.13.0
+ *
+ * CHANGELOG:
+ * ─────────────────────────────────────────────────────────────
+ * v2.13.0  2026-10-18  Initial version with dry-run validation report
+ * ============================================================
+ */
+import { LightningElement, api, track } from 'lwc';
+import importRows from '@salesforce/apex/CapabilityCsvService.importRows';
+
+const ACTION_LABELS = {
+    create: 'Create',
+    update: 'Update',
+    unchanged: 'Unchanged',
+    error: 'Error'
+};
+
+export default class CsvImportModal extends LightningElement {
+    @api rows = []; // Parsed CSV rows: column name -> cell text
+    @api fileName = '';
+    @api mapId;
+
+    @track report = null; // Dry-run result
+    @track showAllRows = false;
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    connectedCallback() {
+        this.validate();
+    }
+
+    async validate() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            const result = await importRows({ mapId: this.mapId, rows: this.rows, dryRun: true });
+            if (!result.success) {
+                this.errorMessage = result.error || 'Validation failed';
+                return;
+            }
+            this.report = result;
+        } catch (error) {
+            console.error('Error validating CSV:', error);
+            this.errorMessage = error.body?.message || error.message || 'Validation failed';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    get rowCountLabel() {
+        const count = (this.rows || []).length;
+        return count === 1 ? '1 row' : `${count} rows`;
+    }
+
+    get hasReport() {
+        return this.report !== null;
+    }
+
+    get summary() {
+        const report = this.report || {};
+        return [
+            { key: 'create', label: 'Create', count: report.created || 0 },
+            { key: 'update', label: 'Update', count: report.updated || 0 },
+            { key: 'unchanged', label: 'Unchanged', count: report.unchanged || 0 },
+            { key: 'error', label: 'Errors (skipped)', count: report.skipped || 0 }
+        ].map(item => ({ ...item, className: `summary-item ${item.key}` }));
+    }
+
+    // Rows with errors first; other rows only when asked for
+    get reportRows() {
+        const rows = (this.report?.rows || [])
+            .filter(row => this.showAllRows || row.action === 'error')
+            .map(row => ({
+                ...row,
+                key: `row${row.rowNumber}`,
+                actionLabel: ACTION_LABELS[row.action],
+                actionClass: `action-badge ${row.action}`,
+                errorText: (row.errors || []).join('; ')
+            }));
+        return rows.sort((a, b) => (a.action === 'error' ? 0 : 1) - (b.action === 'error' ? 0 : 1) || a.rowNumber - b.rowNumber);
+    }
+
+    get hasReportRows() {
+        return this.reportRows.length > 0;
+    }
+
+    get hasErrors() {
+        return (this.report?.skipped || 0) > 0;
+    }
+
+    get changeCount() {
+        return (this.report?.created || 0) + (this.report?.updated || 0);
+    }
+
+    get importDisabled() {
+        return this.isLoading || !this.report || this.changeCount === 0;
+    }
+
+    get importButtonLabel() {
+        if (this.isLoading) return this.report ? 'Importing...' : 'Validating...';
+        if (this.hasErrors) return `Import ${this.changeCount} Valid Rows`;
+        return 'Import';
+    }
+
+    handleShowAllChange(event) {
+        this.showAllRows = event.target.checked;
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+
+    stopPropagation(event) { event.stopPropagation(); }
+
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+
+    async handleImport() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            const result = await importRows({ mapId: this.mapId, rows: this.rows, dryRun: false });
+            if (!result.success) {
+                this.errorMessage = result.error || 'Import failed';
+                return;
+            }
+            this.dispatchEvent(new CustomEvent('imported', {
+                detail: {
+                    created: result.created,
+                    updated: result.updated,
+                    skipped: result.skipped
+                }
+            }));
+        } catch (error) {
+            console.error('Error importing CSV:', error);
+            this.errorMessage = error.body?.message || error.message || 'Import failed';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+}
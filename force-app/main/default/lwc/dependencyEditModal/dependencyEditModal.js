@@ -0,0 +1,135 @@
+/**
+ * @description    Prerequisites and dependents of one capability
+ *                 Changes are saved right away; the app gets the map's updated
+ *                 dependency list through the changed event.
+ * @author         Cobra CRM B.V.
+ * @version        2.17.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import addDependencies from '@salesforce/apex/CapabilityDependencyController.addDependencies';
+import removeDependency from '@salesforce/apex/CapabilityDependencyController.removeDependency';
+
+const MAX_CHOICES = 50;
+
+export default class DependencyEditModal extends LightningElement {
+    @api capability;
+    @api capabilities = []; // Every capability of the map
+    @api categories = [];
+    @api dependencies = []; // Every dependency of the map
+
+    @track links = [];
+    @track searchText = '';
+    @track selectedId = '';
+    @track errorMessage = '';
+    isSaving = false;
+
+    connectedCallback() {
+        this.links = [...this.dependencies];
+    }
+
+    get modalTitle() {
+        return `Dependencies of "${this.capability?.Name}"`;
+    }
+
+    get capabilitiesById() {
+        return new Map(this.capabilities.map(cap => [cap.Id, cap]));
+    }
+
+    describe(capabilityId, dependencyId) {
+        const cap = this.capabilitiesById.get(capabilityId) || {};
+        const category = this.categories.find(c => c.Id === cap.Capability_Category__c);
+        return {
+            id: dependencyId,
+            name: cap.Name,
+            detail: [category?.Name, cap.Phase__c].filter(Boolean).join(' · ')
+        };
+    }
+
+    get prerequisites() {
+        return this.links
+            .filter(dep => dep.Capability__c === this.capability.Id)
+            .map(dep => this.describe(dep.Depends_On__c, dep.Id));
+    }
+
+    get dependents() {
+        return this.links
+            .filter(dep => dep.Depends_On__c === this.capability.Id)
+            .map(dep => this.describe(dep.Capability__c, dep.Id));
+    }
+
+    get hasPrerequisites() { return this.prerequisites.length > 0; }
+    get hasDependents() { return this.dependents.length > 0; }
+
+    // Capabilities that can still become a prerequisite, matching the search text
+    get choices() {
+        const linkedIds = new Set(this.links
+            .filter(dep => dep.Capability__c === this.capability.Id)
+            .map(dep => dep.Depends_On__c));
+        const text = this.searchText.trim().toLowerCase();
+        return this.capabilities
+            .filter(cap => cap.Id !== this.capability.Id && !linkedIds.has(cap.Id))
+            .filter(cap => !text || (cap.Name || '').toLowerCase().includes(text))
+            .slice(0, MAX_CHOICES)
+            .map(cap => ({
+                value: cap.Id,
+                label: cap.Phase__c ? `${cap.Name} (${cap.Phase__c})` : cap.Name,
+                selected: cap.Id === this.selectedId
+            }));
+    }
+
+    get addDisabled() {
+        return !this.selectedId || this.isSaving;
+    }
+
+    handleSearchChange(event) {
+        this.searchText = event.target.value;
+        this.selectedId = '';
+    }
+
+    handleChoiceChange(event) {
+        this.selectedId = event.target.value;
+    }
+
+    async handleAdd() {
+        if (!this.selectedId) return;
+        this.errorMessage = '';
+        this.isSaving = true;
+        try {
+            const created = await addDependencies({
+                capabilityId: this.capability.Id,
+                dependsOnIds: [this.selectedId]
+            });
+            this.links = [...this.links, ...created];
+            this.selectedId = '';
+            this.notifyChanged();
+        } catch (error) {
+            console.error('Error adding dependency:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        } finally {
+            this.isSaving = false;
+        }
+    }
+
+    async handleRemove(event) {
+        const dependencyId = event.currentTarget.dataset.id;
+        this.errorMessage = '';
+        try {
+            await removeDependency({ dependencyId });
+            this.links = this.links.filter(dep => dep.Id !== dependencyId);
+            this.notifyChanged();
+        } catch (error) {
+            console.error('Error removing dependency:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        }
+    }
+
+    notifyChanged() {
+        this.dispatchEvent(new CustomEvent('changed', { detail: { dependencies: this.links } }));
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+}
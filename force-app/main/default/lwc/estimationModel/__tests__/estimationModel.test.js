@@ -0,0 +1,52 @@
+import { buildEstimate, threePoint, formatPercentiles } from 'c/estimationModel';
+
+describe('threePoint', () => {
+    it('weighs the most likely hours four times', () => {
+        const point = threePoint({ Calculated_Hours__c: 40, Optimistic_Hours__c: 30, Pessimistic_Hours__c: 80 });
+
+        expect(point.expected).toBe(45);
+        expect(point.variance).toBeCloseTo((50 / 6) ** 2);
+    });
+
+    it('keeps optimistic and pessimistic hours on either side of the most likely ones', () => {
+        const point = threePoint({ Calculated_Hours__c: 40, Optimistic_Hours__c: 60, Pessimistic_Hours__c: null });
+
+        expect([point.optimistic, point.mostLikely, point.pessimistic]).toEqual([40, 40, 40]);
+        expect(point.variance).toBe(0);
+    });
+});
+
+describe('PERT totals', () => {
+    const capabilities = [
+        { Id: 'a01', Name: 'Scoring', Size__c: 'M', Phase__c: 'Phase 1', Calculated_Hours__c: 40, Optimistic_Hours__c: 30, Pessimistic_Hours__c: 80 },
+        { Id: 'a02', Name: 'Routing', Size__c: 'S', Phase__c: 'Phase 1', Calculated_Hours__c: 20 }
+    ];
+
+    it('adds expected hours and variances and reports P50/P80/P90 of a normal spread', () => {
+        const { pert, rangeCount } = buildEstimate(capabilities);
+        const stdDev = 50 / 6;
+
+        expect(rangeCount).toBe(1);
+        expect(pert.expected).toBe(65);
+        expect(pert.stdDev).toBeCloseTo(stdDev, 2);
+        expect(pert.p50).toBe(65);
+        expect(pert.p80).toBeCloseTo(65 + 0.8416 * stdDev, 2);
+        expect(pert.p90).toBeCloseTo(65 + 1.2816 * stdDev, 2);
+        expect(pert.p50 < pert.p80 && pert.p80 < pert.p90).toBe(true);
+    });
+
+    it('gives the phase rollups PERT totals but not the role shares', () => {
+        const estimate = buildEstimate(capabilities, {
+            phases: [{ Name: 'Phase 1' }],
+            roles: [{ Id: 'r01', Name: 'Consultant' }],
+            roleAssignments: [{ Capability__c: 'a01', Capability_Role__c: 'r01', Allocation_Percent__c: 100 }]
+        });
+
+        expect(estimate.byPhase.map(group => [group.key, group.pert.expected])).toEqual([['Phase 1', 65]]);
+        expect(estimate.byRole.every(group => group.pert === null)).toBe(true);
+    });
+
+    it('formats the percentiles', () => {
+        expect(formatPercentiles({ p50: 65, p80: 72, p90: 75.7 })).toBe('P50 65h · P80 72h · P90 75.7h');
+    });
+});
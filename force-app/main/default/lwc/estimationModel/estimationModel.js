@@ -0,0 +1,431 @@
+/**
+ * ============================================================
+ * estimationModel.js
+ * ============================================================
+ * @description    Hours and cost of a map's estimate
+ *                 Shared by the app's sidebar, its exports and the
+ *                 estimationSummary dashboard, so all show the same numbers.
+ *
+ *                 A capability's hours are the app's Calculated_Hours__c
+ *                 (size hours, or the manual Hours_Override__c). They are
+ *                 split over its role assignments (Allocation_Percent__c is
+ *                 the role's share) and each share costs the role's
+ *                 Hourly_Rate__c. Unallocated work (no assignments, or less
+ *                 than 100%) and roles without a rate use the map's
+ *                 Default_Hourly_Rate__c. The
+ *                 blended rate is the total cost over the total hours.
+ *
+ *                 Capabilities may add an optimistic and a pessimistic value
+ *                 (Optimistic_Hours__c, Pessimistic_Hours__c) to their most
+ *                 likely hours. Totals of those three-point estimates follow
+ *                 PERT: each capability expects (o + 4m + p) / 6 hours with a
+ *                 standard deviation of (p - o) / 6; variances add up, and
+ *                 the P50/P80/P90 hours of a total assume a normal spread.
+ *
+ *                 Size hours are adjusted by the capability's confidence and
+ *                 complexity factors (Confidence_Factor__c, Complexity_Factor__c)
+ *                 and its category's Estimate_Multiplier__c; a blank factor is 1.
+ *                 An hours override is taken as it is.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.28.0
+ *
+ * CHANGELOG:
+ * v2.28.0  2026-10-18  Estimate factors (confidence, complexity, category multiplier), hours breakdown
+ * v2.27.0  2026-10-18  Three-point (PERT) totals: expected hours, standard deviation, P50/P80/P90
+ * v2.26.0  2026-10-18  Rollup by size, TBD coverage, override share, chart geometry (stacked bars, donut);
+ *                     unallocated work costs the default rate
+ * v2.25.0  2026-10-18  Initial version: cost by capability, category, phase and role
+ * ============================================================
+ */
+
+export const UNASSIGNED = 'Unassigned';
+export const UNSIZED = 'TBD';
+const NO_PHASE = 'No phase';
+const NO_CATEGORY = 'No category';
+const NO_COLOR = '#9CA3AF';
+// Categories have no color of their own; charts cycle through these
+const CATEGORY_COLORS = ['#0176D3', '#8B5CF6', '#10B981', '#F97316', '#EC4899', '#14B8A6', '#F59E0B', '#64748B'];
+// Standard normal z-scores of the percentiles PERT totals report
+const PERCENTILES = [['p50', 0], ['p80', 0.8416], ['p90', 1.2816]];
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function percent(part, whole) {
+    return whole > 0 ? Math.round(part / whole * 1000) / 10 : 0;
+}
+
+// The app keeps the hours of the map's sizes in Calculated_Hours__c; records
+// straight from Apex only have the Estimated_Hours__c formula
+export function capabilityHours(cap) {
+    return cap.Calculated_Hours__c ?? cap.Estimated_Hours__c ?? 0;
+}
+
+export function isOverridden(cap) {
+    return cap.Hours_Override__c !== null && cap.Hours_Override__c !== undefined && cap.Hours_Override__c !== '';
+}
+
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+// A factor of 1 leaves the hours as they are; so does a blank or non-positive one
+function factorValue(value) {
+    return !isBlank(value) && Number(value) > 0 ? Number(value) : 1;
+}
+
+function formatFactor(value) {
+    return `×${Number(value.toFixed(2))}`;
+}
+
+/**
+ * Estimate factors of a capability, { confidence, complexity, category, total }
+ * category: the capability's Capability_Category__c record (for its Estimate_Multiplier__c)
+ */
+export function estimateFactors(cap, category) {
+    const confidence = factorValue(cap.Confidence_Factor__c);
+    const complexity = factorValue(cap.Complexity_Factor__c);
+    const multiplier = factorValue(category?.Estimate_Multiplier__c);
+    return { confidence, complexity, category: multiplier, total: confidence * complexity * multiplier };
+}
+
+export function hasFactors(cap, category) {
+    const factors = estimateFactors(cap, category);
+    return factors.confidence !== 1 || factors.complexity !== 1 || factors.category !== 1;
+}
+
+// Hours of a capability: its override, or the hours of its size times its factors
+export function factoredHours(cap, sizeHours, category) {
+    if (isOverridden(cap)) return Number(cap.Hours_Override__c);
+    return Math.round((sizeHours || 0) * estimateFactors(cap, category).total);
+}
+
+// "Integration ×1.3"
+export function categoryLabel(category) {
+    const multiplier = factorValue(category?.Estimate_Multiplier__c);
+    return multiplier !== 1 ? `${category.Name} ${formatFactor(multiplier)}` : category.Name;
+}
+
+/**
+ * How a capability's hours come about, e.g. "M 40h × 1.2 confidence × 1.3 Integration = 62h"
+ * Factors next to an hours override are listed as not applied.
+ */
+export function hoursBreakdown(cap, sizeHours, category) {
+    const factors = estimateFactors(cap, category);
+    const parts = [];
+    if (factors.confidence !== 1) parts.push(`${formatFactor(factors.confidence)} confidence`);
+    if (factors.complexity !== 1) parts.push(`${formatFactor(factors.complexity)} complexity`);
+    if (factors.category !== 1) parts.push(`${formatFactor(factors.category)} ${category.Name}`);
+    if (isOverridden(cap)) {
+        const override = `${formatHours(cap.Hours_Override__c)} (hours override)`;
+        return parts.length > 0 ? `${override}; not applied: ${parts.join(', ')}` : override;
+    }
+    const base = `${cap.Size__c || UNSIZED} ${formatHours(sizeHours)}`;
+    return parts.length > 0
+        ? `${base} ${parts.join(' ')} = ${formatHours(factoredHours(cap, sizeHours, category))}`
+        : base;
+}
+
+// A capability has a range when it has an optimistic or a pessimistic value
+export function hasRange(cap) {
+    return !isBlank(cap.Optimistic_Hours__c) || !isBlank(cap.Pessimistic_Hours__c);
+}
+
+/**
+ * Three-point estimate of a capability, { optimistic, mostLikely, pessimistic, expected, variance }
+ * Most likely are its hours; a missing optimistic or pessimistic value is the most likely
+ * one, and neither may pass it.
+ */
+export function threePoint(cap) {
+    const mostLikely = capabilityHours(cap);
+    const optimistic = isBlank(cap.Optimistic_Hours__c) ? mostLikely : Math.min(Number(cap.Optimistic_Hours__c), mostLikely);
+    const pessimistic = isBlank(cap.Pessimistic_Hours__c) ? mostLikely : Math.max(Number(cap.Pessimistic_Hours__c), mostLikely);
+    const stdDev = (pessimistic - optimistic) / 6;
+    return {
+        optimistic,
+        mostLikely,
+        pessimistic,
+        expected: (optimistic + 4 * mostLikely + pessimistic) / 6,
+        variance: stdDev * stdDev
+    };
+}
+
+// Expected hours, standard deviation and percentiles of a sum of three-point estimates
+function pertTotals(expected, variance) {
+    const stdDev = Math.sqrt(variance);
+    const totals = { expected: round(expected), stdDev: round(stdDev) };
+    PERCENTILES.forEach(([key, z]) => {
+        totals[key] = round(expected + z * stdDev);
+    });
+    return totals;
+}
+
+// "P50 120h · P80 134h · P90 141h"
+export function formatPercentiles(pert) {
+    return PERCENTILES.map(([key]) => `${key.toUpperCase()} ${formatHours(pert[key])}`).join(' · ');
+}
+
+export function formatMoney(value) {
+    return Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+export function formatHours(value) {
+    return `${Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 1 })}h`;
+}
+
+/**
+ * Hours and cost per capability, Map of Id -> { hours, cost, defaultRateHours,
+ *   shares: [{ roleId, hours, rate, cost }] }
+ * defaultRateHours are the hours priced at the map's default rate.
+ */
+export function costByCapability(capabilities, roles, roleAssignments, defaultRate) {
+    const fallback = Number(defaultRate) || 0;
+    const rates = new Map((roles || []).map(role => [role.Id, role.Hourly_Rate__c]));
+    const byCapability = new Map();
+    (roleAssignments || []).forEach(assignment => {
+        if (!(assignment.Allocation_Percent__c > 0)) return;
+        const list = byCapability.get(assignment.Capability__c) || [];
+        list.push(assignment);
+        byCapability.set(assignment.Capability__c, list);
+    });
+
+    const result = new Map();
+    (capabilities || []).forEach(cap => {
+        const hours = capabilityHours(cap);
+        const assignments = byCapability.get(cap.Id) || [];
+        const shares = assignments.map(a => ({ roleId: a.Capability_Role__c, hours: hours * a.Allocation_Percent__c / 100 }));
+        // Work the allocations leave open is unassigned
+        const allocated = assignments.reduce((sum, a) => sum + a.Allocation_Percent__c, 0);
+        if (allocated < 100) {
+            shares.push({ roleId: null, hours: hours * (100 - allocated) / 100 });
+        }
+        let cost = 0;
+        let defaultRateHours = 0;
+        const priced = shares.map(share => {
+            const roleRate = share.roleId ? rates.get(share.roleId) : null;
+            const rate = roleRate != null ? Number(roleRate) : fallback;
+            if (roleRate == null) defaultRateHours += share.hours;
+            cost += share.hours * rate;
+            return { roleId: share.roleId, hours: round(share.hours), rate, cost: round(share.hours * rate) };
+        });
+        result.set(cap.Id, { hours, cost: round(cost), defaultRateHours: round(defaultRateHours), shares: priced });
+    });
+    return result;
+}
+
+// point: the capability's threePoint, for groups that report PERT totals
+function addTo(groups, key, label, order, color, hours, cost, count = 1, point = null) {
+    const group = groups.get(key) || { key, label, order, color, count: 0, hours: 0, cost: 0, expected: 0, variance: 0 };
+    group.count += count;
+    group.hours += hours;
+    group.cost += cost;
+    if (point) {
+        group.expected += point.expected;
+        group.variance += point.variance;
+        group.pert = true;
+    }
+    groups.set(key, group);
+}
+
+function sorted(groups, totalHours, totalCost) {
+    return [...groups.values()]
+        .sort((a, b) => a.order - b.order || a.label.localeCompare(b.label))
+        .map(({ key, label, color, count, hours, cost, expected, variance, pert }) => ({
+            key,
+            label,
+            color,
+            count: round(count),
+            hours: round(hours),
+            cost: round(cost),
+            rate: hours > 0 ? round(cost / hours) : 0,
+            hoursPercent: percent(hours, totalHours),
+            costPercent: percent(cost, totalCost),
+            pert: pert ? pertTotals(expected, variance) : null
+        }));
+}
+
+/**
+ * Estimate of a map
+ * options: { categories, roles, roleAssignments, phases (in order), sizes (the map's
+ *   scheme, [{ name, color }] smallest first), defaultRate }
+ * Returns {
+ *   capabilities, hours, cost, blendedRate, defaultRate, defaultRateHours,
+ *   tbdCount, tbdPercent (share of capabilities not sized yet),
+ *   overrideCount, overrideHours, overridePercent (share of hours from Hours_Override__c),
+ *   factorCount, factorHours (capabilities whose size hours have factors, and the hours those add),
+ *   rangeCount (capabilities with a three-point range), pert: { expected, stdDev, p50, p80, p90 },
+ *   byCapability, byPhase, byCategory, bySize, byRole: [{ key, label, color, count, hours,
+ *     cost, rate, hoursPercent, costPercent, pert }] in the map's order,
+ *   phaseBySize: [{ key, label, hours, segments: [{ key, label, color, hours }] }]
+ * }
+ * Role groups split a capability by its allocations (count is the share of
+ * capabilities); work without a role is grouped as Unassigned. They have no
+ * PERT totals (pert is null), as the shares of one capability are not independent.
+ */
+export function buildEstimate(capabilities, options = {}) {
+    const caps = capabilities || [];
+    const costs = costByCapability(caps, options.roles, options.roleAssignments, options.defaultRate);
+    const categories = new Map((options.categories || []).map((cat, index) => [cat.Id, { cat, name: categoryLabel(cat), index }]));
+    const roles = new Map((options.roles || []).map((role, index) => [role.Id, { role, index }]));
+    const phases = new Map((options.phases || []).map((phase, index) => [phase.Name, { phase, index }]));
+    const sizes = new Map((options.sizes || []).map((size, index) => [size.name, { size, index }]));
+    const last = Number.MAX_SAFE_INTEGER;
+
+    const byCategory = new Map();
+    const byPhase = new Map();
+    const bySize = new Map();
+    const byRole = new Map();
+    const phaseSizes = new Map(); // Phase key -> Map of size key -> hours
+    let hours = 0;
+    let cost = 0;
+    let defaultRateHours = 0;
+    let tbdCount = 0;
+    let overrideCount = 0;
+    let overrideHours = 0;
+    let rangeCount = 0;
+    let factorCount = 0;
+    let factorHours = 0;
+    let expected = 0;
+    let variance = 0;
+    const byCapability = caps.map(cap => {
+        const item = costs.get(cap.Id);
+        const point = threePoint(cap);
+        expected += point.expected;
+        variance += point.variance;
+        if (hasRange(cap)) rangeCount++;
+        hours += item.hours;
+        cost += item.cost;
+        defaultRateHours += item.defaultRateHours;
+        if (!cap.Size__c || cap.Size__c === UNSIZED) tbdCount++;
+        if (isOverridden(cap)) {
+            overrideCount++;
+            overrideHours += item.hours;
+        }
+
+        const category = categories.get(cap.Capability_Category__c);
+        if (!isOverridden(cap) && hasFactors(cap, category?.cat)) {
+            factorCount++;
+            factorHours += item.hours - item.hours / estimateFactors(cap, category?.cat).total;
+        }
+        addTo(byCategory, cap.Capability_Category__c || NO_CATEGORY, category ? category.name : NO_CATEGORY,
+            category ? category.index : last, category ? CATEGORY_COLORS[category.index % CATEGORY_COLORS.length] : NO_COLOR,
+            item.hours, item.cost, 1, point);
+        const phase = phases.get(cap.Phase__c);
+        const phaseKey = cap.Phase__c || NO_PHASE;
+        addTo(byPhase, phaseKey, phaseKey, phase ? phase.index : last,
+            phase?.phase.Color__c || NO_COLOR, item.hours, item.cost, 1, point);
+        const sizeKey = cap.Size__c || UNSIZED;
+        const size = sizes.get(sizeKey);
+        addTo(bySize, sizeKey, sizeKey, size ? size.index : last, size?.size.color || NO_COLOR, item.hours, item.cost, 1, point);
+        const stack = phaseSizes.get(phaseKey) || new Map();
+        stack.set(sizeKey, (stack.get(sizeKey) || 0) + item.hours);
+        phaseSizes.set(phaseKey, stack);
+        item.shares.forEach(share => {
+            const role = roles.get(share.roleId);
+            addTo(byRole, role ? share.roleId : UNASSIGNED, role ? role.role.Name : UNASSIGNED,
+                role ? role.index : last, role?.role.Color__c || NO_COLOR, share.hours, share.cost,
+                item.hours > 0 ? share.hours / item.hours : 1 / item.shares.length);
+        });
+        return {
+            key: cap.Id,
+            label: cap.Name,
+            count: 1,
+            hours: item.hours,
+            cost: item.cost,
+            rate: item.hours > 0 ? round(item.cost / item.hours) : 0,
+            pert: pertTotals(point.expected, point.variance)
+        };
+    });
+
+    const sizeGroups = sorted(bySize, hours, cost);
+    const phaseGroups = sorted(byPhase, hours, cost);
+    return {
+        capabilities: caps.length,
+        hours: round(hours),
+        cost: round(cost),
+        blendedRate: hours > 0 ? round(cost / hours) : 0,
+        defaultRate: Number(options.defaultRate) || 0,
+        defaultRateHours: round(defaultRateHours),
+        tbdCount,
+        tbdPercent: percent(tbdCount, caps.length),
+        overrideCount,
+        overrideHours: round(overrideHours),
+        overridePercent: percent(overrideHours, hours),
+        factorCount,
+        factorHours: round(factorHours),
+        rangeCount,
+        pert: pertTotals(expected, variance),
+        byCapability,
+        byPhase: phaseGroups,
+        byCategory: sorted(byCategory, hours, cost),
+        bySize: sizeGroups,
+        byRole: sorted(byRole, hours, cost),
+        phaseBySize: phaseGroups.map(group => ({
+            key: group.key,
+            label: group.label,
+            hours: group.hours,
+            segments: sizeGroups
+                .filter(size => phaseSizes.get(group.key).get(size.key) > 0)
+                .map(size => ({
+                    key: size.key,
+                    label: size.label,
+                    color: size.color,
+                    hours: round(phaseSizes.get(group.key).get(size.key))
+                }))
+        }))
+    };
+}
+
+/**
+ * Horizontal stacked bars, one per row of phaseBySize
+ * Segments get x and width in px for a bar of at most maxWidth (the largest row).
+ */
+export function stackedBarLayout(rows, maxWidth) {
+    const largest = Math.max(0, ...rows.map(row => row.hours));
+    const scale = largest > 0 ? maxWidth / largest : 0;
+    return rows.map(row => {
+        let x = 0;
+        return {
+            ...row,
+            width: round(row.hours * scale),
+            segments: row.segments.map(segment => {
+                const width = round(segment.hours * scale);
+                const placed = { ...segment, x: round(x), width };
+                x += width;
+                return placed;
+            })
+        };
+    });
+}
+
+/**
+ * Donut slices for groups (byPhase, byCategory, ...) by hours or cost
+ * Returns [{ ...group, value, percent, path }] with SVG paths around (0, 0).
+ * A single slice is drawn as a full ring.
+ */
+export function donutLayout(groups, valueKey, radius, innerRadius) {
+    const slices = groups.filter(group => group[valueKey] > 0);
+    const total = slices.reduce((sum, group) => sum + group[valueKey], 0);
+    let angle = -Math.PI / 2;
+    const point = (r, a) => `${round(r * Math.cos(a))} ${round(r * Math.sin(a))}`;
+    return slices.map(group => {
+        const value = group[valueKey];
+        const sweep = total > 0 ? value / total * Math.PI * 2 : 0;
+        const start = angle;
+        angle += sweep;
+        let path;
+        if (slices.length === 1) {
+            path = `M ${point(radius, 0)} A ${radius} ${radius} 0 1 1 ${point(radius, Math.PI)} `
+                + `A ${radius} ${radius} 0 1 1 ${point(radius, 0)} `
+                + `M ${point(innerRadius, 0)} A ${innerRadius} ${innerRadius} 0 1 0 ${point(innerRadius, Math.PI)} `
+                + `A ${innerRadius} ${innerRadius} 0 1 0 ${point(innerRadius, 0)} Z`;
+        } else {
+            const large = sweep > Math.PI ? 1 : 0;
+            path = `M ${point(radius, start)} A ${radius} ${radius} 0 ${large} 1 ${point(radius, angle)} `
+                + `L ${point(innerRadius, angle)} A ${innerRadius} ${innerRadius} 0 ${large} 0 ${point(innerRadius, start)} Z`;
+        }
+        return { ...group, value, percent: percent(value, total), path };
+    });
+}
@@ -1,14 +1,240 @@
-import { LightningElement, api } from 'lwc';
+/**
+ * @description    Estimation dashboard of a map: hours and cost by phase, category, size
+ *                 and role, a stacked bar chart of hours per phase and size, a donut of
+ *                 the cost split, TBD coverage and the share of hours from overrides.
+ *                 Once capabilities have a three-point range, PERT totals (expected
+ *                 hours, spread, P50/P80/P90) join the KPIs and the rollup table.
+ *                 The hours that confidence, complexity and category multipliers
+ *                 add show as a KPI once any capability has a factor.
+ *                 The numbers come from estimationModel, like the app's sidebar and
+ *                 exports. Shown as a panel, or as a modal (variant="modal") that
+ *                 fires close.
+ * @author         Cobra CRM B.V.
+ * @version        2.28.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import {
+    buildEstimate, stackedBarLayout, donutLayout, formatMoney, formatHours, formatPercentiles
+} from 'c/estimationModel';
+
+const DIMENSIONS = [
+    { value: 'byPhase', label: 'Phase' },
+    { value: 'byCategory', label: 'Category' },
+    { value: 'bySize', label: 'Size' },
+    { value: 'byRole', label: 'Role' }
+];
+const BAR_WIDTH = 360; // px of the largest phase bar
+const BAR_HEIGHT = 18;
+const DONUT_RADIUS = 70;
+const DONUT_INNER = 44;
 
 export default class EstimationSummary extends LightningElement {
     @api capabilities = [];
     @api roles = [];
     @api roleAssignments = [];
+    @api categories = [];
+    @api phases = []; // The map's phases in order (PhaseService.getPhases)
+    @api sizes = []; // The map's sizing scheme (getMapSizes), smallest first
+    @api defaultRate; // Capability_Map__c.Default_Hourly_Rate__c
+    @api mapName;
+    @api variant = 'panel'; // 'panel' or 'modal'
+
+    @track tableDimension = 'byPhase';
+    @track donutDimension = 'byCategory';
+
+    cachedInputs = [];
+    cachedEstimate = null;
+
+    // Rebuilt only when an input changed; every chart and table reads it
+    get estimate() {
+        const inputs = [
+            this.capabilities, this.categories, this.roles, this.roleAssignments, this.phases, this.sizes, this.defaultRate
+        ];
+        if (!this.cachedEstimate || inputs.some((input, index) => input !== this.cachedInputs[index])) {
+            this.cachedInputs = inputs;
+            this.cachedEstimate = buildEstimate(this.capabilities, {
+                categories: this.categories,
+                roles: this.roles,
+                roleAssignments: this.roleAssignments,
+                phases: this.phases,
+                sizes: this.sizes,
+                defaultRate: this.defaultRate
+            });
+        }
+        return this.cachedEstimate;
+    }
+
+    get isModal() {
+        return this.variant === 'modal';
+    }
+
+    get containerClass() {
+        return this.isModal ? 'modal-overlay' : 'panel-container';
+    }
+
+    get panelClass() {
+        return this.isModal ? 'modal dashboard' : 'dashboard';
+    }
+
+    get title() {
+        return this.mapName ? `Estimate of "${this.mapName}"` : 'Estimation Dashboard';
+    }
+
+    get isEmpty() {
+        return this.estimate.capabilities === 0;
+    }
+
+    get hasRange() {
+        return this.estimate.rangeCount > 0;
+    }
+
+    get kpis() {
+        const estimate = this.estimate;
+        const kpis = [
+            { key: 'hours', label: 'Total hours', value: formatHours(estimate.hours), hint: `${estimate.capabilities} capabilities` },
+            { key: 'cost', label: 'Total cost', value: formatMoney(estimate.cost), hint: `Blended rate ${formatMoney(estimate.blendedRate)}/h` },
+            {
+                key: 'tbd',
+                label: 'TBD coverage',
+                value: `${estimate.tbdPercent}%`,
+                hint: `${estimate.tbdCount} of ${estimate.capabilities} not sized yet`
+            },
+            {
+                key: 'override',
+                label: 'From overrides',
+                value: `${estimate.overridePercent}%`,
+                hint: `${formatHours(estimate.overrideHours)} in ${estimate.overrideCount} capabilities`
+            }
+        ];
+        if (estimate.factorCount > 0) {
+            kpis.push({
+                key: 'factors',
+                label: 'From factors',
+                value: `${estimate.factorHours >= 0 ? '+' : ''}${formatHours(estimate.factorHours)}`,
+                hint: `Confidence, complexity and category multipliers in ${estimate.factorCount} capabilities`
+            });
+        }
+        if (this.hasRange) {
+            kpis.push({
+                key: 'pert',
+                label: 'Expected (PERT)',
+                value: `${formatHours(estimate.pert.expected)} ± ${formatHours(estimate.pert.stdDev)}`,
+                hint: formatPercentiles(estimate.pert)
+            });
+        }
+        return kpis;
+    }
+
+    get defaultRateNote() {
+        const { defaultRateHours, defaultRate } = this.estimate;
+        if (defaultRateHours <= 0) return '';
+        return defaultRate > 0
+            ? `${formatHours(defaultRateHours)} are priced at the default rate of ${formatMoney(defaultRate)}/h`
+            : `${formatHours(defaultRateHours)} have no role rate and no default rate`;
+    }
+
+    // Stacked bars: hours per phase, split by size
+    get phaseBars() {
+        return stackedBarLayout(this.estimate.phaseBySize, BAR_WIDTH).map(row => ({
+            key: row.key,
+            label: row.label,
+            hours: formatHours(row.hours),
+            segments: row.segments.map(segment => ({
+                key: `${row.key}-${segment.key}`,
+                x: segment.x,
+                width: Math.max(segment.width, 1),
+                color: segment.color,
+                title: `${row.label} · ${segment.label}: ${formatHours(segment.hours)}`
+            }))
+        }));
+    }
+
+    get barHeight() {
+        return BAR_HEIGHT;
+    }
+
+    get barChartWidth() {
+        return BAR_WIDTH;
+    }
+
+    get sizeLegend() {
+        return this.estimate.bySize.map(size => ({ key: size.key, label: size.label, style: `background-color: ${size.color}` }));
+    }
+
+    // Donut: cost split by the chosen dimension
+    get donutSlices() {
+        return donutLayout(this.estimate[this.donutDimension], 'cost', DONUT_RADIUS, DONUT_INNER).map(slice => ({
+            key: slice.key,
+            path: slice.path,
+            color: slice.color,
+            title: `${slice.label}: ${formatMoney(slice.value)} (${slice.percent}%)`,
+            label: slice.label,
+            cost: formatMoney(slice.value),
+            percent: `${slice.percent}%`,
+            swatchStyle: `background-color: ${slice.color}`
+        }));
+    }
+
+    get hasDonut() {
+        return this.donutSlices.length > 0;
+    }
+
+    get donutViewBox() {
+        return `${-DONUT_RADIUS} ${-DONUT_RADIUS} ${DONUT_RADIUS * 2} ${DONUT_RADIUS * 2}`;
+    }
+
+    get donutTotal() {
+        return formatMoney(this.estimate.cost);
+    }
+
+    get donutOptions() {
+        return DIMENSIONS.map(option => ({ ...option, selected: option.value === this.donutDimension }));
+    }
+
+    get tableTabs() {
+        return DIMENSIONS.map(option => ({
+            ...option,
+            className: option.value === this.tableDimension ? 'tab-btn active' : 'tab-btn'
+        }));
+    }
+
+    get tableRows() {
+        return this.estimate[this.tableDimension].map(row => ({
+            key: row.key,
+            label: row.label,
+            swatchStyle: `background-color: ${row.color}`,
+            count: Number.isInteger(row.count) ? row.count : row.count.toFixed(1),
+            hours: formatHours(row.hours),
+            hoursPercent: `${row.hoursPercent}%`,
+            cost: formatMoney(row.cost),
+            costPercent: `${row.costPercent}%`,
+            rate: formatMoney(row.rate),
+            // Role shares have no PERT totals
+            expected: row.pert ? formatHours(row.pert.expected) : '—',
+            p80: row.pert ? formatHours(row.pert.p80) : '—',
+            p90: row.pert ? formatHours(row.pert.p90) : '—'
+        }));
+    }
+
+    handleTableTab(event) {
+        this.tableDimension = event.currentTarget.dataset.value;
+    }
+
+    handleDonutChange(event) {
+        this.donutDimension = event.target.value;
+    }
+
+    handleOverlayClick(event) {
+        if (this.isModal && event.target === event.currentTarget) {
+            this.handleClose();
+        }
+    }
+
+    stopPropagation(event) {
+        event.stopPropagation();
+    }
 
-    get totalHours() { return this.capabilities.reduce((sum, c) => sum + (c.Estimated_Hours__c || 0), 0); }
-    get hoursByPhase() {
-        const phases = {};
-        this.capabilities.forEach(c => { phases[c.Phase__c] = (phases[c.Phase__c] || 0) + (c.Estimated_Hours__c || 0); });
-        return Object.entries(phases).map(([phase, hours]) => ({ phase, hours }));
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
     }
 }
@@ -1,41 +1,329 @@
+/**
+ * @description    Sizing scheme of a map: pick a scheme, edit its sizes, hours, order and colors
+ *                 Saving changes a custom scheme for every map that uses it; standard schemes
+ *                 are only saved as a copy. Before saving, the modal lists the capabilities of
+ *                 this map whose size would be reset to TBD. The app reloads the map on the
+ *                 schemechanged event.
+ * @author         Cobra CRM B.V.
+ * @version        2.22.0
+ */
 import { LightningElement, api, track } from 'lwc';
-import updateHoursConfig from '@salesforce/apex/CapabilityMapController.updateHoursConfig';
+import getSchemes from '@salesforce/apex/SizingSchemeService.getSchemes';
+import saveScheme from '@salesforce/apex/SizingSchemeService.saveScheme';
+import setMapScheme from '@salesforce/apex/SizingSchemeService.setMapScheme';
+import deleteScheme from '@salesforce/apex/SizingSchemeService.deleteScheme';
+
+const UNSIZED = 'TBD';
+const NEW_SIZE_COLOR = '#1B96FF';
+// Maps created before sizing schemes have their own sizes until they are saved as a scheme
+const MAP_SIZES_ID = 'map-sizes';
+
+let rowKey = 0;
 
 export default class HoursConfigModal extends LightningElement {
-    @api capabilityMap;
-    @track hours = { XS: 2, S: 4, M: 8, L: 16, XL: 32, XXL: 64, XXXL: 128 };
-    @track isLoading = false;
-
-    connectedCallback() {
-        if (this.capabilityMap) {
-            this.hours = {
-                XS: this.capabilityMap.XS_Hours__c || 2,
-                S: this.capabilityMap.S_Hours__c || 4,
-                M: this.capabilityMap.M_Hours__c || 8,
-                L: this.capabilityMap.L_Hours__c || 16,
-                XL: this.capabilityMap.XL_Hours__c || 32,
-                XXL: this.capabilityMap.XXL_Hours__c || 64,
-                XXXL: this.capabilityMap.XXXL_Hours__c || 128
-            };
+    @api mapId;
+    @api mapName;
+    @api schemeId; // The map's current scheme; empty for maps without one
+    @api sizes = []; // The map's current sizes (getMapSizes)
+    @api usedSizes = {}; // Number of this map's capabilities per size
+
+    @track schemes = [];
+    @track selectedId = null;
+    @track schemeName = '';
+    @track description = '';
+    @track rows = [];
+    @track isLoading = true;
+    @track isBusy = false;
+    @track errorMessage = '';
+    @track confirmingDelete = false;
+
+    async connectedCallback() {
+        try {
+            this.schemes = await getSchemes();
+            if (!this.schemeId) {
+                // The map's own sizes, as a scheme that does not exist yet
+                this.schemes = [{
+                    id: MAP_SIZES_ID,
+                    name: `${this.mapName} sizes`,
+                    description: '',
+                    isStandard: false,
+                    mapCount: 1,
+                    sizes: this.sizes.filter(size => size.name !== UNSIZED)
+                }, ...this.schemes];
+            }
+            this.selectScheme(this.schemeId || MAP_SIZES_ID);
+        } catch (error) {
+            this.errorMessage = 'Error loading sizing schemes: ' + (error.body?.message || error.message);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    selectScheme(schemeId) {
+        const scheme = this.schemes.find(item => item.id === schemeId) || this.schemes[0];
+        this.selectedId = scheme.id;
+        this.schemeName = scheme.name;
+        this.description = scheme.description || '';
+        this.rows = scheme.sizes.map(size => ({
+            key: `row-${rowKey++}`,
+            id: size.id || null,
+            originalName: size.name,
+            name: size.name,
+            hours: size.hours,
+            color: size.color || NEW_SIZE_COLOR
+        }));
+        this.confirmingDelete = false;
+        this.errorMessage = '';
+    }
+
+    get modalTitle() {
+        return `Sizes of "${this.mapName}"`;
+    }
+
+    get selectedScheme() {
+        return this.schemes.find(scheme => scheme.id === this.selectedId);
+    }
+
+    get schemeOptions() {
+        return this.schemes.map(scheme => ({
+            value: scheme.id,
+            label: `${scheme.name}${scheme.isStandard ? ' (standard)' : ''}${scheme.id === this.currentId ? ' - current' : ''}`,
+            selected: scheme.id === this.selectedId
+        }));
+    }
+
+    get currentId() {
+        return this.schemeId || MAP_SIZES_ID;
+    }
+
+    get isStandard() {
+        return !!this.selectedScheme?.isStandard;
+    }
+
+    get isMapSizes() {
+        return this.selectedId === MAP_SIZES_ID;
+    }
+
+    get usageText() {
+        const scheme = this.selectedScheme;
+        if (!scheme || this.isMapSizes) {
+            return 'Only this map uses these sizes. Saving stores them as a sizing scheme other maps can use too.';
+        }
+        const others = scheme.mapCount - (scheme.id === this.schemeId ? 1 : 0);
+        if (scheme.isStandard) {
+            return 'Standard scheme: save a copy to change its sizes or hours.';
+        }
+        if (others > 0) {
+            return `Also used by ${others} other ${others === 1 ? 'map' : 'maps'}; saving changes them too.`;
         }
+        return 'No other map uses this scheme.';
+    }
+
+    get sizeRows() {
+        return this.rows.map((row, index) => ({
+            ...row,
+            swatchStyle: `background-color: ${row.color}`,
+            isFirst: index === 0,
+            isLast: index === this.rows.length - 1,
+            usedLabel: this.usedSizes[row.originalName] ? `${this.usedSizes[row.originalName]} used` : ''
+        }));
+    }
+
+    get isChanged() {
+        const scheme = this.selectedScheme;
+        if (!scheme) return false;
+        const signature = sizes => sizes.map(size => `${size.name}=${size.hours}=${size.color}`).join('|');
+        return this.schemeName !== scheme.name
+            || this.description !== (scheme.description || '')
+            || signature(this.rows) !== signature(scheme.sizes);
+    }
+
+    // Sizes of this map's capabilities the saved scheme does not have, with their counts
+    // Renames carry over when the map's own scheme is changed in place
+    resetSizes(inPlace) {
+        const names = new Set(this.rows.map(row => row.name.trim()));
+        const carried = new Set(inPlace ? this.rows.filter(row => row.id).map(row => row.originalName) : []);
+        return Object.keys(this.usedSizes)
+            .filter(size => size !== UNSIZED && !names.has(size) && !carried.has(size))
+            .map(size => ({ size, count: this.usedSizes[size] }));
+    }
+
+    get saveWarning() {
+        const inPlace = this.selectedId === this.currentId && !this.isMapSizes;
+        const reset = this.resetSizes(inPlace).map(item => `${item.size} (${item.count})`);
+        return reset.length > 0 ? `Capabilities of these sizes are reset to TBD: ${reset.join(', ')}` : '';
+    }
+
+    get canSave() {
+        if (this.isBusy || this.isLoading) return false;
+        if (this.isStandard) return this.selectedId !== this.currentId && !this.isChanged;
+        return this.isChanged || this.selectedId !== this.currentId;
+    }
+
+    get saveDisabled() {
+        return !this.canSave;
+    }
+
+    get saveLabel() {
+        return this.selectedId === this.currentId ? 'Save' : 'Use for this map';
+    }
+
+    get copyDisabled() {
+        return this.isBusy || this.isLoading;
+    }
+
+    get canDelete() {
+        const scheme = this.selectedScheme;
+        return !!scheme && !scheme.isStandard && !this.isMapSizes && scheme.mapCount === 0;
     }
 
-    handleHoursChange(event) {
-        const size = event.target.dataset.size;
-        this.hours = { ...this.hours, [size]: parseInt(event.target.value, 10) };
+    // Handlers
+    handleSchemeChange(event) {
+        this.selectScheme(event.target.value);
     }
 
-    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+    handleNameChange(event) {
+        this.schemeName = event.target.value;
+    }
+
+    handleDescriptionChange(event) {
+        this.description = event.target.value;
+    }
 
+    handleRowChange(event) {
+        const { key, field } = event.target.dataset;
+        const value = field === 'hours' ? Number(event.target.value) : event.target.value;
+        this.rows = this.rows.map(row => (row.key === key ? { ...row, [field]: value } : row));
+    }
+
+    handleMoveUp(event) {
+        this.moveRow(event.currentTarget.dataset.key, -1);
+    }
+
+    handleMoveDown(event) {
+        this.moveRow(event.currentTarget.dataset.key, 1);
+    }
+
+    moveRow(key, offset) {
+        const rows = [...this.rows];
+        const index = rows.findIndex(row => row.key === key);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= rows.length) return;
+        [rows[index], rows[target]] = [rows[target], rows[index]];
+        this.rows = rows;
+    }
+
+    handleRemoveRow(event) {
+        const key = event.currentTarget.dataset.key;
+        this.rows = this.rows.filter(row => row.key !== key);
+    }
+
+    handleAddRow() {
+        const last = this.rows[this.rows.length - 1];
+        this.rows = [...this.rows, {
+            key: `row-${rowKey++}`,
+            id: null,
+            originalName: null,
+            name: '',
+            hours: last ? last.hours * 2 : 1,
+            color: NEW_SIZE_COLOR
+        }];
+    }
+
+    // Changes the selected scheme (unless it is the map's own sizes) and uses it for this map
     async handleSave() {
-        this.isLoading = true;
+        if (!this.canSave) return;
+        const inPlace = !this.isMapSizes && !this.isStandard && this.isChanged;
+        await this.run('Error saving the sizing scheme', async () => {
+            let schemeId = this.selectedId;
+            if (this.isMapSizes) {
+                schemeId = (await saveScheme({
+                    schemeId: null, name: this.schemeName, description: this.description, sizes: this.sizePayload(false)
+                })).id;
+            } else if (inPlace) {
+                await saveScheme({
+                    schemeId, name: this.schemeName, description: this.description, sizes: this.sizePayload(true)
+                });
+            }
+            return schemeId;
+        });
+    }
+
+    // Saves the edited sizes as a new scheme and uses it for this map
+    async handleSaveCopy() {
+        const scheme = this.selectedScheme;
+        const name = this.schemeName.trim() === scheme?.name && !this.isMapSizes
+            ? `${this.schemeName.trim()} (copy)`
+            : this.schemeName;
+        await this.run('Error saving the sizing scheme', async () => {
+            const saved = await saveScheme({
+                schemeId: null, name, description: this.description, sizes: this.sizePayload(false)
+            });
+            return saved.id;
+        });
+    }
+
+    handleDelete() {
+        this.confirmingDelete = true;
+    }
+
+    handleCancelDelete() {
+        this.confirmingDelete = false;
+    }
+
+    async handleConfirmDelete() {
+        this.isBusy = true;
+        this.errorMessage = '';
         try {
-            const map = await updateHoursConfig({ mapId: this.capabilityMap.Id, hoursConfig: this.hours });
-            this.dispatchEvent(new CustomEvent('hoursupdated', { detail: { map } }));
+            await deleteScheme({ schemeId: this.selectedId });
+            this.schemes = this.schemes.filter(scheme => scheme.id !== this.selectedId);
+            this.selectScheme(this.currentId);
         } catch (error) {
-            console.error('Error:', error);
+            this.errorMessage = 'Error deleting the sizing scheme: ' + (error.body?.message || error.message);
         } finally {
-            this.isLoading = false;
+            this.isBusy = false;
         }
     }
+
+    sizePayload(keepIds) {
+        return this.rows.map(row => ({
+            id: keepIds ? row.id : null,
+            name: row.name,
+            hours: row.hours,
+            color: row.color
+        }));
+    }
+
+    // Saves through the action (which returns the scheme to use), then switches the map to it
+    async run(errorLabel, action) {
+        this.errorMessage = '';
+        this.isBusy = true;
+        try {
+            const schemeId = await action();
+            // Saving the map's scheme in place resets its removed sizes on the server already
+            let reset = this.resetSizes(true).reduce((sum, item) => sum + item.count, 0);
+            if (schemeId !== this.schemeId) {
+                reset = await setMapScheme({ mapId: this.mapId, schemeId });
+            }
+            this.dispatchEvent(new CustomEvent('schemechanged', { detail: { schemeId, reset } }));
+        } catch (error) {
+            this.errorMessage = `${errorLabel}: ${error.body?.message || error.message}`;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) {
+            this.handleClose();
+        }
+    }
+
+    stopPropagation(event) {
+        event.stopPropagation();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
 }
@@ -0,0 +1,185 @@
+/**
+ * ============================================================
+ * mapImportModal.js
+ * ============================================================
+ * @description    JSON Import Modal - previews an exported capability map
+ *                 and imports it into the current map or a new one
+ * @author         Cobra CRM B.V.
+ * @version        2.18.0
+ *
+ * CHANGELOG:
+ * ─────────────────────────────────────────────────────────────
+ * v2.5.0  2026-10-18  Initial version with merge/replace/new modes
+ * v2.17.0 2026-10-18  Previews capability dependencies
+ * v2.18.0 2026-10-18  Previews comments
+ * ============================================================
+ */
+import { LightningElement, api, track } from 'lwc';
+import importMap from '@salesforce/apex/MapImportService.importMap';
+
+const MODES = [
+    { id: 'merge', label: 'Merge', description: 'Add to this map, merging categories and roles with the same name' },
+    { id: 'replace', label: 'Replace', description: 'Clear this map first, then recreate the imported content' },
+    { id: 'new', label: 'New Map', description: 'Create a new map from the imported content' }
+];
+
+export default class MapImportModal extends LightningElement {
+    @api importData; // Parsed export JSON
+    @api fileName = '';
+    @api mapId;
+    @api categories = []; // Categories of the current map (for merge preview)
+    @api roles = []; // Roles of the current map (for merge preview)
+
+    @track mode = 'merge';
+    @track newMapName = '';
+    @track isLoading = false;
+    @track errorMessage = '';
+
+    connectedCallback() {
+        this.newMapName = this.importData?.name ? `${this.importData.name} (Imported)` : 'Imported Map';
+        if (!this.mapId) {
+            this.mode = 'new';
+        }
+    }
+
+    get modeOptions() {
+        return MODES
+            .filter(m => this.mapId || m.id === 'new')
+            .map(m => ({
+                ...m,
+                optionClass: m.id === this.mode ? 'mode-option selected' : 'mode-option'
+            }));
+    }
+
+    get isNewMode() {
+        return this.mode === 'new';
+    }
+
+    get isReplaceMode() {
+        return this.mode === 'replace';
+    }
+
+    get sourceName() {
+        return this.importData?.name || this.fileName;
+    }
+
+    get exportedDate() {
+        const exported = this.importData?.exported;
+        return exported ? new Date(exported).toLocaleString() : '';
+    }
+
+    // Counts and warnings shown before anything is written
+    get preview() {
+        const data = this.importData || {};
+        const categories = data.categories || [];
+        const capabilities = data.capabilities || [];
+        const roles = data.roles || [];
+        const assignments = data.roleAssignments || [];
+        const phaseColors = data.phaseColors || [];
+        const dependencies = data.dependencies || [];
+        const comments = data.comments || [];
+        const merging = this.mode === 'merge';
+
+        const existingCategoryNames = new Set(this.categories.map(c => c.Name));
+        const existingRoleNames = new Set(this.roles.map(r => r.Name));
+        const categoryIds = new Set(categories.map(c => c.Id));
+        const capabilityIds = new Set(capabilities.map(c => c.Id));
+        const roleIds = new Set(roles.map(r => r.Id));
+
+        const mergedCategories = merging ? categories.filter(c => existingCategoryNames.has(c.Name)) : [];
+        const mergedRoles = merging ? roles.filter(r => existingRoleNames.has(r.Name)) : [];
+        const orphanCapabilities = capabilities.filter(c => !categoryIds.has(c.Capability_Category__c));
+        const orphanAssignments = assignments.filter(a =>
+            !capabilityIds.has(a.Capability__c) || !roleIds.has(a.Capability_Role__c)
+        );
+        const linkedDependencies = dependencies.filter(d =>
+            capabilityIds.has(d.Capability__c) && capabilityIds.has(d.Depends_On__c)
+        );
+
+        const rows = [
+            { key: 'categories', label: 'Categories', create: categories.length - mergedCategories.length, merge: mergedCategories.length },
+            { key: 'capabilities', label: 'Capabilities', create: capabilities.length - orphanCapabilities.length, merge: 0 },
+            { key: 'roles', label: 'Roles', create: roles.length - mergedRoles.length, merge: mergedRoles.length },
+            { key: 'assignments', label: 'Role Assignments', create: assignments.length - orphanAssignments.length, merge: 0 },
+            { key: 'dependencies', label: 'Dependencies', create: linkedDependencies.length, merge: 0 },
+            { key: 'comments', label: 'Comments', create: comments.filter(c => capabilityIds.has(c.Capability__c)).length, merge: 0 },
+            { key: 'phaseColors', label: 'Phase Colors', create: phaseColors.length, merge: 0 }
+        ].map(row => ({ ...row, hasMerge: row.merge > 0 }));
+
+        const warnings = [];
+        if (orphanCapabilities.length > 0) {
+            warnings.push(`${orphanCapabilities.length} capabilities reference a category that is not in the file and will be skipped`);
+        }
+        if (orphanAssignments.length > 0) {
+            warnings.push(`${orphanAssignments.length} role assignments reference a missing capability or role and will be skipped`);
+        }
+        if (!data.roles && !data.phaseColors) {
+            warnings.push('This file was exported by an older version: roles, assignments and phase colors are not included');
+        }
+        if (merging && mergedCategories.length > 0) {
+            warnings.push(`Capabilities of ${mergedCategories.length} categories will be added to existing categories with the same name`);
+        }
+
+        return {
+            rows,
+            warnings: warnings.map((text, index) => ({ key: `w${index}`, text })),
+            hasWarnings: warnings.length > 0
+        };
+    }
+
+    get importDisabled() {
+        return this.isLoading || (this.isNewMode && !this.newMapName.trim());
+    }
+
+    get importButtonLabel() {
+        return this.isLoading ? 'Importing...' : 'Import';
+    }
+
+    handleModeSelect(event) {
+        this.mode = event.currentTarget.dataset.mode;
+    }
+
+    handleNameChange(event) {
+        this.newMapName = event.target.value;
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+
+    stopPropagation(event) { event.stopPropagation(); }
+
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+
+    async handleImport() {
+        this.isLoading = true;
+        this.errorMessage = '';
+        try {
+            const result = await importMap({
+                mapId: this.isNewMode ? null : this.mapId,
+                jsonContent: JSON.stringify(this.importData),
+                mode: this.mode,
+                newMapName: this.isNewMode ? this.newMapName : null
+            });
+
+            if (!result.success) {
+                this.errorMessage = result.error || 'Import failed';
+                return;
+            }
+
+            this.dispatchEvent(new CustomEvent('imported', {
+                detail: {
+                    mapId: result.mapId,
+                    isNewMap: this.isNewMode,
+                    capabilitiesCreated: result.capabilitiesCreated,
+                    categoriesCreated: result.categoriesCreated
+                }
+            }));
+        } catch (error) {
+            console.error('Error importing map:', error);
+            this.errorMessage = error.body?.message || error.message || 'Import failed';
+        } finally {
+            this.isLoading = false;
+        }
+    }
+}
@@ -12,13 +12,13 @@ export default class MapLifecycleControls extends LightningElement {
 
     handleClear() {
         this.confirmAction = 'clear';
-        this.confirmMessage = 'This will delete all categories and capabilities. Are you sure?';
+        this.confirmMessage = 'This will delete all categories and capabilities. A snapshot is taken first, so the map can be restored. Are you sure?';
         this.showConfirmModal = true;
     }
 
     handleReset() {
         this.confirmAction = 'reset';
-        this.confirmMessage = 'This will reset the map to the original templates. Are you sure?';
+        this.confirmMessage = 'This will reset the map to the original templates. A snapshot is taken first, so the map can be restored. Are you sure?';
         this.showConfirmModal = true;
     }
 
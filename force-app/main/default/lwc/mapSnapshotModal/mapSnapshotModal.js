@@ -0,0 +1,277 @@
+/**
+ * @description    Snapshots of a map: take, compare (with each other or the live map),
+ *                 restore and delete. The comparison lists added, removed, moved and
+ *                 resized capabilities with the hours and cost they add or remove.
+ *                 The app reloads the map through the restored event.
+ * @author         Cobra CRM B.V.
+ * @version        2.20.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import getSnapshots from '@salesforce/apex/MapSnapshotService.getSnapshots';
+import createSnapshot from '@salesforce/apex/MapSnapshotService.createSnapshot';
+import deleteSnapshot from '@salesforce/apex/MapSnapshotService.deleteSnapshot';
+import compareSnapshots from '@salesforce/apex/MapSnapshotService.compareSnapshots';
+import restoreSnapshot from '@salesforce/apex/MapSnapshotService.restoreSnapshot';
+
+const LIVE = 'live';
+const DIFF_SECTIONS = [
+    { key: 'added', label: 'Added', className: 'diff-section added' },
+    { key: 'removed', label: 'Removed', className: 'diff-section removed' },
+    { key: 'moved', label: 'Moved', className: 'diff-section moved' },
+    { key: 'resized', label: 'Resized', className: 'diff-section resized' }
+];
+
+export default class MapSnapshotModal extends LightningElement {
+    @api mapId;
+    @api mapName;
+
+    @track snapshots = [];
+    @track name = '';
+    @track description = '';
+    @track baseId = '';
+    @track compareId = LIVE;
+    @track diff = null;
+    @track confirmRestoreId = '';
+    @track errorMessage = '';
+    @track isLoading = true;
+    isBusy = false;
+
+    connectedCallback() {
+        this.loadSnapshots();
+    }
+
+    get modalTitle() {
+        return `Snapshots of "${this.mapName}"`;
+    }
+
+    get hasSnapshots() {
+        return this.snapshots.length > 0;
+    }
+
+    get rows() {
+        return this.snapshots.map(snapshot => ({
+            id: snapshot.Id,
+            name: snapshot.Name,
+            isAutomatic: snapshot.Is_Automatic__c,
+            description: snapshot.Description__c,
+            meta: [
+                new Date(snapshot.CreatedDate).toLocaleString(),
+                snapshot.CreatedBy?.Name,
+                `${snapshot.Capability_Count__c || 0} capabilities`,
+                `${formatNumber(snapshot.Total_Hours__c)} h`,
+                `cost ${formatNumber(snapshot.Total_Cost__c)}`
+            ].filter(Boolean).join(' · '),
+            confirmingRestore: snapshot.Id === this.confirmRestoreId
+        }));
+    }
+
+    get baseOptions() {
+        return this.snapshots.map(snapshot => ({
+            value: snapshot.Id,
+            label: snapshot.Name,
+            selected: snapshot.Id === this.baseId
+        }));
+    }
+
+    get compareOptions() {
+        return [
+            { value: LIVE, label: 'Live map', selected: this.compareId === LIVE },
+            ...this.snapshots
+                .filter(snapshot => snapshot.Id !== this.baseId)
+                .map(snapshot => ({ value: snapshot.Id, label: snapshot.Name, selected: snapshot.Id === this.compareId }))
+        ];
+    }
+
+    get createDisabled() {
+        return !this.name.trim() || this.isBusy;
+    }
+
+    get compareDisabled() {
+        return !this.baseId || this.isBusy;
+    }
+
+    // Totals and change lists of the last comparison, ready to render
+    get diffView() {
+        if (!this.diff) return null;
+        const { before, after, hoursDelta, costDelta } = this.diff;
+        const sections = DIFF_SECTIONS.map(section => ({
+            ...section,
+            title: `${section.label} (${this.diff[section.key].length})`,
+            items: this.diff[section.key].map((item, index) => ({
+                key: `${section.key}-${index}`,
+                name: item.name,
+                detail: describeChange(section.key, item),
+                delta: formatDelta(item.hoursDelta, ' h') + (item.costDelta ? ` · ${formatDelta(item.costDelta, '')}` : '')
+            }))
+        })).filter(section => section.items.length > 0);
+        return {
+            capabilities: `${before.capabilities} → ${after.capabilities}`,
+            hours: `${formatNumber(before.hours)} → ${formatNumber(after.hours)} h`,
+            hoursDelta: formatDelta(hoursDelta, ' h'),
+            cost: `${formatNumber(before.cost)} → ${formatNumber(after.cost)}`,
+            costDelta: formatDelta(costDelta, ''),
+            hoursDeltaClass: deltaClass(hoursDelta),
+            costDeltaClass: deltaClass(costDelta),
+            sections,
+            hasChanges: sections.length > 0
+        };
+    }
+
+    async loadSnapshots() {
+        this.isLoading = true;
+        try {
+            this.snapshots = await getSnapshots({ mapId: this.mapId });
+            if (!this.snapshots.some(snapshot => snapshot.Id === this.baseId)) {
+                this.baseId = this.snapshots[0]?.Id || '';
+            }
+            if (this.compareId !== LIVE && !this.snapshots.some(snapshot => snapshot.Id === this.compareId)) {
+                this.compareId = LIVE;
+            }
+        } catch (error) {
+            this.showError('Error loading snapshots', error);
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    // ============================================
+    // TAKE AND DELETE
+    // ============================================
+    handleNameChange(event) {
+        this.name = event.target.value;
+    }
+
+    handleDescriptionChange(event) {
+        this.description = event.target.value;
+    }
+
+    async handleCreate() {
+        if (this.createDisabled) return;
+        await this.run('Error taking snapshot', async () => {
+            const snapshot = await createSnapshot({ mapId: this.mapId, name: this.name, description: this.description });
+            this.name = '';
+            this.description = '';
+            this.baseId = snapshot.Id;
+            await this.loadSnapshots();
+        });
+    }
+
+    async handleDelete(event) {
+        const snapshotId = event.currentTarget.dataset.id;
+        await this.run('Error deleting snapshot', async () => {
+            await deleteSnapshot({ snapshotId });
+            if (this.baseId === snapshotId || this.compareId === snapshotId) {
+                this.diff = null;
+            }
+            await this.loadSnapshots();
+        });
+    }
+
+    // ============================================
+    // COMPARE
+    // ============================================
+    handleBaseChange(event) {
+        this.baseId = event.target.value;
+        if (this.compareId === this.baseId) {
+            this.compareId = LIVE;
+        }
+        this.diff = null;
+    }
+
+    handleCompareChange(event) {
+        this.compareId = event.target.value;
+        this.diff = null;
+    }
+
+    handleCompareWithLive(event) {
+        this.baseId = event.currentTarget.dataset.id;
+        this.compareId = LIVE;
+        this.handleCompare();
+    }
+
+    async handleCompare() {
+        if (this.compareDisabled) return;
+        await this.run('Error comparing snapshots', async () => {
+            this.diff = await compareSnapshots({
+                baseSnapshotId: this.baseId,
+                compareSnapshotId: this.compareId === LIVE ? null : this.compareId
+            });
+        });
+    }
+
+    // ============================================
+    // RESTORE
+    // ============================================
+    handleRestore(event) {
+        this.confirmRestoreId = event.currentTarget.dataset.id;
+    }
+
+    handleCancelRestore() {
+        this.confirmRestoreId = '';
+    }
+
+    async handleConfirmRestore() {
+        const snapshotId = this.confirmRestoreId;
+        this.confirmRestoreId = '';
+        await this.run('Error restoring snapshot', async () => {
+            const result = await restoreSnapshot({ snapshotId });
+            const snapshot = this.snapshots.find(s => s.Id === snapshotId);
+            this.dispatchEvent(new CustomEvent('restored', {
+                detail: { name: snapshot?.Name, capabilitiesCreated: result.capabilitiesCreated }
+            }));
+        });
+    }
+
+    async run(errorLabel, action) {
+        this.errorMessage = '';
+        this.isBusy = true;
+        try {
+            await action();
+        } catch (error) {
+            this.showError(errorLabel, error);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    showError(label, error) {
+        console.error(label + ':', error);
+        this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+}
+
+function describeChange(kind, item) {
+    if (kind === 'added') {
+        return [item.toCategory, item.toPhase, item.toSize].filter(Boolean).join(' · ');
+    }
+    if (kind === 'removed') {
+        return [item.fromCategory, item.fromPhase, item.fromSize].filter(Boolean).join(' · ');
+    }
+    if (kind === 'moved') {
+        const from = [item.fromCategory, item.fromPhase].filter(Boolean).join(' · ');
+        const to = [item.toCategory, item.toPhase].filter(Boolean).join(' · ');
+        return `${from} → ${to}`;
+    }
+    return `${item.fromSize || 'TBD'} → ${item.toSize || 'TBD'} (${formatNumber(item.fromHours)} → ${formatNumber(item.toHours)} h)`;
+}
+
+function formatNumber(value) {
+    return Number(value || 0).toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+function formatDelta(value, unit) {
+    const number = Number(value || 0);
+    return `${number > 0 ? '+' : ''}${formatNumber(number)}${unit}`;
+}
+
+function deltaClass(value) {
+    if (value > 0) return 'delta up';
+    if (value < 0) return 'delta down';
+    return 'delta';
+}
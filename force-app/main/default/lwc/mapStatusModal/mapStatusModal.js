@@ -0,0 +1,114 @@
+/**
+ * @description    Status workflow of a map (Draft → Active → Archived)
+ *                 Shows what the current status means for editing and lets the owner
+ *                 move the map one step forward, or reopen it one step back with a reason.
+ *                 The app receives the map's new access through the statuschanged event.
+ * @author         Cobra CRM B.V.
+ * @version        2.21.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import changeStatus from '@salesforce/apex/MapStatusService.changeStatus';
+import reopenMap from '@salesforce/apex/MapStatusService.reopenMap';
+
+const STATUSES = [
+    { value: 'Draft', description: 'Everyone with access to the map can change it.' },
+    { value: 'Active', description: 'Only the owner can change the map; others can view and comment.' },
+    { value: 'Archived', description: 'Nobody can change the map or comment on it.' }
+];
+const TRANSITION_LABELS = { Active: 'Activate', Archived: 'Archive' };
+
+export default class MapStatusModal extends LightningElement {
+    @api mapId;
+    @api mapName;
+    @api access; // MapStatusService.getMapAccess
+
+    @track reason = '';
+    @track errorMessage = '';
+    @track isBusy = false;
+
+    get modalTitle() {
+        return `Status of "${this.mapName}"`;
+    }
+
+    get steps() {
+        const current = STATUSES.findIndex(status => status.value === this.access?.status);
+        return STATUSES.map((status, index) => ({
+            ...status,
+            className: index === current ? 'step current' : index < current ? 'step done' : 'step'
+        }));
+    }
+
+    get statusDescription() {
+        return STATUSES.find(status => status.value === this.access?.status)?.description;
+    }
+
+    get ownerText() {
+        return this.access?.isOwner ? 'You own this map' : `Owned by ${this.access?.ownerName}`;
+    }
+
+    get canAdvance() {
+        return !!this.access?.nextStatus;
+    }
+
+    get advanceLabel() {
+        return `${TRANSITION_LABELS[this.access?.nextStatus]} map`;
+    }
+
+    get advanceHint() {
+        const next = STATUSES.find(status => status.value === this.access?.nextStatus);
+        return next ? `${next.value}: ${next.description}` : '';
+    }
+
+    get canReopen() {
+        return !!this.access?.previousStatus;
+    }
+
+    get reopenLabel() {
+        return `Reopen as ${this.access?.previousStatus}`;
+    }
+
+    get reopenDisabled() {
+        return !this.reason.trim() || this.isBusy;
+    }
+
+    get showOwnerOnlyHint() {
+        return !this.access?.isOwner;
+    }
+
+    handleReasonChange(event) {
+        this.reason = event.target.value;
+    }
+
+    async handleAdvance() {
+        await this.run('Error changing the status', () =>
+            changeStatus({ mapId: this.mapId, status: this.access.nextStatus })
+        );
+    }
+
+    async handleReopen() {
+        if (this.reopenDisabled) return;
+        await this.run('Error reopening the map', () =>
+            reopenMap({ mapId: this.mapId, reason: this.reason })
+        );
+    }
+
+    async run(errorLabel, action) {
+        this.errorMessage = '';
+        this.isBusy = true;
+        try {
+            const access = await action();
+            this.dispatchEvent(new CustomEvent('statuschanged', { detail: { access } }));
+        } catch (error) {
+            console.error(errorLabel + ':', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+}
@@ -0,0 +1,119 @@
+/**
+ * @description    Save or edit a named filter view of the capability map
+ *                 Only the owner can rename, share or delete a view; anyone
+ *                 who can see it can make it their default.
+ * @author         Cobra CRM B.V.
+ * @version        2.11.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import USER_ID from '@salesforce/user/Id';
+import saveView from '@salesforce/apex/MapViewController.saveView';
+import deleteView from '@salesforce/apex/MapViewController.deleteView';
+import setDefaultView from '@salesforce/apex/MapViewController.setDefaultView';
+
+export default class MapViewModal extends LightningElement {
+    @api view; // Existing view to edit, or null to save a new one
+    @api mapId;
+    @api filters; // Current filter state (JSON)
+    @api isDefault = false;
+
+    @track name = '';
+    @track isShared = false;
+    @track makeDefault = false;
+    @track replaceFilters = false;
+    @track errorMessage = '';
+    @track confirmingDelete = false; // Delete asks for a second click
+
+    connectedCallback() {
+        if (this.view) {
+            this.name = this.view.Name || '';
+            this.isShared = this.view.Is_Shared__c || false;
+        }
+        this.makeDefault = this.isDefault;
+    }
+
+    get isEditMode() {
+        return !!this.view;
+    }
+
+    get isOwner() {
+        return !this.view || this.view.OwnerId === USER_ID;
+    }
+
+    get isReadOnly() {
+        return !this.isOwner;
+    }
+
+    get canDelete() {
+        return this.isEditMode && this.isOwner;
+    }
+
+    get modalTitle() {
+        return this.isEditMode ? 'Edit View' : 'Save View';
+    }
+
+    get deleteLabel() {
+        return this.confirmingDelete ? 'Click again to delete' : 'Delete';
+    }
+
+    get ownerHint() {
+        return this.isOwner ? null : `Shared by ${this.view.Owner?.Name || 'another user'}`;
+    }
+
+    handleNameChange(event) { this.name = event.target.value; }
+    handleSharedChange(event) { this.isShared = event.target.checked; }
+    handleDefaultChange(event) { this.makeDefault = event.target.checked; }
+    handleReplaceFiltersChange(event) { this.replaceFilters = event.target.checked; }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) this.handleClose();
+    }
+    stopPropagation(event) { event.stopPropagation(); }
+    handleClose() { this.dispatchEvent(new CustomEvent('close')); }
+
+    async handleSave() {
+        if (!this.name.trim()) {
+            this.errorMessage = 'Please enter a name';
+            return;
+        }
+
+        try {
+            let saved = this.view;
+            if (this.isOwner) {
+                saved = await saveView({
+                    mapId: this.mapId,
+                    viewId: this.view?.Id || null,
+                    name: this.name,
+                    filters: !this.view || this.replaceFilters ? this.filters : this.view.Filters__c,
+                    isShared: this.isShared
+                });
+            }
+            if (this.makeDefault !== this.isDefault) {
+                await setDefaultView({ mapId: this.mapId, viewId: this.makeDefault ? saved.Id : null });
+            }
+            this.dispatchEvent(new CustomEvent('saved', {
+                detail: { view: saved, isDefault: this.makeDefault }
+            }));
+        } catch (error) {
+            console.error('Error saving view:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+        }
+    }
+
+    async handleDelete() {
+        if (!this.view) return;
+        if (!this.confirmingDelete) {
+            this.confirmingDelete = true;
+            return;
+        }
+
+        try {
+            await deleteView({ viewId: this.view.Id });
+            this.dispatchEvent(new CustomEvent('deleted', { detail: { viewId: this.view.Id } }));
+        } catch (error) {
+            console.error('Error deleting view:', error);
+            this.errorMessage = 'Error: ' + (error.body?.message || error.message);
+            this.confirmingDelete = false;
+        }
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * @description    Phases of a map: add, rename, reorder and delete phases, with dates and colors
+ *                 Renamed phases are renamed on the capabilities when saved. Removing a phase
+ *                 that still has capabilities asks which phase they move to. The app reloads
+ *                 the map on the phaseschanged event.
+ * @author         Cobra CRM B.V.
+ * @version        2.23.0
+ */
+import { LightningElement, api, track } from 'lwc';
+import savePhases from '@salesforce/apex/PhaseService.savePhases';
+
+const NEW_PHASE_COLOR = '#9CA3AF';
+
+let rowKey = 0;
+
+export default class PhaseEditorModal extends LightningElement {
+    @api mapId;
+    @api mapName;
+    @api usedPhases = {}; // Number of this map's capabilities per phase name
+
+    @track rows = [];
+    @track reassignments = {}; // Removed phase name -> phase its capabilities move to
+    @track isBusy = false;
+    @track errorMessage = '';
+
+    _phases = [];
+
+    // The map's phases in order (PhaseService.getPhases)
+    @api
+    get phases() {
+        return this._phases;
+    }
+    set phases(value) {
+        this._phases = value || [];
+        this.rows = this._phases.map(phase => ({
+            key: `phase-${rowKey++}`,
+            originalName: phase.Name,
+            name: phase.Name,
+            color: phase.Color__c || NEW_PHASE_COLOR,
+            startDate: phase.Start_Date__c || '',
+            endDate: phase.End_Date__c || ''
+        }));
+        this.reassignments = {};
+    }
+
+    get modalTitle() {
+        return `Phases of "${this.mapName}"`;
+    }
+
+    get phaseRows() {
+        return this.rows.map((row, index) => {
+            const used = this.usedPhases[row.originalName] || 0;
+            return {
+                ...row,
+                isFirst: index === 0,
+                isLast: index === this.rows.length - 1,
+                usedLabel: used > 0 ? `${used} used` : '',
+                renamed: !!row.originalName && row.name.trim() !== row.originalName
+            };
+        });
+    }
+
+    get hasRenames() {
+        return this.phaseRows.some(row => row.renamed && this.usedPhases[row.originalName]);
+    }
+
+    get phaseNames() {
+        return this.rows.map(row => row.name.trim()).filter(name => name);
+    }
+
+    // Removed phases whose capabilities need a new phase
+    // A phase removed and added again under the same name keeps its capabilities
+    get removedPhases() {
+        const kept = new Set(this.rows.map(row => row.originalName).filter(name => name));
+        const names = new Set(this.phaseNames);
+        return this._phases
+            .filter(phase => !kept.has(phase.Name) && !names.has(phase.Name) && this.usedPhases[phase.Name])
+            .map(phase => {
+                const target = this.reassignments[phase.Name] || '';
+                return {
+                    name: phase.Name,
+                    label: `Move the ${this.usedPhases[phase.Name]} capabilities of "${phase.Name}" to`,
+                    options: [
+                        { value: '', label: 'Choose a phase…', selected: !target },
+                        ...this.phaseNames.map(name => ({ value: name, label: name, selected: name === target }))
+                    ]
+                };
+            });
+    }
+
+    get hasRemovedPhases() {
+        return this.removedPhases.length > 0;
+    }
+
+    // First problem that keeps the phases from being saved, if any
+    get validationMessage() {
+        if (this.rows.length === 0) return 'A map needs at least one phase';
+        if (this.rows.some(row => !row.name.trim())) return 'Every phase needs a name';
+        const seen = new Set();
+        for (const name of this.phaseNames) {
+            if (seen.has(name.toLowerCase())) return `Phase names must be unique: ${name}`;
+            seen.add(name.toLowerCase());
+        }
+        const backwards = this.rows.find(row => row.startDate && row.endDate && row.endDate < row.startDate);
+        if (backwards) return `"${backwards.name.trim()}" ends before it starts`;
+        const unassigned = this.removedPhases.find(phase => !this.phaseNames.includes(this.reassignments[phase.name]));
+        if (unassigned) return `Choose a phase for the capabilities of "${unassigned.name}"`;
+        return '';
+    }
+
+    get saveDisabled() {
+        return this.isBusy || !!this.validationMessage;
+    }
+
+    // Handlers
+    handleRowChange(event) {
+        const { key, field } = event.target.dataset;
+        const value = event.target.value;
+        this.rows = this.rows.map(row => (row.key === key ? { ...row, [field]: value } : row));
+    }
+
+    handleReassignChange(event) {
+        const phase = event.target.dataset.phase;
+        this.reassignments = { ...this.reassignments, [phase]: event.target.value };
+    }
+
+    handleMoveUp(event) {
+        this.moveRow(event.currentTarget.dataset.key, -1);
+    }
+
+    handleMoveDown(event) {
+        this.moveRow(event.currentTarget.dataset.key, 1);
+    }
+
+    moveRow(key, offset) {
+        const rows = [...this.rows];
+        const index = rows.findIndex(row => row.key === key);
+        const target = index + offset;
+        if (index < 0 || target < 0 || target >= rows.length) return;
+        [rows[index], rows[target]] = [rows[target], rows[index]];
+        this.rows = rows;
+    }
+
+    handleRemoveRow(event) {
+        const key = event.currentTarget.dataset.key;
+        this.rows = this.rows.filter(row => row.key !== key);
+    }
+
+    // New phases start where the last one ends
+    handleAddRow() {
+        const last = this.rows[this.rows.length - 1];
+        this.rows = [...this.rows, {
+            key: `phase-${rowKey++}`,
+            originalName: null,
+            name: '',
+            color: NEW_PHASE_COLOR,
+            startDate: last?.endDate || '',
+            endDate: ''
+        }];
+    }
+
+    async handleSave() {
+        if (this.saveDisabled) return;
+        this.errorMessage = '';
+        this.isBusy = true;
+        try {
+            const reassignments = {};
+            this.removedPhases.forEach(phase => {
+                reassignments[phase.name] = this.reassignments[phase.name];
+            });
+            const moved = this.removedPhases.reduce((sum, phase) => sum + this.usedPhases[phase.name], 0);
+            await savePhases({
+                mapId: this.mapId,
+                phases: this.rows.map(row => ({
+                    originalName: row.originalName,
+                    name: row.name.trim(),
+                    color: row.color,
+                    startDate: row.startDate || null,
+                    endDate: row.endDate || null
+                })),
+                reassignments
+            });
+            this.dispatchEvent(new CustomEvent('phaseschanged', { detail: { moved } }));
+        } catch (error) {
+            this.errorMessage = 'Error saving the phases: ' + (error.body?.message || error.message);
+        } finally {
+            this.isBusy = false;
+        }
+    }
+
+    handleOverlayClick(event) {
+        if (event.target === event.currentTarget) {
+            this.handleClose();
+        }
+    }
+
+    stopPropagation(event) {
+        event.stopPropagation();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
@@ -0,0 +1,41 @@
+/**
+ * ============================================================
+ * phasePlan.js
+ * ============================================================
+ * @description    Helpers for the phases of a map
+ *                 Phases are Phase_Color__c records (PhaseService.getPhases)
+ *                 in order, with an optional Start_Date__c/End_Date__c as
+ *                 ISO date strings (yyyy-mm-dd). Shared by the app (roadmap,
+ *                 legend) and capacityModel.
+ *
+ * @author         Cobra CRM B.V.
+ * @version        2.29.1
+ *
+ * CHANGELOG:
+ * v2.29.1  2026-10-18  Moved out of capabilityMapApp into its own module (c/phasePlan)
+ * v2.23.0  2026-10-18  Initial version
+ * ============================================================
+ */
+
+// Parses an ISO date (yyyy-mm-dd) as a local date, so it does not shift a day in
+// time zones west of UTC
+export function parseDate(value) {
+    if (!value) return null;
+    const [year, month, day] = String(value).split('-').map(Number);
+    return year && month && day ? new Date(year, month - 1, day) : null;
+}
+
+function shortDate(value) {
+    const date = parseDate(value);
+    return date ? date.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+}
+
+// "3 Mar 2027 – 30 Jun 2027", "from 3 Mar 2027", "until 30 Jun 2027" or '' without dates
+export function formatPhaseDates(phase) {
+    const start = shortDate(phase?.Start_Date__c);
+    const end = shortDate(phase?.End_Date__c);
+    if (start && end) return `${start} – ${end}`;
+    if (start) return `from ${start}`;
+    if (end) return `until ${end}`;
+    return '';
+}
@@ -1,13 +1,19 @@
 /**
- * @description Panel for managing capability roles
+ * @description Panel for managing capability roles and their capacity
  * @author Cobra CRM B.V.
- * @version 2.3.0
+ * @version 2.29.0
  */
 import { LightningElement, api, track } from 'lwc';
 import getRolesByMap from '@salesforce/apex/CapabilityRoleController.getRolesByMap';
 import createRole from '@salesforce/apex/CapabilityRoleController.createRole';
 import updateRole from '@salesforce/apex/CapabilityRoleController.updateRole';
 import deleteRole from '@salesforce/apex/CapabilityRoleController.deleteRole';
+import updateRoleCapacity from '@salesforce/apex/CapabilityRoleController.updateRoleCapacity';
+import { formatCapacity } from 'c/capacityModel';
+
+function toNumber(value) {
+    return value === null || value === undefined || value === '' ? null : Number(value);
+}
 
 export default class RoleManagementPanel extends LightningElement {
     @api mapId;
@@ -17,6 +23,9 @@ export default class RoleManagementPanel extends LightningElement {
     @track roleName = '';
     @track hourlyRate = 0;
     @track roleColor = '#0176d3';
+    @track headcount = null;
+    @track weeklyHours = null;
+    @track phaseHours = null;
 
     connectedCallback() { 
         this.loadRoles(); 
@@ -29,7 +38,8 @@ export default class RoleManagementPanel extends LightningElement {
     get rolesWithStyle() {
         return this.roles.map(role => ({
             ...role,
-            colorStyle: `background-color: ${role.Color__c || '#0176d3'}`
+            colorStyle: `background-color: ${role.Color__c || '#0176d3'}`,
+            capacity: formatCapacity(role)
         }));
     }
 
@@ -46,6 +56,9 @@ export default class RoleManagementPanel extends LightningElement {
         this.roleName = ''; 
         this.hourlyRate = 0; 
         this.roleColor = '#0176d3'; 
+        this.headcount = null;
+        this.weeklyHours = null;
+        this.phaseHours = null;
         this.showForm = true; 
     }
 
@@ -55,6 +68,9 @@ export default class RoleManagementPanel extends LightningElement {
         this.roleName = role.Name; 
         this.hourlyRate = role.Hourly_Rate__c; 
         this.roleColor = role.Color__c || '#0176d3';
+        this.headcount = role.Headcount__c ?? null;
+        this.weeklyHours = role.Weekly_Hours__c ?? null;
+        this.phaseHours = role.Phase_Hours__c ?? null;
         this.showForm = true;
     }
 
@@ -74,22 +90,37 @@ export default class RoleManagementPanel extends LightningElement {
         this.roleColor = e.target.value; 
     }
 
+    // data-field is headcount, weeklyHours or phaseHours
+    handleCapacityChange(e) {
+        this[e.target.dataset.field] = toNumber(e.target.value);
+    }
+
     async handleSave() {
         try {
+            let roleId;
             if (this.editingRole) {
+                roleId = this.editingRole.Id;
                 await updateRole({ 
-                    roleId: this.editingRole.Id, 
+                    roleId, 
                     name: this.roleName, 
                     hourlyRate: this.hourlyRate, 
                     color: this.roleColor 
                 });
             } else {
-                await createRole({ 
+                const created = await createRole({ 
                     mapId: this.mapId, 
                     name: this.roleName, 
                     hourlyRate: this.hourlyRate, 
                     color: this.roleColor 
                 });
+                roleId = created.Id;
+            }
+            const capacity = { headcount: this.headcount, weeklyHours: this.weeklyHours, phaseHours: this.phaseHours };
+            const before = this.editingRole || {};
+            if (capacity.headcount !== (before.Headcount__c ?? null)
+                || capacity.weeklyHours !== (before.Weekly_Hours__c ?? null)
+                || capacity.phaseHours !== (before.Phase_Hours__c ?? null)) {
+                await updateRoleCapacity({ roleId, ...capacity });
             }
             this.showForm = false; 
             this.loadRoles();